@@ -1,4 +1,26 @@
-const { chromium } = require('playwright');
+const playwright = require('playwright');
+const { Logger } = require('./Logger');
+const { NetworkRecorder } = require('./NetworkRecorder');
+const { PageHandler } = require('./PageHandler');
+const { PagePool } = require('./PagePool');
+const { ProxyPool } = require('./ProxyPool');
+const { RateLimiter } = require('./RateLimiter');
+const { RequestRouter } = require('./RequestRouter');
+const { SessionStore } = require('./SessionStore');
+
+const BROWSER_NAMES = ['chromium', 'firefox', 'webkit'];
+const PROXY_ERROR = /ERR_PROXY|ERR_TUNNEL|ERR_CONNECTION_(RESET|REFUSED|CLOSED|TIMED_OUT)|ERR_TIMED_OUT|NS_ERROR_PROXY|NS_ERROR_NET_RESET|NS_ERROR_CONNECTION_REFUSED/;
+
+/**
+ * @typedef {Object} BrowserManagerOptions
+ * @property {'chromium'|'firefox'|'webkit'} [browserName='chromium'] - browser engine to launch or connect to
+ * @property {Logger} [logger] - logger used by the manager and the handlers it creates (default: console text logger)
+ * @property {RateLimiter|import('./RateLimiter').RateLimiterOptions} [rateLimiter] - rate limiter shared by every page handler of the manager
+ * @property {import('./PageHandler').PageHandlerOptions} [pageHandlerOptions] - default options of the page handlers the manager creates
+ * @property {SessionStore|import('./SessionStore').SessionStoreOptions} [sessionStore] - where named sessions are saved (default: `.sessions` directory)
+ * @property {ProxyPool} [proxyPool] - assigns a proxy to every context the manager creates (default: none)
+ * @property {RequestRouter|import('./RequestRouter').RouteRule[]} [routing] - request-routing rules applied to every context the manager creates
+ */
 
 /**
  * Manages browser connections
@@ -6,50 +28,123 @@ const { chromium } = require('playwright');
  * @property {import('playwright').Browser} browser
  * @property {import('playwright').BrowserContext} context
  * @property {import('playwright').Page} page
+ * @property {'chromium'|'firefox'|'webkit'} browserName
+ * @property {import('playwright').BrowserType} browserType
+ * @property {Logger} logger
+ * @property {RateLimiter|null} rateLimiter
+ * @property {SessionStore} sessionStore
+ * @property {ProxyPool|null} proxyPool
+ * @property {RequestRouter|null} router
  */
 class BrowserManager {
-  constructor() {
+  /**
+   * @param {BrowserManagerOptions} [options] - manager options
+   */
+  constructor(options = {}) {
+    const { browserName = 'chromium' } = options;
+    if (!BROWSER_NAMES.includes(browserName)) {
+      throw new Error(`Unsupported browser: ${browserName}, expected one of: ${BROWSER_NAMES.join(', ')}`);
+    }
+
+    this.browserName = browserName;
+    this.browserType = playwright[browserName];
     this.browser = null;
     this.context = null;
     this.page = null;
+    this.logger = options.logger || new Logger();
+    this.rateLimiter = RateLimiter.from(options.rateLimiter);
+    this.pageHandlerOptions = options.pageHandlerOptions || {};
+    this.sessionStore = options.sessionStore instanceof SessionStore
+      ? options.sessionStore
+      : new SessionStore({ logger: this.logger, ...options.sessionStore });
+    this.proxyPool = options.proxyPool || null;
+    this.router = options.routing instanceof RequestRouter || !options.routing
+      ? options.routing || null
+      : new RequestRouter(options.routing, { logger: this.logger });
   }
 
   /**
-  * Launches a new browser instance.
+  * Launches a new browser instance of the manager `browserName`.
   * @param {import('playwright').LaunchOptions} launchOptions - Browser launch options
   * @param {import('playwright').BrowserContextOptions} contextOptions - Context config options
+  * @param {string} [sessionName] - restores the storage state saved under this session name, if any
   * @returns {Promise<import('playwright').Page>} new page on the browser
   */
-  async launchBrowser(launchOptions, contextOptions = {}) {
+  async launchBrowser(launchOptions, contextOptions = {}, sessionName) {
     try {
-      this.browser = await chromium.launch(launchOptions);
-      this.context = await this.browser.newContext(contextOptions);
+      this.browser = await this.browserType.launch(launchOptions);
+      this.context = await this.createContext(contextOptions, { session: sessionName });
       this.page = await this.context.newPage(); 
   
-      console.log("Browser Launched");
+      this.logger.info("Browser Launched", { action: 'launchBrowser', browserName: this.browserName });
+      return this.page;
+    } catch (error) {
+      this.logger.error(`Error launching browser: ${error}`, { action: 'launchBrowser', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Launches the browser with a persistent context that keeps its profile (cookies, storage, cache)
+   * in `userDataDir` between runs. The persistent context becomes `this.context`, and
+   * `this.browser` is `null` when the engine doesn't expose it.
+   * The context gets a proxy from the proxy pool unless `options.proxy` is set. Named sessions can't be
+   * restored into it, since the profile already holds its storage state
+   * @param {string} userDataDir - directory of the browser profile, created if missing
+   * @param {import('playwright').LaunchOptions & import('playwright').BrowserContextOptions} [options] - launch and context options
+   * @param {string} [sessionName] - not supported, throws when set
+   * @returns {Promise<import('playwright').Page>} first page of the persistent context
+   */
+  async launchPersistentContext(userDataDir, options = {}, sessionName) {
+    try {
+      if (sessionName) {
+        throw new Error(`Cannot restore session ${sessionName} into a persistent context, its storage state lives in ${userDataDir}`);
+      }
+
+      const proxy = this.acquireProxy(options);
+      this.context = await this.browserType.launchPersistentContext(userDataDir, proxy ? { ...options, proxy } : options);
+      if (proxy) {
+        this.monitorProxy(this.context, proxy);
+      }
+      if (this.router) {
+        await this.router.attach(this.context);
+      }
+      this.browser = this.context.browser();
+      this.page = this.context.pages()[0] || await this.context.newPage();
+
+      this.logger.info(`Browser Launched with persistent context: ${userDataDir}`, {
+        action: 'launchPersistentContext',
+        browserName: this.browserName,
+        userDataDir,
+      });
       return this.page;
     } catch (error) {
-      console.error("Error launching browser: ", error);
+      this.logger.error(`Error launching persistent context ${userDataDir}: ${error}`, { action: 'launchPersistentContext', error });
       throw error;
     }
   }
 
   /**
-   * Connects to an already existing browser over cdp
+   * Connects to an already existing browser over cdp.
+   * CDP is only available for chromium; other engines throw.
+   * When the browser has no context at `contextIndex`, a new context is created
    * @param {string} endpoint - URL or WebSocket address of the remote debugging port
    * @param {number} [contextIndex=0] - Index of the context to connect to (default: 0)
    * @returns {Promise<import('playwright').Page>} A new page in the connected context
    */
   async connectOverCDP(endpoint, contextIndex = 0) {
     try {
-      this.browser = await chromium.connectOverCDP(endpoint);
-      this.context = this.browser.contexts()[contextIndex];
+      if (this.browserName !== 'chromium') {
+        throw new Error(`CDP is only supported by chromium, not ${this.browserName}`);
+      }
+      this.browser = await this.browserType.connectOverCDP(endpoint);
+      this.context = this.browser.contexts()[contextIndex] || await this.browser.newContext();
       this.page = await this.context.newPage(); 
   
-      console.log(`Connected to endpoint: ${endpoint}, context index: ${contextIndex}`);
+      this.logger.info(`Connected to endpoint: ${endpoint}, context index: ${contextIndex}`, { action: 'connectOverCDP', endpoint, contextIndex });
       return this.page;
     } catch (error) {
-      console.error(`Error connecting to endpoint ${endpoint}: `, error);
+      this.logger.error(`Error connecting to endpoint ${endpoint}: ${error}`, { action: 'connectOverCDP', endpoint, error });
       throw error;
     }
   }
@@ -59,23 +154,191 @@ class BrowserManager {
    * If a context already exists, it logs a warning message.
    *
    * @param {import('playwright').BrowserContextOptions} contextOptions - Context configuration options
+   * @param {string} [sessionName] - restores the storage state saved under this session name, if any
    * @returns {Promise<import('playwright').BrowserContext>} New or existing browser context
    */
-  async newContext(contextOptions) {
+  async newContext(contextOptions, sessionName) {
     try {
       if (!this.context) {
-        this.context = await this.browser.newContext(contextOptions);
-        console.log("New Context Created");
+        this.context = await this.createContext(contextOptions, { session: sessionName });
+        this.logger.info("New Context Created", { action: 'newContext' });
       } else {
-        console.warn("Current Context needs to close before creating a new one");
+        this.logger.warn("Current Context needs to close before creating a new one", { action: 'newContext' });
       }
       return this.context;
     } catch (error) {
-      console.error("Error creating context: ", error);
+      this.logger.error(`Error creating context: ${error}`, { action: 'newContext', error });
       throw error;
     }
   }
   
+  /**
+   * Creates a browser context without replacing `this.context`, e.g. to run several proxies at once.
+   * When the manager has a proxy pool and `contextOptions.proxy` isn't set, a proxy is assigned from the pool
+   * and marked as bad if the context hits connection errors or block responses through it
+   *
+   * @param {import('playwright').BrowserContextOptions} [contextOptions={}] - Context configuration options
+   * @param {Object} [options]
+   * @param {string} [options.session] - restores the storage state saved under this session name, if any
+   * @param {string} [options.domain] - domain the context will scrape, used by the `sticky` proxy strategy
+   * @returns {Promise<import('playwright').BrowserContext>} the new context
+   */
+  async createContext(contextOptions = {}, { session, domain } = {}) {
+    const options = await this.withSession(contextOptions, session);
+    const proxy = this.acquireProxy(options, domain);
+
+    const context = await this.browser.newContext(proxy ? { ...options, proxy } : options);
+    if (proxy) {
+      this.monitorProxy(context, proxy);
+    }
+    if (this.router) {
+      await this.router.attach(context);
+    }
+    return context;
+  }
+
+  /**
+   * Picks a proxy from the pool for a context whose options don't set one
+   * @param {import('playwright').BrowserContextOptions} contextOptions - Context configuration options
+   * @param {string} [domain] - domain the context will scrape, used by the `sticky` proxy strategy
+   * @returns {import('./ProxyPool').ProxyConfig|null} the proxy, or `null` without a pool or with `contextOptions.proxy`
+   */
+  acquireProxy(contextOptions, domain) {
+    if (!this.proxyPool || contextOptions.proxy) {
+      return null;
+    }
+    const proxy = this.proxyPool.acquire(domain);
+    this.logger.info(`Assigned proxy: ${proxy.server}`, { action: 'createContext', proxy: proxy.server, domain });
+    return proxy;
+  }
+
+  /**
+   * Closes the current context and replaces it with one that uses the next proxy of the pool
+   * @param {import('playwright').BrowserContextOptions} [contextOptions={}] - Context configuration options
+   * @param {string} [domain] - domain the context will scrape, used by the `sticky` proxy strategy
+   * @returns {Promise<import('playwright').Page>} new page on the new context
+   */
+  async rotateProxy(contextOptions = {}, domain) {
+    try {
+      if (!this.proxyPool) {
+        throw new Error('A proxy pool is required to rotate proxies');
+      }
+
+      await this.closeContext();
+      this.context = await this.createContext(contextOptions, { domain });
+      this.page = await this.context.newPage();
+      return this.page;
+    } catch (error) {
+      this.logger.error(`Error rotating proxy: ${error}`, { action: 'rotateProxy', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Marks `proxy` as bad in the pool when main-document requests of `context` fail
+   * with connection errors or come back with a block status
+   * @param {import('playwright').BrowserContext} context
+   * @param {import('./ProxyPool').ProxyConfig} proxy - proxy the context uses
+   */
+  monitorProxy(context, proxy) {
+    const isMainDocument = (request) => {
+      try {
+        return request.isNavigationRequest() && request.frame().parentFrame() === null;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    context.on('requestfailed', (request) => {
+      const failure = request.failure();
+      if (failure && PROXY_ERROR.test(failure.errorText) && isMainDocument(request)) {
+        this.proxyPool.markBad(proxy, failure.errorText);
+      }
+    });
+    context.on('response', (response) => {
+      if (this.proxyPool.isBlockStatus(response.status()) && isMainDocument(response.request())) {
+        this.proxyPool.markBad(proxy, `HTTP ${response.status()} from ${response.url()}`);
+      }
+    });
+  }
+
+  /**
+   * Adds the storage state saved under `sessionName` to the context options
+   * @param {import('playwright').BrowserContextOptions} [contextOptions={}] - Context configuration options
+   * @param {string} [sessionName] - session to restore; options are returned unchanged without it
+   * @returns {Promise<import('playwright').BrowserContextOptions>}
+   */
+  async withSession(contextOptions = {}, sessionName) {
+    if (!sessionName) {
+      return contextOptions;
+    }
+
+    const storageState = await this.sessionStore.load(sessionName);
+    if (!storageState) {
+      return contextOptions;
+    }
+    this.logger.info(`Restoring session: ${sessionName}`, { action: 'restoreSession', session: sessionName });
+    return { ...contextOptions, storageState };
+  }
+
+  /**
+   * Saves the cookies and localStorage of the current context under `sessionName`
+   * @param {string} sessionName - session name
+   */
+  async saveSession(sessionName) {
+    try {
+      await this.sessionStore.save(sessionName, this.context);
+    } catch (error) {
+      this.logger.error(`Error saving session ${sessionName}: ${error}`, { action: 'saveSession', session: sessionName, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Registers the login routine of a session, used by `ensureSession`
+   * @param {string} sessionName - session name
+   * @param {import('./SessionStore').SessionLogin} login - login routine and "am I logged in" check
+   */
+  registerLogin(sessionName, login) {
+    this.sessionStore.registerLogin(sessionName, login);
+  }
+
+  /**
+   * Makes sure the current page is logged in: runs the "am I logged in" check of the session
+   * and only when it fails, runs the registered login routine and saves the new session
+   * @param {string} sessionName - session with a registered login
+   * @returns {Promise<boolean>} `true` if the login routine ran, `false` if the session was still valid
+   */
+  async ensureSession(sessionName) {
+    try {
+      const login = this.sessionStore.getLogin(sessionName);
+      if (!login) {
+        throw new Error(`No login registered for session: ${sessionName}`);
+      }
+
+      const pageHandler = this.createPageHandler();
+      if (login.url) {
+        await pageHandler.goToUrl(login.url);
+      }
+      if (await login.isLoggedIn(pageHandler)) {
+        this.logger.info(`Session still valid: ${sessionName}`, { action: 'ensureSession', session: sessionName });
+        return false;
+      }
+
+      this.logger.info(`Session expired or missing, logging in: ${sessionName}`, { action: 'ensureSession', session: sessionName });
+      await login.login(pageHandler);
+      if (!(await login.isLoggedIn(pageHandler))) {
+        throw new Error(`Login did not succeed for session: ${sessionName}`);
+      }
+
+      await this.saveSession(sessionName);
+      return true;
+    } catch (error) {
+      this.logger.error(`Error ensuring session ${sessionName}: ${error}`, { action: 'ensureSession', session: sessionName, error });
+      throw error;
+    }
+  }
+
   /**
    * Opens a new page
    * @param {boolean} [isolatePage=false] - Whether to create a new page without replacing `this.page` (default: false)
@@ -84,18 +347,80 @@ class BrowserManager {
   async newPage(isolatePage = false) {
     try {
       if (isolatePage) {
-        console.log(`Creating new isolated page`);
+        this.logger.info(`Creating new isolated page`, { action: 'newPage' });
         return await this.context.newPage();
       }
       this.page = await this.context.newPage();
-      console.log("New Page Created");
+      this.logger.info("New Page Created", { action: 'newPage' });
       return this.page;
     } catch (error) {
-      console.error("Error creating new page: ", error);
+      this.logger.error(`Error creating new page: ${error}`, { action: 'newPage', error });
       throw error;
     }
   }
 
+  /**
+   * Records every response of the current context, across all its pages, to a directory (or a `.har` file).
+   * Call `save()` on the returned recorder once done; HAR files are written when the context closes
+   * @param {string} recordingPath - recording directory, or HAR file
+   * @param {import('./NetworkRecorder').NetworkRecorderOptions} [options] - recorder options
+   * @returns {Promise<NetworkRecorder>} the running recorder
+   */
+  async recordNetwork(recordingPath, options = {}) {
+    try {
+      return await new NetworkRecorder(recordingPath, { logger: this.logger, ...options }).record(this.context);
+    } catch (error) {
+      this.logger.error(`Error recording network to ${recordingPath}: ${error}`, { action: 'recordNetwork', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Answers the requests of the current context with the responses recorded by `recordNetwork`, so it runs offline
+   * @param {string} recordingPath - recording directory, or HAR file
+   * @param {import('./NetworkRecorder').NetworkRecorderOptions} [options] - recorder options
+   * @returns {Promise<NetworkRecorder>} the replaying recorder
+   */
+  async replayNetwork(recordingPath, options = {}) {
+    try {
+      return await new NetworkRecorder(recordingPath, { logger: this.logger, ...options }).replay(this.context);
+    } catch (error) {
+      this.logger.error(`Error replaying network from ${recordingPath}: ${error}`, { action: 'replayNetwork', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a PageHandler for `page` that shares the manager logger, rate limiter and request router
+   * @param {import('playwright').Page} [page=this.page] - page to handle
+   * @param {import('./PageHandler').PageHandlerOptions} [options] - overrides the manager `pageHandlerOptions`
+   * @returns {PageHandler} handler of the page
+   */
+  createPageHandler(page = this.page, options = {}) {
+    return new PageHandler(page, {
+      logger: this.logger,
+      rateLimiter: this.rateLimiter,
+      router: this.router,
+      ...this.pageHandlerOptions,
+      ...options,
+    });
+  }
+
+  /**
+   * Creates a pool of pages on the current context that runs tasks concurrently.
+   * Each task receives a PageHandler; pages are recycled after `maxUsesPerPage` tasks
+   * and closed when a task throws
+   * @param {import('./PagePool').PagePoolOptions} [options] - concurrency and recycling options
+   * @returns {PagePool} the page pool
+   */
+  createPagePool(options = {}) {
+    if (!this.context) {
+      throw new Error('A browser context is required to create a page pool');
+    }
+    this.logger.info(`Page Pool Created with concurrency: ${options.concurrency || 4}`, { action: 'createPagePool' });
+    return new PagePool(this, options);
+  }
+
   /**
    * Terminates the current browser context
    */
@@ -103,10 +428,12 @@ class BrowserManager {
     try {
       if (this.context) {
         await this.context.close();
-        console.log('Closed Context');
+        this.context = null;
+        this.page = null;
+        this.logger.info('Closed Context', { action: 'closeContext' });
       }
     } catch (error) {
-      console.error("Error closing context: ", error);
+      this.logger.error(`Error closing context: ${error}`, { action: 'closeContext', error });
     }
   }
   
@@ -118,10 +445,14 @@ class BrowserManager {
       if (this.browser) {
         await this.closeContext();
         await this.browser.close();
-        console.log('Closed Browser');
+        this.logger.info('Closed Browser', { action: 'closeBrowser' });
+      } else if (this.context) {
+        // persistent contexts without a browser object close the browser with the context
+        await this.closeContext();
+        this.logger.info('Closed Browser', { action: 'closeBrowser' });
       }
     } catch (error) {
-      console.error("Error closing browser: ", error);
+      this.logger.error(`Error closing browser: ${error}`, { action: 'closeBrowser', error });
     }
   }
 }
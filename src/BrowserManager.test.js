@@ -0,0 +1,128 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { chromium, firefox, webkit } = require('playwright');
+const { BrowserManager } = require('./BrowserManager');
+const { Logger } = require('./Logger');
+const { ProxyPool } = require('./ProxyPool');
+
+describe('constructor', () => {
+  it('should default to chromium', () => {
+    const browserManager = new BrowserManager();
+
+    // Assertions
+    expect(browserManager.browserName).toBe('chromium');
+    expect(browserManager.browserType).toBe(chromium);
+  });
+
+  it('should select the firefox and webkit engines', () => {
+    // Assertions
+    expect(new BrowserManager({ browserName: 'firefox' }).browserType).toBe(firefox);
+    expect(new BrowserManager({ browserName: 'webkit' }).browserType).toBe(webkit);
+  });
+
+  it('throw error when browser name is unsupported', () => {
+    expect(() => new BrowserManager({ browserName: 'edge' })).toThrowError();
+  });
+});
+
+describe('ensureSession', () => {
+  const state = { cookies: [{ name: 'sid', value: 'abc', domain: 'www.example.com', path: '/' }], origins: [] };
+
+  let directory;
+  let browserManager;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    browserManager = new BrowserManager({ logger: Logger.silent(), sessionStore: { directory } });
+    browserManager.context = { storageState: async () => state };
+    browserManager.page = {};
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should keep a valid session without logging in', async () => {
+    let logins = 0;
+    browserManager.registerLogin('example', { login: async () => { logins++; }, isLoggedIn: async () => true });
+
+    // Assertions
+    expect(await browserManager.ensureSession('example')).toBe(false);
+    expect(logins).toBe(0);
+    expect(await browserManager.sessionStore.load('example')).toBe(null);
+  });
+
+  it('should log in and save the session when it expired', async () => {
+    let loggedIn = false;
+    browserManager.registerLogin('example', {
+      login: async (pageHandler) => { loggedIn = pageHandler.page === browserManager.page; },
+      isLoggedIn: async () => loggedIn,
+    });
+
+    // Assertions
+    expect(await browserManager.ensureSession('example')).toBe(true);
+    expect(await browserManager.sessionStore.load('example')).toEqual(state);
+  });
+
+  it('throw error when the login does not succeed or is not registered', async () => {
+    browserManager.registerLogin('example', { login: async () => {}, isLoggedIn: async () => false });
+
+    // Assertions
+    await expect(browserManager.ensureSession('example')).rejects.toThrowError('Login did not succeed for session: example');
+    await expect(browserManager.ensureSession('missing')).rejects.toThrowError('No login registered for session: missing');
+    expect(await browserManager.sessionStore.load('example')).toBe(null);
+  });
+});
+
+describe('launchPersistentContext', () => {
+  /**
+   * Replaces the browser type of a manager with one whose persistent contexts record their options
+   */
+  function fakeBrowserType(browserManager) {
+    const launched = [];
+    browserManager.browserType = {
+      launchPersistentContext: async (userDataDir, options) => {
+        launched.push({ userDataDir, options });
+        return { browser: () => null, pages: () => [{}], on: () => {} };
+      },
+    };
+    return launched;
+  }
+
+  it('should assign a proxy from the pool unless the options set one', async () => {
+    const proxyPool = new ProxyPool(['http://one.proxy:8000'], { logger: Logger.silent() });
+    const browserManager = new BrowserManager({ logger: Logger.silent(), proxyPool });
+    const launched = fakeBrowserType(browserManager);
+
+    await browserManager.launchPersistentContext('profile', { headless: true });
+    await browserManager.launchPersistentContext('profile', { proxy: { server: 'http://own.proxy:8000' } });
+
+    // Assertions
+    expect(launched.map(({ options }) => options)).toEqual([
+      { headless: true, proxy: { server: 'http://one.proxy:8000' } },
+      { proxy: { server: 'http://own.proxy:8000' } },
+    ]);
+  });
+
+  it('throw error when a session is requested', async () => {
+    const browserManager = new BrowserManager({ logger: Logger.silent() });
+    const launched = fakeBrowserType(browserManager);
+
+    // Assertions
+    await expect(browserManager.launchPersistentContext('profile', {}, 'example')).rejects.toThrowError('Cannot restore session example');
+    expect(launched).toEqual([]);
+  });
+});
+
+describe('connectOverCDP', () => {
+  it('throw error when the browser is not chromium', async () => {
+    const browserManager = new BrowserManager({ browserName: 'firefox', logger: Logger.silent() });
+    let connected = false;
+    browserManager.browserType = { connect: async () => { connected = true; }, connectOverCDP: async () => { connected = true; } };
+
+    // Assertions
+    await expect(browserManager.connectOverCDP('http://localhost:9222')).rejects.toThrowError('CDP is only supported by chromium, not firefox');
+    expect(connected).toBe(false);
+  });
+});
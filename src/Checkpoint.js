@@ -0,0 +1,216 @@
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+
+const VERSION = 1;
+
+/**
+ * @typedef {Object} CheckpointOptions
+ * @property {number} [every=10] - saves automatically after this many items were marked as visited (`0` disables it)
+ * @property {number} [interval=30000] - saves automatically once this many milliseconds passed since the last save (`0` disables it)
+ * @property {FileManager} [fileManager] - file manager used to read and write the checkpoint
+ * @property {Logger} [logger] - logger for checkpoint messages (default: console text logger)
+ * @property {() => number} [now=Date.now] - clock, in milliseconds
+ */
+
+/**
+ * Persisted progress of a job
+ * @typedef {Object} CheckpointState
+ * @property {number} version - format version of the checkpoint file
+ * @property {string[]} visited - keys (usually URLs) of the processed items
+ * @property {any[]} pending - items waiting to be processed
+ * @property {number} recordCount - records emitted so far
+ * @property {any} cursor - job position, e.g. the current page number
+ * @property {Object<string, any>} data - extra job state
+ * @property {string} updatedAt - ISO time of the save
+ */
+
+/**
+ * Progress of a long job, saved to a JSON file so it can resume after a crash.
+ * Changes are kept in memory and saved with `save()`, or by `autosave()` once enough
+ * items were visited or enough time passed. Saves write a temporary file and rename it, so a crash
+ * mid-save leaves the previous checkpoint intact
+ * @typedef {Object} Checkpoint
+ * @property {string} filePath
+ * @property {Set<string>} visited
+ * @property {any[]} pending
+ * @property {number} recordCount
+ * @property {any} cursor
+ * @property {Object<string, any>} data
+ * @property {boolean} resumed - `true` if the state was restored from a saved checkpoint
+ */
+class Checkpoint {
+  /**
+   * @param {string} filePath - path of the checkpoint file
+   * @param {CheckpointOptions} [options] - checkpoint options
+   */
+  constructor(filePath, options = {}) {
+    const { every = 10, interval = 30000, fileManager, logger, now = Date.now } = options;
+
+    this.filePath = filePath;
+    this.every = every;
+    this.interval = interval;
+    this.logger = logger || new Logger();
+    this.fileManager = fileManager || new FileManager({ logger: this.logger });
+    this.now = now;
+    this.resumed = false;
+    this.reset();
+  }
+
+  /**
+   * Clears the in-memory state
+   */
+  reset() {
+    this.visited = new Set();
+    this.pending = [];
+    this.recordCount = 0;
+    this.cursor = null;
+    this.data = {};
+    this.dirty = false;
+    this.visitedSinceSave = 0;
+    this.lastSavedAt = this.now();
+  }
+
+  /**
+   * Restores the state saved in the checkpoint file, if there is one
+   * @returns {Promise<boolean>} `true` if a checkpoint was restored
+   */
+  async load() {
+    if (!(await this.fileManager.fileExists(this.filePath))) {
+      this.logger.info(`No checkpoint to resume: ${this.filePath}`, { action: 'loadCheckpoint', path: this.filePath });
+      return false;
+    }
+
+    const state = await this.fileManager.readJson(this.filePath);
+    if (state.version !== VERSION) {
+      throw new Error(`Unsupported checkpoint version ${state.version}: ${this.filePath}`);
+    }
+
+    this.visited = new Set(state.visited);
+    this.pending = state.pending;
+    this.recordCount = state.recordCount;
+    this.cursor = state.cursor;
+    this.data = state.data;
+    this.dirty = false;
+    this.visitedSinceSave = 0;
+    this.lastSavedAt = this.now();
+    this.resumed = true;
+    this.logger.info(`Resumed checkpoint: ${this.visited.size} visited, ${this.pending.length} pending, ${this.recordCount} records`, {
+      action: 'loadCheckpoint',
+      path: this.filePath,
+      visited: this.visited.size,
+      pending: this.pending.length,
+      recordCount: this.recordCount,
+    });
+    return true;
+  }
+
+  /**
+   * Returns `true` if `key` was already processed
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isVisited(key) {
+    return this.visited.has(key);
+  }
+
+  /**
+   * Marks `key` as processed
+   * @param {string} key
+   */
+  markVisited(key) {
+    this.visited.add(key);
+    this.visitedSinceSave++;
+    this.dirty = true;
+  }
+
+  /**
+   * Replaces the items waiting to be processed
+   * @param {any[]} items - JSON-serializable items
+   */
+  setPending(items) {
+    this.pending = [...items];
+    this.dirty = true;
+  }
+
+  /**
+   * Adds to the number of emitted records
+   * @param {number} [count=1]
+   */
+  addRecords(count = 1) {
+    this.recordCount += count;
+    this.dirty = true;
+  }
+
+  /**
+   * Sets the job position, e.g. the page number of a paginated listing
+   * @param {any} cursor - JSON-serializable position
+   */
+  setCursor(cursor) {
+    this.cursor = cursor;
+    this.dirty = true;
+  }
+
+  /**
+   * Stores extra job state under `key`
+   * @param {string} key
+   * @param {any} value - JSON-serializable value
+   */
+  set(key, value) {
+    this.data[key] = value;
+    this.dirty = true;
+  }
+
+  /**
+   * Saves unsaved changes if `every` items were visited or `interval` milliseconds passed since the last save
+   * @returns {Promise<boolean>} `true` if the checkpoint was saved
+   */
+  async autosave() {
+    if (!this.dirty) {
+      return false;
+    }
+    const dueByCount = this.every > 0 && this.visitedSinceSave >= this.every;
+    const dueByTime = this.interval > 0 && this.now() - this.lastSavedAt >= this.interval;
+    if (!dueByCount && !dueByTime) {
+      return false;
+    }
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Atomically writes the state to the checkpoint file
+   */
+  async save() {
+    await this.fileManager.writeFileAtomic(this.filePath, JSON.stringify(this.toJSON()));
+    this.dirty = false;
+    this.visitedSinceSave = 0;
+    this.lastSavedAt = this.now();
+    this.logger.debug(`Saved checkpoint: ${this.filePath}`, { action: 'saveCheckpoint', path: this.filePath });
+  }
+
+  /**
+   * Deletes the checkpoint file and clears the state, e.g. once the job completed
+   */
+  async clear() {
+    await this.fileManager.deleteFile(this.filePath);
+    this.reset();
+    this.resumed = false;
+  }
+
+  /**
+   * @returns {CheckpointState}
+   */
+  toJSON() {
+    return {
+      version: VERSION,
+      visited: [...this.visited],
+      pending: this.pending,
+      recordCount: this.recordCount,
+      cursor: this.cursor,
+      data: this.data,
+      updatedAt: new Date(this.now()).toISOString(),
+    };
+  }
+}
+
+module.exports = { Checkpoint }
@@ -0,0 +1,156 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { Checkpoint } = require('./Checkpoint');
+const { Crawler } = require('./Crawler');
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+
+let directory;
+let filePath;
+let logger;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoint-'));
+  filePath = path.join(directory, 'job.json');
+  logger = Logger.silent();
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('Checkpoint', () => {
+  it('should save and resume the job state', async () => {
+    const checkpoint = new Checkpoint(filePath, { logger });
+    checkpoint.markVisited('https://www.example.com/a');
+    checkpoint.setPending([{ url: 'https://www.example.com/b' }]);
+    checkpoint.addRecords(3);
+    checkpoint.setCursor({ page: 4 });
+    checkpoint.set('failed', []);
+    await checkpoint.save();
+
+    const resumed = new Checkpoint(filePath, { logger });
+
+    // Assertions
+    expect(await resumed.load()).toBe(true);
+    expect(resumed.resumed).toBe(true);
+    expect(resumed.isVisited('https://www.example.com/a')).toBe(true);
+    expect(resumed.pending).toEqual([{ url: 'https://www.example.com/b' }]);
+    expect(resumed.recordCount).toBe(3);
+    expect(resumed.cursor).toEqual({ page: 4 });
+    expect(resumed.data).toEqual({ failed: [] });
+  });
+
+  it('should start empty without a saved checkpoint', async () => {
+    const checkpoint = new Checkpoint(filePath, { logger });
+
+    // Assertions
+    expect(await checkpoint.load()).toBe(false);
+    expect(checkpoint.visited.size).toBe(0);
+  });
+
+  it('should autosave after every visited items or once the interval passed', async () => {
+    let now = 0;
+    const checkpoint = new Checkpoint(filePath, { logger, every: 2, interval: 1000, now: () => now });
+
+    checkpoint.markVisited('a');
+    expect(await checkpoint.autosave()).toBe(false);
+    checkpoint.markVisited('b');
+    expect(await checkpoint.autosave()).toBe(true);
+    checkpoint.addRecords();
+    expect(await checkpoint.autosave()).toBe(false);
+    now = 1000;
+
+    // Assertions
+    expect(await checkpoint.autosave()).toBe(true);
+    expect(await checkpoint.autosave()).toBe(false);
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).recordCount).toBe(1);
+  });
+
+  it('should keep the previous checkpoint when a save fails', async () => {
+    const fileManager = new FileManager({ logger });
+    const checkpoint = new Checkpoint(filePath, { logger, fileManager });
+    checkpoint.markVisited('a');
+    await checkpoint.save();
+
+    checkpoint.markVisited('b');
+    checkpoint.set('invalid', 1n);
+
+    // Assertions
+    await expect(checkpoint.save()).rejects.toThrowError();
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).visited).toEqual(['a']);
+    expect(fs.readdirSync(directory)).toEqual(['job.json']);
+  });
+
+  it('should delete the checkpoint file on clear', async () => {
+    const checkpoint = new Checkpoint(filePath, { logger });
+    checkpoint.markVisited('a');
+    await checkpoint.save();
+    await checkpoint.clear();
+
+    // Assertions
+    expect(fs.existsSync(filePath)).toBe(false);
+    expect(checkpoint.visited.size).toBe(0);
+  });
+});
+
+describe('Crawler resume', () => {
+  const createBrowserManager = (crawled) => {
+    let currentUrl = 'about:blank';
+    const page = { url: () => currentUrl };
+    return {
+      page,
+      logger,
+      createPageHandler: () => ({
+        page,
+        goToUrl: async (url) => {
+          currentUrl = url;
+          crawled.push(url);
+        },
+      }),
+    };
+  };
+
+  it('should skip the pages crawled before the crash', async () => {
+    const links = {
+      'https://www.example.com/': ['/a', '/b'],
+      'https://www.example.com/a': ['/c'],
+    };
+    const handler = ({ url, enqueue }) => {
+      if (url === 'https://www.example.com/b') {
+        throw new Error('crashed');
+      }
+      enqueue(links[url] || []);
+    };
+
+    const firstRun = [];
+    const first = new Crawler(createBrowserManager(firstRun), {
+      handler,
+      maxPages: 2,
+      waitMin: 0,
+      waitMax: 0,
+      checkpoint: new Checkpoint(filePath, { logger }),
+    });
+    await first.run('https://www.example.com/');
+
+    const secondRun = [];
+    const second = new Crawler(createBrowserManager(secondRun), {
+      handler,
+      waitMin: 0,
+      waitMax: 0,
+      checkpoint: new Checkpoint(filePath, { logger }),
+    });
+    const result = await second.run('https://www.example.com/');
+
+    // Assertions
+    expect(firstRun).toEqual(['https://www.example.com/', 'https://www.example.com/a']);
+    expect(secondRun).toEqual(['https://www.example.com/b', 'https://www.example.com/c']);
+    expect(result.visited).toEqual([
+      'https://www.example.com/',
+      'https://www.example.com/a',
+      'https://www.example.com/c',
+    ]);
+    expect(result.failed).toEqual([{ url: 'https://www.example.com/b', error: 'crashed' }]);
+  });
+});
@@ -0,0 +1,212 @@
+const { Logger } = require('./Logger');
+const { readLinks } = require('./linkUtils');
+const { normalizeUrl, matchesPattern, getHostname } = require('./urlUtils');
+
+/**
+ * @typedef {Object} CrawlerOptions
+ * @property {(context: CrawlContext) => Promise<void>|void} handler - called once per crawled page
+ * @property {number} [maxDepth=2] - maximum link depth from the start URLs (start URLs have depth `0`)
+ * @property {number} [maxPages=100] - maximum number of pages to visit
+ * @property {Array<string|RegExp|Function>} [include=[]] - only URLs matching one of these patterns are enqueued (all when empty)
+ * @property {Array<string|RegExp|Function>} [exclude=[]] - URLs matching any of these patterns are never enqueued
+ * @property {boolean} [sameDomain=true] - only enqueues URLs on the hostnames of the start URLs
+ * @property {import('./urlUtils').NormalizeOptions} [normalize] - options used to normalize URLs before dedupe
+ * @property {number} [waitMin=4000] - minimum wait after each navigation, in milliseconds
+ * @property {number} [waitMax=7000] - maximum wait after each navigation, in milliseconds
+ * @property {import('./Checkpoint').Checkpoint} [checkpoint] - persists the crawl progress; a saved checkpoint is resumed by `run`
+ */
+
+/**
+ * @typedef {Object} CrawlContext
+ * @property {string} url - normalized URL of the page
+ * @property {number} depth - link depth of the page
+ * @property {string|null} referrer - URL of the page that enqueued this one
+ * @property {import('./PageHandler').PageHandler} pageHandler - handler of the crawled page
+ * @property {(urls: string|string[]) => number} enqueue - enqueues URLs (resolved against the page URL) at `depth + 1`
+ * @property {(selector?: string) => Promise<number>} enqueueLinks - enqueues the `href` of every element matching `selector` (default: `a[href]`),
+ * resolved against the document base URL
+ * @property {import('./Checkpoint').Checkpoint} [checkpoint] - checkpoint of the crawl, e.g. to count emitted records with `addRecords`
+ */
+
+/**
+ * @typedef {Object} CrawlRequest
+ * @property {string} url
+ * @property {number} depth
+ * @property {string|null} referrer
+ */
+
+/**
+ * Crawls multiple pages, starting from a set of URLs, with a deduped URL frontier
+ * @typedef {Object} Crawler
+ * @property {import('./BrowserManager').BrowserManager} browserManager
+ * @property {CrawlerOptions} options
+ * @property {CrawlRequest[]} queue - URLs waiting to be crawled
+ * @property {Set<string>} seen - every URL that was ever enqueued
+ * @property {string[]} visited - URLs that were crawled successfully
+ * @property {Array<{url: string, error: string}>} failed - URLs whose navigation or handler threw
+ */
+class Crawler {
+  /**
+   * @param {import('./BrowserManager').BrowserManager} browserManager - launched browser manager whose page is used to crawl
+   * @param {CrawlerOptions} options - crawl options
+   */
+  constructor(browserManager, options = {}) {
+    if (typeof options.handler !== 'function') {
+      throw new TypeError('Crawler requires a handler function');
+    }
+
+    this.browserManager = browserManager;
+    this.options = {
+      maxDepth: 2,
+      maxPages: 100,
+      include: [],
+      exclude: [],
+      sameDomain: true,
+      normalize: {},
+      waitMin: 4000,
+      waitMax: 7000,
+      ...options,
+    };
+    this.queue = [];
+    this.seen = new Set();
+    this.visited = [];
+    this.failed = [];
+    this.allowedHosts = new Set();
+    this.logger = (browserManager && browserManager.logger) || new Logger();
+  }
+
+  /**
+   * Adds a URL to the frontier if it passes normalization, dedupe, depth and pattern rules.
+   * Start URLs (depth `0`) skip the domain and pattern rules
+   * @param {string} url - absolute URL, or relative to `referrer`
+   * @param {number} [depth=0] - link depth of the URL
+   * @param {string|null} [referrer=null] - URL of the page the link was found on
+   * @returns {boolean} `true` if the URL was enqueued
+   */
+  enqueue(url, depth = 0, referrer = null) {
+    const { maxDepth, include, exclude, sameDomain, normalize } = this.options;
+    const normalized = normalizeUrl(url, referrer || undefined, normalize);
+
+    if (!normalized || this.seen.has(normalized) || depth > maxDepth) {
+      return false;
+    }
+    if (depth === 0) {
+      this.allowedHosts.add(getHostname(normalized));
+    } else {
+      if (sameDomain && !this.allowedHosts.has(getHostname(normalized))) {
+        return false;
+      }
+      if (include.length > 0 && !include.some((pattern) => matchesPattern(normalized, pattern))) {
+        return false;
+      }
+      if (exclude.some((pattern) => matchesPattern(normalized, pattern))) {
+        return false;
+      }
+    }
+
+    this.seen.add(normalized);
+    this.queue.push({ url: normalized, depth, referrer });
+    return true;
+  }
+
+  /**
+   * Crawls from `startUrls` until the frontier is empty or `maxPages` is reached.
+   * With a `checkpoint`, a saved crawl is resumed first: visited URLs are skipped and the saved frontier is crawled
+   * @param {string|string[]} startUrls - URLs crawled at depth `0`
+   * @returns {Promise<{visited: string[], failed: Array<{url: string, error: string}>}>} crawl summary
+   */
+  async run(startUrls = []) {
+    const { checkpoint } = this.options;
+    if (checkpoint && await checkpoint.load()) {
+      this.restore(checkpoint);
+    }
+
+    for (const url of [].concat(startUrls)) {
+      this.enqueue(url, 0);
+    }
+
+    const pageHandler = this.browserManager.createPageHandler(this.browserManager.page);
+    while (this.queue.length > 0 && this.visited.length + this.failed.length < this.options.maxPages) {
+      const request = this.queue.shift();
+      await this.crawlPage(pageHandler, request);
+      if (checkpoint) {
+        this.record(checkpoint, request);
+        await checkpoint.autosave();
+      }
+    }
+    if (checkpoint) {
+      await checkpoint.save();
+    }
+
+    this.logger.info(`Crawl finished: ${this.visited.length} visited, ${this.failed.length} failed, ${this.queue.length} pending`, {
+      action: 'crawl',
+      visited: this.visited.length,
+      failed: this.failed.length,
+      pending: this.queue.length,
+    });
+    return { visited: this.visited, failed: this.failed };
+  }
+
+  /**
+   * Restores the frontier and the results of a saved crawl
+   * @param {import('./Checkpoint').Checkpoint} checkpoint - loaded checkpoint
+   */
+  restore(checkpoint) {
+    const { failed = [], seen = [], allowedHosts = [] } = checkpoint.data;
+
+    this.visited = [...checkpoint.visited];
+    this.failed = failed;
+    this.queue = checkpoint.pending.filter(({ url }) => !checkpoint.isVisited(url));
+    this.seen = new Set([...seen, ...this.visited]);
+    this.allowedHosts = new Set(allowedHosts);
+  }
+
+  /**
+   * Copies the crawl progress into the checkpoint after a page was crawled
+   * @param {import('./Checkpoint').Checkpoint} checkpoint
+   * @param {CrawlRequest} request - request that was just crawled
+   */
+  record(checkpoint, { url }) {
+    if (this.visited[this.visited.length - 1] === url) {
+      checkpoint.markVisited(url);
+    }
+    checkpoint.setPending(this.queue);
+    checkpoint.set('failed', this.failed);
+    checkpoint.set('seen', [...this.seen]);
+    checkpoint.set('allowedHosts', [...this.allowedHosts]);
+  }
+
+  /**
+   * Visits a single page and calls the user handler on it
+   * @param {import('./PageHandler').PageHandler} pageHandler
+   * @param {CrawlRequest} request
+   */
+  async crawlPage(pageHandler, { url, depth, referrer }) {
+    const { handler, waitMin, waitMax } = this.options;
+
+    try {
+      this.logger.info(`Crawling (depth ${depth}): ${url}`, { action: 'crawl', url, depth });
+      await pageHandler.goToUrl(url, undefined, waitMin, waitMax);
+
+      const pageUrl = pageHandler.page.url();
+      const enqueue = (urls) => [].concat(urls)
+        .filter((link) => this.enqueue(link, depth + 1, pageUrl)).length;
+      // hrefs resolve against the document base URL, which `<base href>` can set apart from the page URL
+      const enqueueLinks = async (selector = 'a[href]') => {
+        const links = await pageHandler.page.locator(selector).evaluateAll(readLinks);
+        return enqueue(links
+          .filter(({ href }) => href)
+          .map(({ href, baseUrl }) => normalizeUrl(href.trim(), baseUrl, this.options.normalize))
+          .filter(Boolean));
+      };
+
+      await handler({ url, depth, referrer, pageHandler, enqueue, enqueueLinks, checkpoint: this.options.checkpoint });
+      this.visited.push(url);
+    } catch (error) {
+      this.logger.error(`Error crawling ${url}: ${error}`, { action: 'crawl', url, depth, error });
+      this.failed.push({ url, error: error.message });
+    }
+  }
+}
+
+module.exports = { Crawler }
@@ -0,0 +1,69 @@
+const { Crawler } = require('./Crawler');
+
+const handler = () => {};
+
+describe('enqueue', () => {
+  it('should normalize and dedupe URLs', () => {
+    const crawler = new Crawler(null, { handler });
+
+    expect(crawler.enqueue('https://www.example.com/')).toBe(true);
+    expect(crawler.enqueue('https://www.example.com/#top')).toBe(false);
+    expect(crawler.enqueue('/about', 1, 'https://www.example.com/')).toBe(true);
+    expect(crawler.enqueue('https://www.example.com/about/', 1)).toBe(false);
+
+    // Assertions
+    expect(crawler.queue.map(({ url }) => url)).toEqual([
+      'https://www.example.com/',
+      'https://www.example.com/about',
+    ]);
+  });
+
+  it('should enforce max depth and same domain', () => {
+    const crawler = new Crawler(null, { handler, maxDepth: 1 });
+    crawler.enqueue('https://www.example.com');
+
+    // Assertions
+    expect(crawler.enqueue('https://www.example.com/a', 1)).toBe(true);
+    expect(crawler.enqueue('https://www.example.com/b', 2)).toBe(false);
+    expect(crawler.enqueue('https://www.google.com/', 1)).toBe(false);
+  });
+
+  it('should apply include and exclude patterns', () => {
+    const crawler = new Crawler(null, {
+      handler,
+      include: ['**/blog/**'],
+      exclude: [/\/drafts\//],
+    });
+    expect(crawler.enqueue('https://www.example.com/blog/')).toBe(true);
+
+    // Assertions
+    expect(crawler.enqueue('https://www.example.com/blog/post', 1)).toBe(true);
+    expect(crawler.enqueue('https://www.example.com/shop/item', 1)).toBe(false);
+    expect(crawler.enqueue('https://www.example.com/blog/drafts/post', 1)).toBe(false);
+  });
+
+  it('throw error when handler is missing', () => {
+    expect(() => new Crawler(null, {})).toThrowError();
+  });
+});
+
+describe('enqueueLinks', () => {
+  it('should resolve links against the document base URL', async () => {
+    const baseURI = 'https://www.example.com/docs/';
+    const element = (href) => ({ getAttribute: (name) => (name === 'href' ? href : null), textContent: '', baseURI });
+    const page = {
+      url: () => 'https://www.example.com/docs/guide/intro',
+      locator: () => ({ evaluateAll: async (readLinks) => readLinks([element('setup'), element('../about'), element('')]) }),
+    };
+    const crawler = new Crawler(null, { handler: ({ enqueueLinks }) => enqueueLinks() });
+    crawler.enqueue('https://www.example.com/docs/guide/intro');
+
+    await crawler.crawlPage({ page, goToUrl: async () => {} }, crawler.queue.shift());
+
+    // Assertions
+    expect(crawler.queue.map(({ url }) => url)).toEqual([
+      'https://www.example.com/docs/setup',
+      'https://www.example.com/about',
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Picks how long to wait between actions
+ * @typedef {Object} DelayStrategy
+ * @property {(waitMin: number, waitMax: number) => number} getDelay - returns the delay in milliseconds
+ */
+
+/**
+ * Waits a random amount of time between `waitMin` and `waitMax` (the library's default behaviour)
+ * @typedef {Object} RandomDelay
+ * @property {() => number} random
+ */
+class RandomDelay {
+  /**
+   * @param {Object} [options]
+   * @param {() => number} [options.random=Math.random] - random number source in `[0, 1)`
+   */
+  constructor(options = {}) {
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Creates a random delay with a reproducible sequence, for tests and replays
+   * @param {number} seed - integer seed
+   * @returns {RandomDelay}
+   */
+  static seeded(seed) {
+    return new RandomDelay({ random: createSeededRandom(seed) });
+  }
+
+  /**
+   * @param {number} waitMin - minimum wait time in milliseconds
+   * @param {number} waitMax - maximum wait time in milliseconds
+   * @returns {number} delay in milliseconds
+   */
+  getDelay(waitMin, waitMax) {
+    return Math.floor(this.random() * (waitMax - waitMin + 1)) + waitMin;
+  }
+}
+
+/**
+ * Never waits. Useful for tests and for sites where a rate limiter already paces requests
+ * @typedef {Object} NoDelay
+ */
+class NoDelay {
+  /**
+   * @returns {number} always `0`
+   */
+  getDelay() {
+    return 0;
+  }
+}
+
+/**
+ * Returns a deterministic random number generator (mulberry32)
+ * @param {number} seed - integer seed
+ * @returns {() => number} generator of numbers in `[0, 1)`
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { RandomDelay, NoDelay, createSeededRandom }
@@ -0,0 +1,265 @@
+const path = require('path');
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+
+/**
+ * Diagnostics watching each page; a page has at most one, shared by all its handlers
+ * @type {WeakMap<import('playwright').Page, Diagnostics>}
+ */
+const attachedDiagnostics = new WeakMap();
+
+/**
+ * @typedef {Object} DiagnosticsOptions
+ * @property {string} [directory='diagnostics'] - directory the bundles are written in
+ * @property {boolean} [screenshot=true] - captures a screenshot
+ * @property {boolean} [fullPage=true] - captures the full scrollable page instead of the viewport
+ * @property {boolean} [html=true] - captures the page HTML
+ * @property {number} [maxConsoleMessages=50] - most recent console messages kept
+ * @property {number} [maxNetworkFailures=50] - most recent network failures kept
+ * @property {FileManager} [fileManager] - file manager used to write the bundles
+ * @property {Logger} [logger] - logger for diagnostics messages (default: console text logger)
+ * @property {() => number} [now=Date.now] - clock, in milliseconds
+ */
+
+/**
+ * Contents of the `report.json` of a bundle
+ * @typedef {Object} DiagnosticsReport
+ * @property {string} action - action that failed, e.g. `click`
+ * @property {string|null} selector - selector of the element the action targeted
+ * @property {{name: string, message: string, stack: string}} error
+ * @property {string|null} url - page URL when the action failed
+ * @property {string|null} title - page title when the action failed
+ * @property {string} timestamp - ISO time of the failure
+ * @property {Array<{type: string, text: string, timestamp: string}>} console - recent console messages and page errors
+ * @property {Array<{url: string, method: string, resourceType: string, failure: string, timestamp: string}>} networkFailures - recent failed requests and error responses
+ * @property {string[]} files - files of the bundle, besides the report
+ */
+
+/**
+ * Records the recent console messages and network failures of a page, and writes a debugging
+ * bundle (screenshot, HTML, report) to a timestamped directory when an action fails
+ * @typedef {Object} Diagnostics
+ * @property {import('playwright').Page} page
+ * @property {string} directory
+ * @property {Array<Object>} consoleMessages
+ * @property {Array<Object>} networkFailures
+ */
+class Diagnostics {
+  /**
+   * @param {import('playwright').Page} page - page to watch
+   * @param {DiagnosticsOptions} [options] - diagnostics options
+   */
+  constructor(page, options = {}) {
+    const {
+      directory = 'diagnostics',
+      screenshot = true,
+      fullPage = true,
+      html = true,
+      maxConsoleMessages = 50,
+      maxNetworkFailures = 50,
+      now = Date.now,
+    } = options;
+
+    this.page = page;
+    this.directory = directory;
+    this.screenshot = screenshot;
+    this.fullPage = fullPage;
+    this.html = html;
+    this.maxConsoleMessages = maxConsoleMessages;
+    this.maxNetworkFailures = maxNetworkFailures;
+    this.now = now;
+    this.logger = options.logger || new Logger();
+    this.fileManager = options.fileManager || new FileManager({ logger: this.logger });
+    this.consoleMessages = [];
+    this.networkFailures = [];
+    this.bundleCount = 0;
+    this.listeners = {
+      console: (message) => this.recordConsole(message.type(), message.text()),
+      pageerror: (error) => this.recordConsole('pageerror', error.message),
+      requestfailed: (request) => this.recordNetworkFailure(request, (request.failure() || {}).errorText || 'failed'),
+      response: (response) => {
+        if (response.status() >= 400) {
+          this.recordNetworkFailure(response.request(), `HTTP ${response.status()}`);
+        }
+      },
+    };
+  }
+
+  /**
+   * Normalizes the `diagnostics` option of a handler into an attached instance.
+   * Handlers of the same page share the diagnostics attached first, so events are recorded once;
+   * the options of later handlers are ignored with a warning, while an instance replaces the attached one;
+   * an instance created for another page is copied for this one
+   * @param {import('playwright').Page} page
+   * @param {Diagnostics|DiagnosticsOptions|boolean} [diagnostics] - `true` uses the default options, `false` or nothing disables it
+   * @param {Logger} [logger] - default logger
+   * @returns {Diagnostics|null}
+   */
+  static from(page, diagnostics, logger) {
+    if (!diagnostics) {
+      return null;
+    }
+    if (diagnostics instanceof Diagnostics) {
+      return diagnostics.page === page ? diagnostics.attach() : diagnostics.forPage(page);
+    }
+    const attached = attachedDiagnostics.get(page);
+    if (attached && diagnostics !== true) {
+      (logger || attached.logger).warn(`Diagnostics are already attached to this page, ignoring the new diagnostics options; pass an instance to replace it`, { action: 'diagnostics' });
+    }
+    return attached || new Diagnostics(page, { logger, ...(diagnostics === true ? {} : diagnostics) }).attach();
+  }
+
+  /**
+   * Creates diagnostics with the same settings for another page, e.g. a popup, unless that page already has some
+   * @param {import('playwright').Page} page
+   * @returns {Diagnostics} the attached instance
+   */
+  forPage(page) {
+    const attached = attachedDiagnostics.get(page);
+    if (attached) {
+      this.logger.warn(`Diagnostics are already attached to this page, keeping its own settings`, { action: 'diagnostics' });
+      return attached;
+    }
+    return new Diagnostics(page, {
+      directory: this.directory,
+      screenshot: this.screenshot,
+      fullPage: this.fullPage,
+      html: this.html,
+      maxConsoleMessages: this.maxConsoleMessages,
+      maxNetworkFailures: this.maxNetworkFailures,
+      fileManager: this.fileManager,
+      logger: this.logger,
+      now: this.now,
+    }).attach();
+  }
+
+  /**
+   * Starts recording console messages and network failures, in place of the diagnostics attached to the page before, if any
+   * @returns {Diagnostics} this instance
+   */
+  attach() {
+    const current = attachedDiagnostics.get(this.page);
+    if (current === this) {
+      return this;
+    }
+    if (current) {
+      current.detach();
+    }
+    attachedDiagnostics.set(this.page, this);
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.page.on(event, listener);
+    }
+    return this;
+  }
+
+  /**
+   * Stops recording console messages and network failures
+   */
+  detach() {
+    if (attachedDiagnostics.get(this.page) === this) {
+      attachedDiagnostics.delete(this.page);
+    }
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.page.off(event, listener);
+    }
+  }
+
+  /**
+   * @param {string} type - console message type, or `pageerror`
+   * @param {string} text
+   */
+  recordConsole(type, text) {
+    this.consoleMessages.push({ type, text, timestamp: new Date(this.now()).toISOString() });
+    if (this.consoleMessages.length > this.maxConsoleMessages) {
+      this.consoleMessages.shift();
+    }
+  }
+
+  /**
+   * @param {import('playwright').Request} request
+   * @param {string} failure - error text, or HTTP status
+   */
+  recordNetworkFailure(request, failure) {
+    this.networkFailures.push({
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      failure,
+      timestamp: new Date(this.now()).toISOString(),
+    });
+    if (this.networkFailures.length > this.maxNetworkFailures) {
+      this.networkFailures.shift();
+    }
+  }
+
+  /**
+   * Writes a bundle describing a failed action. Each part is captured on a best-effort basis,
+   * so a closed or crashed page still yields a report; this never throws
+   * @param {string} action - action that failed
+   * @param {Error} error - error the action threw
+   * @param {Object} [details]
+   * @param {string} [details.selector] - selector of the element the action targeted
+   * @returns {Promise<string|null>} directory of the bundle, `null` if it couldn't be written
+   */
+  async capture(action, error, details = {}) {
+    const timestamp = new Date(this.now()).toISOString();
+    this.bundleCount++;
+    const bundleDir = path.join(this.directory, `${timestamp.replace(/[:.]/g, '-')}-${this.bundleCount}-${action.replace(/[^\w-]/g, '_')}`);
+
+    try {
+      await this.fileManager.createDirectory(bundleDir, true);
+      const files = [];
+      if (this.screenshot) {
+        const screenshot = await this.attempt('screenshot', () => this.page.screenshot({ fullPage: this.fullPage, timeout: 5000 }));
+        if (screenshot) {
+          await this.fileManager.writeFile(path.join(bundleDir, 'screenshot.png'), screenshot);
+          files.push('screenshot.png');
+        }
+      }
+      if (this.html) {
+        const html = await this.attempt('html', () => this.page.content());
+        if (html !== null) {
+          await this.fileManager.writeFile(path.join(bundleDir, 'page.html'), html);
+          files.push('page.html');
+        }
+      }
+
+      /** @type {DiagnosticsReport} */
+      const report = {
+        action,
+        selector: details.selector || null,
+        error: { name: error.name, message: error.message, stack: error.stack },
+        url: await this.attempt('url', async () => this.page.url()),
+        title: await this.attempt('title', () => this.page.title()),
+        timestamp,
+        console: [...this.consoleMessages],
+        networkFailures: [...this.networkFailures],
+        files,
+      };
+      await this.fileManager.saveJson(path.join(bundleDir, 'report.json'), report, true);
+
+      this.logger.info(`Saved diagnostics of failed ${action}: ${bundleDir}`, { action: 'diagnostics', path: bundleDir });
+      return bundleDir;
+    } catch (captureError) {
+      this.logger.warn(`Could not save diagnostics of failed ${action}: ${captureError.message}`, { action: 'diagnostics', error: captureError });
+      return null;
+    }
+  }
+
+  /**
+   * Runs one capture step, returning `null` if it fails
+   * @param {string} part - name of the captured part, used in messages
+   * @param {() => Promise<any>} step
+   * @returns {Promise<any>}
+   */
+  async attempt(part, step) {
+    try {
+      return await step();
+    } catch (error) {
+      this.logger.debug(`Could not capture ${part} for diagnostics: ${error.message}`, { action: 'diagnostics', error });
+      return null;
+    }
+  }
+}
+
+module.exports = { Diagnostics }
@@ -0,0 +1,169 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { Diagnostics } = require('./Diagnostics');
+const { NoDelay } = require('./DelayStrategy');
+const { Logger } = require('./Logger');
+const { PageHandler } = require('./PageHandler');
+
+/**
+ * Creates a fake page that emits console and network events
+ */
+function createPage() {
+  const page = new EventEmitter();
+  page.url = () => 'https://www.example.com/list';
+  page.title = async () => 'List';
+  page.content = async () => '<html><body>List</body></html>';
+  page.screenshot = async () => Buffer.from('png');
+  return page;
+}
+
+/**
+ * Creates a fake request
+ */
+function createRequest(url) {
+  return { url: () => url, method: () => 'GET', resourceType: () => 'fetch', failure: () => ({ errorText: 'net::ERR_FAILED' }) };
+}
+
+const logger = Logger.silent();
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('Diagnostics', () => {
+  it('should write a bundle with the screenshot, HTML and recent events', async () => {
+    const page = createPage();
+    const diagnostics = new Diagnostics(page, { directory, logger, maxConsoleMessages: 2, now: () => 0 }).attach();
+
+    page.emit('console', { type: () => 'log', text: () => 'first' });
+    page.emit('console', { type: () => 'warning', text: () => 'second' });
+    page.emit('pageerror', new Error('boom'));
+    page.emit('requestfailed', createRequest('https://www.example.com/api'));
+    page.emit('response', { status: () => 500, request: () => createRequest('https://www.example.com/broken') });
+    page.emit('response', { status: () => 200, request: () => createRequest('https://www.example.com/ok') });
+
+    const bundleDir = await diagnostics.capture('click', new Error('Timeout'), { selector: '#next' });
+    const report = JSON.parse(fs.readFileSync(path.join(bundleDir, 'report.json'), 'utf8'));
+
+    // Assertions
+    expect(path.basename(bundleDir)).toBe('1970-01-01T00-00-00-000Z-1-click');
+    expect(fs.readFileSync(path.join(bundleDir, 'screenshot.png'), 'utf8')).toBe('png');
+    expect(fs.readFileSync(path.join(bundleDir, 'page.html'), 'utf8')).toContain('List');
+    expect(report).toMatchObject({
+      action: 'click',
+      selector: '#next',
+      error: { name: 'Error', message: 'Timeout' },
+      url: 'https://www.example.com/list',
+      title: 'List',
+      files: ['screenshot.png', 'page.html'],
+    });
+    expect(report.console.map(({ text }) => text)).toEqual(['second', 'boom']);
+    expect(report.networkFailures.map(({ url, failure }) => [url, failure])).toEqual([
+      ['https://www.example.com/api', 'net::ERR_FAILED'],
+      ['https://www.example.com/broken', 'HTTP 500'],
+    ]);
+  });
+
+  it('should still write the report when the page is gone', async () => {
+    const page = createPage();
+    page.screenshot = async () => {
+      throw new Error('Target closed');
+    };
+    page.content = page.screenshot;
+    const diagnostics = new Diagnostics(page, { directory, logger });
+
+    const bundleDir = await diagnostics.capture('goToUrl', new Error('Navigation failed'));
+    const report = JSON.parse(fs.readFileSync(path.join(bundleDir, 'report.json'), 'utf8'));
+
+    // Assertions
+    expect(report.files).toEqual([]);
+    expect(report.selector).toBeNull();
+  });
+
+  it('should capture failed PageHandler actions when enabled', async () => {
+    const page = createPage();
+    page.goto = async () => {
+      throw new Error('net::ERR_NAME_NOT_RESOLVED');
+    };
+    const pageHandler = new PageHandler(page, { logger, delayStrategy: new NoDelay(), diagnostics: { directory } });
+
+    await expect(pageHandler.goToUrl('https://www.example.invalid')).rejects.toThrowError('net::ERR_NAME_NOT_RESOLVED');
+
+    // Assertions
+    const [bundle] = fs.readdirSync(directory);
+    expect(bundle).toMatch(/-goToUrl$/);
+    expect(new PageHandler(page, { logger }).diagnostics).toBeNull();
+  });
+
+  it('should capture failed element reads and extractions', async () => {
+    const page = createPage();
+    page.locator = () => {
+      const locator = {
+        first: () => locator,
+        all: async () => Promise.reject(new Error('Target closed')),
+        evaluate: async () => Promise.reject(new Error('Expected a table element, got: div')),
+      };
+      return locator;
+    };
+    const pageHandler = new PageHandler(page, { logger, delayStrategy: new NoDelay(), diagnostics: { directory } });
+
+    await expect(pageHandler.extractTable('#list')).rejects.toThrowError('Expected a table element');
+    await expect(pageHandler.getElements('.item')).rejects.toThrowError('Target closed');
+
+    // Assertions
+    const bundles = fs.readdirSync(directory).sort();
+    expect(bundles.map((bundle) => bundle.replace(/^.*-\d+-/, ''))).toEqual(['extractTable', 'getElements']);
+    const report = JSON.parse(fs.readFileSync(path.join(directory, bundles[0], 'report.json'), 'utf8'));
+    expect(report.selector).toBe('#list');
+  });
+
+  it('should share one instance between the handlers of a page, and rebind instances of other pages', () => {
+    const page = createPage();
+    const first = new PageHandler(page, { logger, diagnostics: { directory } });
+    const second = new PageHandler(page, { logger, diagnostics: true });
+    const other = new PageHandler(createPage(), { logger, diagnostics: first.diagnostics });
+
+    // Assertions
+    expect(second.diagnostics).toBe(first.diagnostics);
+    expect(page.listenerCount('console')).toBe(1);
+    expect(other.diagnostics).not.toBe(first.diagnostics);
+    expect(other.diagnostics.page).toBe(other.page);
+    expect(other.diagnostics.directory).toBe(directory);
+  });
+
+  it('should warn when the options of a later handler are ignored', () => {
+    const page = createPage();
+    const warnings = [];
+    const warnLogger = Object.assign(Logger.silent(), { warn: (message) => warnings.push(message) });
+    const first = new PageHandler(page, { logger, diagnostics: { directory } });
+    const second = new PageHandler(page, { logger: warnLogger, diagnostics: { directory: 'elsewhere' } });
+
+    // Assertions
+    expect(second.diagnostics).toBe(first.diagnostics);
+    expect(second.diagnostics.directory).toBe(directory);
+    expect(warnings).toEqual(['Diagnostics are already attached to this page, ignoring the new diagnostics options; pass an instance to replace it']);
+  });
+
+  it('should watch the pages a handler opens with the same settings', () => {
+    const page = createPage();
+    const popup = createPage();
+    const pageHandler = new PageHandler(page, { logger, delayStrategy: new NoDelay(), diagnostics: { directory, html: false } });
+
+    const popupHandler = pageHandler.forPage(popup);
+    popup.emit('console', { type: () => 'error', text: () => 'in popup' });
+
+    // Assertions
+    expect(popupHandler.diagnostics).not.toBe(pageHandler.diagnostics);
+    expect(popupHandler.diagnostics).toMatchObject({ page: popup, directory, html: false });
+    expect(popupHandler.diagnostics.consoleMessages.map(({ text }) => text)).toEqual(['in popup']);
+    expect(pageHandler.diagnostics.consoleMessages).toEqual([]);
+    expect(popupHandler.downloadManager).toBe(pageHandler.downloadManager);
+  });
+});
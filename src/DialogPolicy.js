@@ -0,0 +1,184 @@
+const { Logger } = require('./Logger');
+
+/**
+ * Policy answering the dialogs of each page; a page has at most one, shared by all its handlers
+ * @type {WeakMap<import('playwright').Page, DialogPolicy>}
+ */
+const attachedPolicies = new WeakMap();
+
+/**
+ * @typedef {'accept'|'dismiss'} DialogAction
+ */
+
+/**
+ * @typedef {Object} PromptAnswer
+ * @property {string|RegExp} match - text contained in the prompt message, or a regular expression it matches
+ * @property {string|null} answer - text entered in the prompt; `null` dismisses it
+ */
+
+/**
+ * @typedef {Object} DialogPolicyOptions
+ * @property {DialogAction} [action='accept'] - what to do with dialogs
+ * @property {Object<string, DialogAction>} [actions] - overrides `action` by dialog type (`alert`, `confirm`, `prompt`, `beforeunload`)
+ * @property {PromptAnswer[]} [answers] - prompt answers, the first matching the message wins
+ * @property {string} [defaultAnswer] - answer of the prompts no answer matches (default: the prompt's default value)
+ * @property {number} [maxEntries=100] - most recent dialogs kept in the log
+ * @property {Logger} [logger] - logger for dialog messages (default: console text logger)
+ * @property {() => number} [now=Date.now] - clock, in milliseconds
+ */
+
+/**
+ * A dialog that appeared, and what the policy did with it
+ * @typedef {Object} DialogEntry
+ * @property {string} type - `alert`, `confirm`, `prompt` or `beforeunload`
+ * @property {string} message
+ * @property {DialogAction} action
+ * @property {string|null} answer - text entered in a prompt
+ * @property {string} url - page URL when the dialog appeared
+ * @property {string} timestamp - ISO time of the dialog
+ */
+
+/**
+ * Answers the `alert`, `confirm`, `prompt` and `beforeunload` dialogs of a page, so they never block
+ * an action, and keeps a log of what appeared
+ * @typedef {Object} DialogPolicy
+ * @property {import('playwright').Page} page
+ * @property {DialogEntry[]} entries - recent dialogs, oldest first
+ */
+class DialogPolicy {
+  /**
+   * @param {import('playwright').Page} page - page whose dialogs are answered
+   * @param {DialogPolicyOptions} [options] - policy options
+   */
+  constructor(page, options = {}) {
+    const { action = 'accept', actions = {}, answers = [], defaultAnswer, maxEntries = 100, now = Date.now } = options;
+
+    for (const value of [action, ...Object.values(actions)]) {
+      if (value !== 'accept' && value !== 'dismiss') {
+        throw new Error(`Invalid dialog action: ${value}`);
+      }
+    }
+
+    this.page = page;
+    this.options = { action, actions, answers, defaultAnswer, maxEntries, now };
+    this.logger = options.logger || new Logger();
+    this.entries = [];
+    this.listener = (dialog) => this.handle(dialog);
+  }
+
+  /**
+   * Normalizes the `dialogs` option of a handler into an attached instance.
+   * Handlers of the same page share the policy attached first, so each dialog is answered once;
+   * the options of later handlers are ignored with a warning, while an instance replaces the attached one
+   * @param {import('playwright').Page} page
+   * @param {DialogPolicy|DialogPolicyOptions|boolean} [dialogs] - `true` uses the default options, `false` or nothing disables it
+   * @param {Logger} [logger] - default logger
+   * @returns {DialogPolicy|null}
+   */
+  static from(page, dialogs, logger) {
+    if (!dialogs) {
+      return null;
+    }
+    if (dialogs instanceof DialogPolicy) {
+      return dialogs.page === page ? dialogs.attach() : dialogs.forPage(page);
+    }
+    const attached = attachedPolicies.get(page);
+    if (attached && dialogs !== true) {
+      (logger || attached.logger).warn(`A dialog policy is already attached to this page, ignoring the new dialogs options; pass an instance to replace it`, { action: 'dialog' });
+    }
+    return attached || new DialogPolicy(page, { logger, ...(dialogs === true ? {} : dialogs) }).attach();
+  }
+
+  /**
+   * Creates a policy with the same options for another page, e.g. a popup, unless that page already has one
+   * @param {import('playwright').Page} page
+   * @returns {DialogPolicy} the attached instance
+   */
+  forPage(page) {
+    const attached = attachedPolicies.get(page);
+    if (attached) {
+      this.logger.warn(`A dialog policy is already attached to this page, keeping its own settings`, { action: 'dialog' });
+      return attached;
+    }
+    return new DialogPolicy(page, { ...this.options, logger: this.logger }).attach();
+  }
+
+  /**
+   * Starts answering the dialogs of the page, in place of the policy attached to it before, if any
+   * @returns {DialogPolicy} this instance
+   */
+  attach() {
+    const current = attachedPolicies.get(this.page);
+    if (current === this) {
+      return this;
+    }
+    if (current) {
+      current.detach();
+    }
+    this.page.on('dialog', this.listener);
+    attachedPolicies.set(this.page, this);
+    return this;
+  }
+
+  /**
+   * Stops answering the dialogs of the page; Playwright dismisses them again
+   */
+  detach() {
+    if (attachedPolicies.get(this.page) === this) {
+      attachedPolicies.delete(this.page);
+    }
+    this.page.off('dialog', this.listener);
+  }
+
+  /**
+   * Returns what to do with a dialog
+   * @param {string} type - dialog type
+   * @param {string} message
+   * @param {string} defaultValue - default value of a prompt
+   * @returns {{action: DialogAction, answer: string|null}}
+   */
+  decide(type, message, defaultValue) {
+    const { action, actions, answers, defaultAnswer } = this.options;
+    const typeAction = actions[type] || action;
+    if (type !== 'prompt' || typeAction === 'dismiss') {
+      return { action: typeAction, answer: null };
+    }
+
+    const rule = answers.find(({ match }) => (match instanceof RegExp ? match.test(message) : message.includes(match)));
+    if (rule) {
+      return rule.answer === null ? { action: 'dismiss', answer: null } : { action: 'accept', answer: String(rule.answer) };
+    }
+    return { action: 'accept', answer: defaultAnswer !== undefined ? String(defaultAnswer) : defaultValue };
+  }
+
+  /**
+   * Answers a dialog and logs it
+   * @param {import('playwright').Dialog} dialog
+   */
+  async handle(dialog) {
+    const type = dialog.type();
+    const message = dialog.message();
+    const { action, answer } = this.decide(type, message, dialog.defaultValue());
+
+    /** @type {DialogEntry} */
+    const entry = { type, message, action, answer, url: this.page.url(), timestamp: new Date(this.options.now()).toISOString() };
+    this.entries.push(entry);
+    if (this.entries.length > this.options.maxEntries) {
+      this.entries.shift();
+    }
+
+    try {
+      if (action === 'accept') {
+        await (answer !== null ? dialog.accept(answer) : dialog.accept());
+      } else {
+        await dialog.dismiss();
+      }
+      this.logger.info(`${action === 'accept' ? 'Accepted' : 'Dismissed'} ${type} dialog: ${message}`, { action: 'dialog', type, url: entry.url });
+    } catch (error) {
+      // the page may close or navigate away while the dialog is open
+      this.logger.warn(`Could not answer ${type} dialog: ${error.message}`, { action: 'dialog', type, error });
+    }
+  }
+}
+
+module.exports = { DialogPolicy }
@@ -0,0 +1,104 @@
+const { EventEmitter } = require('events');
+const { DialogPolicy } = require('./DialogPolicy');
+const { Logger } = require('./Logger');
+const { PageHandler } = require('./PageHandler');
+
+/**
+ * Creates a fake dialog that records how it was answered
+ */
+function createDialog(type, message, defaultValue = '') {
+  const dialog = {
+    answered: null,
+    type: () => type,
+    message: () => message,
+    defaultValue: () => defaultValue,
+    accept: async (answer) => {
+      dialog.answered = ['accept', answer];
+    },
+    dismiss: async () => {
+      dialog.answered = ['dismiss'];
+    },
+  };
+  return dialog;
+}
+
+/**
+ * Creates a fake page
+ */
+function createPage() {
+  const page = new EventEmitter();
+  page.url = () => 'https://www.example.com/';
+  return page;
+}
+
+const logger = Logger.silent();
+
+describe('DialogPolicy', () => {
+  it('should answer dialogs by type and log them', async () => {
+    const page = createPage();
+    const policy = DialogPolicy.from(page, { actions: { confirm: 'dismiss' }, logger, now: () => 0 });
+    const alert = createDialog('alert', 'Saved');
+    const confirm = createDialog('confirm', 'Leave?');
+
+    await policy.handle(alert);
+    await policy.handle(confirm);
+
+    // Assertions
+    expect(alert.answered).toEqual(['accept', undefined]);
+    expect(confirm.answered).toEqual(['dismiss']);
+    expect(policy.entries).toEqual([
+      { type: 'alert', message: 'Saved', action: 'accept', answer: null, url: 'https://www.example.com/', timestamp: '1970-01-01T00:00:00.000Z' },
+      { type: 'confirm', message: 'Leave?', action: 'dismiss', answer: null, url: 'https://www.example.com/', timestamp: '1970-01-01T00:00:00.000Z' },
+    ]);
+    expect(page.listenerCount('dialog')).toBe(1);
+    policy.detach();
+    expect(page.listenerCount('dialog')).toBe(0);
+  });
+
+  it('should answer prompts from the matching answer, else the default one', () => {
+    const policy = new DialogPolicy(createPage(), {
+      logger,
+      answers: [{ match: 'name', answer: 'Ada' }, { match: /^Delete/, answer: null }],
+    });
+
+    // Assertions
+    expect(policy.decide('prompt', 'Your name?', '')).toEqual({ action: 'accept', answer: 'Ada' });
+    expect(policy.decide('prompt', 'Delete everything?', 'yes')).toEqual({ action: 'dismiss', answer: null });
+    expect(policy.decide('prompt', 'Age?', '42')).toEqual({ action: 'accept', answer: '42' });
+    expect(new DialogPolicy(createPage(), { defaultAnswer: 'n/a' }).decide('prompt', 'Age?', '42').answer).toBe('n/a');
+  });
+
+  it('should share one policy between the handlers of a page', async () => {
+    const page = createPage();
+    const first = new PageHandler(page, { logger, dialogs: true });
+    const second = new PageHandler(page, { logger, dialogs: { action: 'dismiss' } });
+    const alert = createDialog('alert', 'Saved');
+
+    page.emit('dialog', alert);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    // Assertions
+    expect(page.listenerCount('dialog')).toBe(1);
+    expect(second.dialogPolicy).toBe(first.dialogPolicy);
+    expect(first.getDialogLog()).toHaveLength(1);
+    expect(new PageHandler(createPage(), { logger, dialogs: first.dialogPolicy }).dialogPolicy).not.toBe(first.dialogPolicy);
+  });
+
+  it('should warn when the options of a later handler are ignored', () => {
+    const page = createPage();
+    const warnings = [];
+    const warnLogger = Object.assign(Logger.silent(), { warn: (message) => warnings.push(message) });
+    const first = new PageHandler(page, { logger, dialogs: { action: 'dismiss' } });
+    new PageHandler(page, { logger: warnLogger, dialogs: true });
+    const second = new PageHandler(page, { logger: warnLogger, dialogs: { action: 'accept' } });
+
+    // Assertions
+    expect(second.dialogPolicy).toBe(first.dialogPolicy);
+    expect(warnings).toEqual(['A dialog policy is already attached to this page, ignoring the new dialogs options; pass an instance to replace it']);
+  });
+
+  it('throw error when an action is invalid', () => {
+    expect(() => new DialogPolicy(createPage(), { action: 'ignore' })).toThrowError('Invalid dialog action');
+    expect(DialogPolicy.from(createPage(), false)).toBeNull();
+  });
+});
@@ -0,0 +1,174 @@
+const path = require('path');
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+const { WaitTimeoutError } = require('./waitConditions');
+
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+/**
+ * @typedef {Object} DownloadManagerOptions
+ * @property {string} [directory='downloads'] - directory the files are saved in
+ * @property {number} [timeout=30000] - maximum time to wait for a download to start, in milliseconds
+ * @property {boolean} [overwrite=false] - replaces existing files instead of adding a ` (N)` suffix to the name
+ * @property {FileManager} [fileManager] - file manager used to write the files
+ * @property {Logger} [logger] - logger for download messages (default: console text logger)
+ */
+
+/**
+ * A saved download
+ * @typedef {Object} DownloadResult
+ * @property {string} path - path of the saved file
+ * @property {string} filename - sanitized name of the saved file
+ * @property {string} suggestedFilename - name suggested by the server or the link
+ * @property {string} url - URL the file was downloaded from
+ * @property {number} size - size of the file, in bytes
+ * @property {string} sha256 - hex SHA-256 digest of the file
+ */
+
+/**
+ * Waits for the downloads triggered on a page and saves them to a directory with sanitized names,
+ * recording their size and SHA-256 digest
+ * @typedef {Object} DownloadManager
+ * @property {string} directory
+ * @property {number} timeout
+ * @property {DownloadResult[]} downloads - downloads saved so far, in order
+ */
+class DownloadManager {
+  /**
+   * @param {DownloadManagerOptions} [options] - download options
+   */
+  constructor(options = {}) {
+    const { directory = 'downloads', timeout = 30000, overwrite = false } = options;
+
+    this.directory = directory;
+    this.timeout = timeout;
+    this.overwrite = overwrite;
+    this.logger = options.logger || new Logger();
+    this.fileManager = options.fileManager || new FileManager({ logger: this.logger });
+    this.downloads = [];
+  }
+
+  /**
+   * Normalizes the `downloads` option of a handler into an instance
+   * @param {DownloadManager|DownloadManagerOptions} [downloads] - nothing uses the default options
+   * @param {Logger} [logger] - default logger
+   * @returns {DownloadManager}
+   */
+  static from(downloads, logger) {
+    if (downloads instanceof DownloadManager) {
+      return downloads;
+    }
+    return new DownloadManager({ logger, ...downloads });
+  }
+
+  /**
+   * Runs `trigger` and saves the download it starts on `page`
+   * @param {import('playwright').Page} page - page the download starts on
+   * @param {() => Promise<any>} trigger - action starting the download, e.g. a click
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - overrides the manager timeout
+   * @param {string} [options.filename] - name to save the file as (default: the suggested name)
+   * @returns {Promise<DownloadResult>}
+   * @throws {WaitTimeoutError} when no download starts in time
+   */
+  async capture(page, trigger, options = {}) {
+    const timeout = options.timeout !== undefined ? options.timeout : this.timeout;
+    const [download] = await Promise.all([waitForDownload(page, timeout), trigger()]);
+    return await this.save(download, options.filename);
+  }
+
+  /**
+   * Saves a download to the directory under a sanitized, unused name
+   * @param {import('playwright').Download} download
+   * @param {string} [filename] - name to save the file as (default: the suggested name)
+   * @returns {Promise<DownloadResult>}
+   */
+  async save(download, filename) {
+    try {
+      await this.fileManager.createDirectory(this.directory, true);
+      const suggestedFilename = download.suggestedFilename();
+      const name = await this.availableName(sanitizeFilename(filename || suggestedFilename));
+      const filePath = path.join(this.directory, name);
+
+      await download.saveAs(filePath);
+      const [size, sha256] = await Promise.all([this.fileManager.getFileSize(filePath), this.fileManager.hashFile(filePath)]);
+
+      /** @type {DownloadResult} */
+      const result = {
+        path: filePath,
+        filename: name,
+        suggestedFilename,
+        url: download.url(),
+        size,
+        sha256,
+      };
+      this.downloads.push(result);
+      this.logger.info(`Saved download: ${filePath} (${result.size} bytes)`, { action: 'download', path: filePath, url: result.url });
+      return result;
+    } catch (error) {
+      this.logger.error(`Error saving download: ${error}`, { action: 'download', url: download.url(), error });
+      throw error;
+    }
+  }
+
+  /**
+   * Returns `filename`, or `name (N).ext` if a file with that name already exists and overwriting is off
+   * @param {string} filename - sanitized file name
+   * @returns {Promise<string>}
+   */
+  async availableName(filename) {
+    if (this.overwrite) {
+      return filename;
+    }
+
+    const { name, ext } = path.parse(filename);
+    let candidate = filename;
+    for (let count = 1; await this.fileManager.fileExists(path.join(this.directory, candidate)); count++) {
+      candidate = `${name} (${count})${ext}`;
+    }
+    return candidate;
+  }
+}
+
+/**
+ * Waits for the next download of `page`
+ * @param {import('playwright').Page} page
+ * @param {number} timeout - milliseconds
+ * @returns {Promise<import('playwright').Download>}
+ */
+async function waitForDownload(page, timeout) {
+  try {
+    return await page.waitForEvent('download', { timeout });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new WaitTimeoutError('a download to start', timeout);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Turns a suggested file name into one that is safe on every platform: no path separators,
+ * control or reserved characters, no reserved device names, and at most 200 characters
+ * @param {string} filename
+ * @returns {string}
+ */
+function sanitizeFilename(filename) {
+  let sanitized = String(filename || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f\x7f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+/, '')
+    .replace(/[. ]+$/, '');
+
+  if (RESERVED_NAMES.test(sanitized)) {
+    sanitized = `_${sanitized}`;
+  }
+  if (sanitized.length > 200) {
+    const { name, ext } = path.parse(sanitized);
+    sanitized = name.slice(0, 200 - ext.length) + ext;
+  }
+  return sanitized || 'download';
+}
+
+module.exports = { DownloadManager, sanitizeFilename }
@@ -0,0 +1,88 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { DownloadManager, sanitizeFilename } = require('./DownloadManager');
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+
+/**
+ * Creates a fake download of `content`
+ */
+function createDownload(suggestedFilename, content) {
+  return {
+    suggestedFilename: () => suggestedFilename,
+    url: () => `https://www.example.com/files/${suggestedFilename}`,
+    saveAs: async (filePath) => fs.promises.writeFile(filePath, content),
+  };
+}
+
+const logger = Logger.silent();
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('DownloadManager', () => {
+  it('should save downloads with their size and SHA-256, without overwriting files', async () => {
+    const manager = new DownloadManager({ directory, logger, fileManager: new FileManager({ logger }) });
+
+    const first = await manager.save(createDownload('report.csv', 'a,b\n'));
+    const second = await manager.save(createDownload('report.csv', 'c,d\n'));
+
+    // Assertions
+    expect(first).toEqual({
+      path: path.join(directory, 'report.csv'),
+      filename: 'report.csv',
+      suggestedFilename: 'report.csv',
+      url: 'https://www.example.com/files/report.csv',
+      size: 4,
+      sha256: crypto.createHash('sha256').update('a,b\n').digest('hex'),
+    });
+    expect(second.filename).toBe('report (1).csv');
+    expect(fs.readFileSync(second.path, 'utf8')).toBe('c,d\n');
+    expect(manager.downloads).toEqual([first, second]);
+  });
+
+  it('should capture the download started by the trigger', async () => {
+    const manager = new DownloadManager({ directory, logger, fileManager: new FileManager({ logger }) });
+    const download = createDownload('../../etc/passwd', 'x');
+    const page = { waitForEvent: async (event) => (event === 'download' ? download : null) };
+    const trigger = jest.fn(async () => {});
+
+    const result = await manager.capture(page, trigger, { filename: 'saved:name.txt' });
+
+    // Assertions
+    expect(trigger).toHaveBeenCalledTimes(1);
+    expect(result.path).toBe(path.join(directory, 'saved_name.txt'));
+  });
+
+  it('throw error when no download starts in time', async () => {
+    const manager = new DownloadManager({ directory, logger, timeout: 50 });
+    const page = {
+      waitForEvent: async () => {
+        const error = new Error('Timeout 50ms exceeded while waiting for event "download"');
+        error.name = 'TimeoutError';
+        throw error;
+      },
+    };
+
+    await expect(manager.capture(page, async () => {})).rejects.toThrowError('Timed out after 50ms waiting for a download to start');
+  });
+});
+
+describe('sanitizeFilename', () => {
+  it('should make suggested names safe to save', () => {
+    expect(sanitizeFilename('../../etc/passwd')).toBe('_.._etc_passwd');
+    expect(sanitizeFilename('a<b>:c?.pdf')).toBe('a_b__c_.pdf');
+    expect(sanitizeFilename('  notes.txt. ')).toBe('notes.txt');
+    expect(sanitizeFilename('CON.txt')).toBe('_CON.txt');
+    expect(sanitizeFilename('...')).toBe('download');
+    expect(sanitizeFilename(`${'a'.repeat(300)}.zip`)).toHaveLength(200);
+  });
+});
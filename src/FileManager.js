@@ -1,10 +1,24 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { Logger } = require('./Logger');
+const { CsvWriter, NdjsonWriter } = require('./RecordWriter');
 
 /**
  * Manages the handling of files and directories 
  * @typedef {Object} FileManager
+ * @property {Logger} logger
  */
 class FileManager {
+  /**
+   * @param {Object} [options]
+   * @param {Logger} [options.logger] - logger for file operation messages (default: console text logger)
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger();
+  }
+
   /**
    * Creates a directory in the given path
    * @param {string} dirPath - directory path
@@ -13,9 +27,9 @@ class FileManager {
   async createDirectory(dirPath, recursive = false) {
     try {
       await fs.mkdir(dirPath, { recursive });
-      console.log(`directory already exist or it was created: ${dirPath}`);
+      this.logger.info(`directory already exist or it was created: ${dirPath}`, { action: 'createDirectory', path: dirPath });
     } catch (error) {
-      console.error(`Error creating directory ${dirPath}: ${error}`);
+      this.logger.error(`Error creating directory ${dirPath}: ${error}`, { action: 'createDirectory', path: dirPath, error });
       throw error;
     }
   }
@@ -45,13 +59,13 @@ class FileManager {
   async readFile(filePath, options) {
     try {
       const data = await fs.readFile(filePath, options);
-      console.log(`Read file at path: ${filePath}`);
+      this.logger.info(`Read file at path: ${filePath}`, { action: 'readFile', path: filePath });
       return data;
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.error('File not found:', error.message); // Handle file not found
+        this.logger.error(`File not found: ${error.message}`, { action: 'readFile', path: filePath, error }); // Handle file not found
       } else {
-        console.error('Error reading file:', error); // Handle other errors
+        this.logger.error(`Error reading file: ${error}`, { action: 'readFile', path: filePath, error }); // Handle other errors
       }
       throw error;
     }
@@ -65,9 +79,28 @@ class FileManager {
   async writeFile(filePath, data) {
     try {
       await fs.writeFile(filePath, data);
-      console.log(`Wrote data to file at: ${filePath}`);
+      this.logger.info(`Wrote data to file at: ${filePath}`, { action: 'writeFile', path: filePath });
+    } catch (error) {
+      this.logger.error(`Error writing file at ${filePath}: ${error}`, { action: 'writeFile', path: filePath, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Writes data to a temporary file next to `filePath`, then renames it over `filePath`,
+   * so readers never see a partially written file
+   * @param {string} filePath - path of file to write
+   * @param {string} data - contents to write on file
+   */
+  async writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.writeFile(tempPath, data);
+      await fs.rename(tempPath, filePath);
+      this.logger.info(`Wrote data atomically to file at: ${filePath}`, { action: 'writeFileAtomic', path: filePath });
     } catch (error) {
-      console.error(`Error writing file at ${filePath}: ${error}`);
+      await fs.rm(tempPath, { force: true }).catch(() => {});
+      this.logger.error(`Error writing file at ${filePath}: ${error}`, { action: 'writeFileAtomic', path: filePath, error });
       throw error;
     }
   }
@@ -80,9 +113,9 @@ class FileManager {
   async appendToFile(filePath, data) {
     try {
       await fs.appendFile(filePath, data);
-      console.log(`Appended data to file at path: ${filePath}`);
+      this.logger.info(`Appended data to file at path: ${filePath}`, { action: 'appendToFile', path: filePath });
     } catch (error) {
-      console.error(`Error appending to file ${filePath}: ${error}`);
+      this.logger.error(`Error appending to file ${filePath}: ${error}`, { action: 'appendToFile', path: filePath, error });
       throw error;
     }
   }
@@ -103,6 +136,38 @@ class FileManager {
     return await this.pathExist(filePath);
   }
 
+  /**
+   * Returns the size of a file in bytes
+   * @param {string} filePath - path of file
+   * @returns {Promise<number>}
+   */
+  async getFileSize(filePath) {
+    try {
+      const { size } = await fs.stat(filePath);
+      return size;
+    } catch (error) {
+      this.logger.error(`Error reading size of file ${filePath}: ${error}`, { action: 'getFileSize', path: filePath, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Returns the hex digest of a file, streaming it so large files aren't held in memory
+   * @param {string} filePath - path of file
+   * @param {string} [algorithm] - hash algorithm supported by `crypto.createHash` (`default = 'sha256'`)
+   * @returns {Promise<string>}
+   */
+  async hashFile(filePath, algorithm = 'sha256') {
+    try {
+      const hash = crypto.createHash(algorithm);
+      await pipeline(createReadStream(filePath), hash);
+      return hash.digest('hex');
+    } catch (error) {
+      this.logger.error(`Error hashing file ${filePath}: ${error}`, { action: 'hashFile', path: filePath, error });
+      throw error;
+    }
+  }
+
   /**
    * Saves the array of json testcase data as a json file in the given path
    * @param {string} filePath - The path to store the markdown file in
@@ -113,16 +178,56 @@ class FileManager {
     try {
       if (prettyPrint) {
         data = JSON.stringify(data, null, 2); // Prettified JSON
+      } else if (typeof data !== 'string') {
+        data = JSON.stringify(data);
       }
 
       await fs.writeFile(filePath, data);
-      console.log(`JSON file saved at path ${filePath}`);
+      this.logger.info(`JSON file saved at path ${filePath}`, { action: 'saveJson', path: filePath });
+    } catch (error) {
+      this.logger.error(`Error saving JSON file ${filePath}: ${error}`, { action: 'saveJson', path: filePath, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Reads a json file and returns its parsed contents
+   * @param {string} filePath - path of the json file
+   * @returns {Promise<any>} parsed json data
+   */
+  async readJson(filePath) {
+    const data = await this.readFile(filePath, 'utf8');
+    try {
+      return JSON.parse(data);
     } catch (error) {
-      console.error(`Error saving JSON file ${filePath}: ${error}`);
+      this.logger.error(`Error parsing JSON file ${filePath}: ${error}`, { action: 'readJson', path: filePath, error });
       throw error;
     }
   }
 
+  /**
+   * Creates a buffered CSV writer for large record sets. Columns are inferred from the
+   * first batch unless `columns` is given, and nested objects are flattened into columns.
+   * Call `close()` when done so every buffered record is written
+   * @param {string} filePath - path of the CSV file
+   * @param {import('./RecordWriter').RecordWriterOptions & import('./RecordWriter').CsvWriterOptions} [options] - writer options
+   * @returns {CsvWriter}
+   */
+  createCsvWriter(filePath, options = {}) {
+    return new CsvWriter(this, filePath, options);
+  }
+
+  /**
+   * Creates a buffered NDJSON writer that appends one JSON record per line.
+   * Call `close()` when done so every buffered record is written
+   * @param {string} filePath - path of the NDJSON file
+   * @param {import('./RecordWriter').RecordWriterOptions} [options] - writer options
+   * @returns {NdjsonWriter}
+   */
+  createNdjsonWriter(filePath, options = {}) {
+    return new NdjsonWriter(this, filePath, options);
+  }
+
   /**
    * Deletes the input path. if path is a `non-empty` directory,
    * `recursive` must equal `true`
@@ -131,14 +236,14 @@ class FileManager {
    */
   async deletePath(path, recursive = false) {
     try {
-      if (this.pathExist(path)) {
+      if (await this.pathExist(path)) {
         await fs.rm(path, { recursive });
-        console.log(`Deleted path: ${path}`);
+        this.logger.info(`Deleted path: ${path}`, { action: 'deletePath', path });
       } else {
-        console.warn(`Non-existing path can't be removed: ${path}`);
+        this.logger.warn(`Non-existing path can't be removed: ${path}`, { action: 'deletePath', path });
       }
     } catch (error) {
-      console.error(`Error deleting ${path}: ${error}`);
+      this.logger.error(`Error deleting ${path}: ${error}`, { action: 'deletePath', path, error });
       throw error;
     }
   }
@@ -150,9 +255,13 @@ class FileManager {
    */
   async pathExist(path) {
     try {
-      return await fs.existsSync(path);
+      await fs.access(path);
+      return true;
     } catch (error) {
-      console.error(`Error verifying existance of path ${path}: ${error}`);
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      this.logger.error(`Error verifying existance of path ${path}: ${error}`, { action: 'pathExist', path, error });
       throw error;
     }
   }
@@ -0,0 +1,304 @@
+const http = require('http');
+const { Logger } = require('./Logger');
+
+const PRODUCT_PAGES = 3;
+const PRODUCTS_PER_PAGE = 5;
+const HISTORY_PAGES = 3;
+
+/**
+ * Answers a fixture request: returns the HTML of the page, or a full response
+ * @callback FixtureHandler
+ * @param {{url: URL, method: string, body: string, headers: Object<string, string>}} request - parsed request
+ * @returns {string|FixtureResponse|Promise<string|FixtureResponse>}
+ */
+
+/**
+ * @typedef {Object} FixtureResponse
+ * @property {number} [status=200]
+ * @property {Object<string, string>} [headers] - response headers (default content type: `text/html`)
+ * @property {string|Buffer} [body='']
+ * @property {number} [delay=0] - milliseconds to wait before answering
+ */
+
+/**
+ * @typedef {Object} FixtureServerOptions
+ * @property {number} [port=0] - port to listen on (`0` picks a free port)
+ * @property {string} [host='127.0.0.1'] - interface to listen on
+ * @property {Object<string, string|FixtureHandler>} [pages] - extra pages by pathname, added to the built-in ones
+ * @property {Logger} [logger] - logger for server messages (default: silent)
+ */
+
+/**
+ * Local HTTP server with canned pages, so the library can be tested offline.
+ * Built-in pages:
+ * - `/` links to every fixture
+ * - `/history/1` to `/history/3` linked pages for back/forward navigation
+ * - `/form` form with text, email, number, textarea, select, checkbox and radio fields, posting to `/form/submit`
+ * - `/products?page=N` paginated listing with a `Next` link, and `/api/products?page=N` its JSON API
+ * - `/iframe` page embedding `/iframe/inner`
+ * - `/download?name=NAME` text file served as an attachment named `NAME`
+ * - `/slow?ms=N` page answered after `N` milliseconds
+ * - `/status/N` page answered with status `N`, e.g. `/status/404`
+ * - `/redirect?to=PATH` redirects to `PATH`
+ * @typedef {Object} FixtureServer
+ * @property {string|null} baseUrl - e.g. `http://127.0.0.1:41234`, `null` until started
+ * @property {Array<{method: string, url: string}>} requests - requests received, in order
+ */
+class FixtureServer {
+  /**
+   * @param {FixtureServerOptions} [options] - server options
+   */
+  constructor(options = {}) {
+    const { port = 0, host = '127.0.0.1', pages = {}, logger } = options;
+
+    this.port = port;
+    this.host = host;
+    this.logger = logger || Logger.silent();
+    this.pages = new Map(Object.entries({ ...builtInPages(), ...pages }));
+    this.requests = [];
+    this.timers = new Set();
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Adds or replaces a page
+   * @param {string} pathname - e.g. `/login`
+   * @param {string|FixtureHandler} page - HTML of the page, or its handler
+   * @returns {FixtureServer} this server
+   */
+  addPage(pathname, page) {
+    this.pages.set(pathname, page);
+    return this;
+  }
+
+  /**
+   * Returns the absolute URL of `pathname` on the server
+   * @param {string} [pathname='/']
+   * @returns {string}
+   */
+  url(pathname = '/') {
+    if (!this.baseUrl) {
+      throw new Error('The fixture server is not started');
+    }
+    return new URL(pathname, this.baseUrl).href;
+  }
+
+  /**
+   * Starts listening
+   * @returns {Promise<FixtureServer>} this server
+   */
+  async start() {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.baseUrl = `http://${this.host}:${this.server.address().port}`;
+    this.logger.info(`Fixture server listening on: ${this.baseUrl}`, { action: 'startFixtureServer', url: this.baseUrl });
+    return this;
+  }
+
+  /**
+   * Stops listening and drops pending slow responses
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.timers.clear();
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+    this.baseUrl = null;
+  }
+
+  /**
+   * Answers a request with the page registered for its pathname
+   * @param {http.IncomingMessage} request
+   * @param {http.ServerResponse} response
+   */
+  async handle(request, response) {
+    const url = new URL(request.url, this.baseUrl);
+    this.requests.push({ method: request.method, url: url.href });
+
+    let result;
+    try {
+      const chunks = [];
+      for await (const chunk of request) {
+        chunks.push(chunk);
+      }
+      const page = this.findPage(url.pathname);
+      result = typeof page === 'function'
+        ? await page({ url, method: request.method, body: Buffer.concat(chunks).toString(), headers: request.headers })
+        : page;
+    } catch (error) {
+      this.logger.error(`Fixture error on ${url.pathname}: ${error}`, { action: 'fixtureServer', url: url.href, error });
+      result = { status: 500, body: layout('Error', `<p>${escapeHtml(error.message)}</p>`) };
+    }
+
+    const { status = 200, headers = {}, body = '', delay = 0 } = typeof result === 'string' ? { body: result } : result;
+    const send = () => {
+      response.writeHead(status, { 'content-type': 'text/html; charset=utf-8', ...headers });
+      response.end(body);
+    };
+    if (delay > 0) {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        send();
+      }, delay);
+      this.timers.add(timer);
+    } else {
+      send();
+    }
+  }
+
+  /**
+   * Returns the page of a pathname; patterns ending with `/*` match any last segment
+   * @param {string} pathname
+   * @returns {string|FixtureHandler}
+   */
+  findPage(pathname) {
+    if (this.pages.has(pathname)) {
+      return this.pages.get(pathname);
+    }
+    const wildcard = `${pathname.slice(0, pathname.lastIndexOf('/'))}/*`;
+    if (this.pages.has(wildcard)) {
+      return this.pages.get(wildcard);
+    }
+    return { status: 404, body: layout('Not Found', '<h1>Not Found</h1>') };
+  }
+}
+
+/**
+ * @returns {Object<string, string|FixtureHandler>}
+ */
+function builtInPages() {
+  return {
+    '/': layout('Fixtures', `
+      <h1>Fixtures</h1>
+      <ul>
+        <li><a href="/history/1">History</a></li>
+        <li><a href="/form">Form</a></li>
+        <li><a href="/products?page=1">Products</a></li>
+        <li><a href="/iframe">Iframe</a></li>
+        <li><a href="/slow?ms=1000">Slow page</a></li>
+        <li><a href="/status/404">Missing page</a></li>
+      </ul>`),
+
+    '/history/*': ({ url }) => {
+      const number = Number(url.pathname.split('/').pop());
+      if (!Number.isInteger(number) || number < 1 || number > HISTORY_PAGES) {
+        return { status: 404, body: layout('Not Found', '<h1>Not Found</h1>') };
+      }
+      const next = number < HISTORY_PAGES ? `<a id="next" href="/history/${number + 1}">Next</a>` : '';
+      return layout(`History ${number}`, `<h1>History ${number}</h1>${next}`);
+    },
+
+    '/form': layout('Form', `
+      <form id="form" action="/form/submit" method="post">
+        <input name="name" type="text" placeholder="Name" required>
+        <input name="email" type="email" placeholder="Email">
+        <input name="age" type="number">
+        <textarea name="message"></textarea>
+        <select name="country">
+          <option value="">Choose</option>
+          <option value="fr">France</option>
+          <option value="jp">Japan</option>
+        </select>
+        <label><input name="newsletter" type="checkbox" value="yes"> Newsletter</label>
+        <label><input name="plan" type="radio" value="free" checked> Free</label>
+        <label><input name="plan" type="radio" value="pro"> Pro</label>
+        <button type="submit">Send</button>
+      </form>`),
+
+    '/form/submit': ({ body }) => {
+      const fields = [...new URLSearchParams(body)]
+        .map(([name, value]) => `<li data-name="${escapeHtml(name)}">${escapeHtml(value)}</li>`)
+        .join('');
+      return layout('Submitted', `<h1>Submitted</h1><ul id="fields">${fields}</ul>`);
+    },
+
+    '/products': ({ url }) => {
+      const number = Number(url.searchParams.get('page') || 1);
+      const items = products(number)
+        .map(({ name, price }) => `<li class="product"><span class="name">${name}</span> <span class="price">${price}</span></li>`)
+        .join('');
+      const next = number < PRODUCT_PAGES ? `<a id="next" href="/products?page=${number + 1}">Next</a>` : '';
+      return layout(`Products ${number}`, `<ul id="products">${items}</ul>${next}`);
+    },
+
+    '/api/products': ({ url }) => {
+      const number = Number(url.searchParams.get('page') || 1);
+      return {
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ page: number, pages: PRODUCT_PAGES, items: products(number) }),
+      };
+    },
+
+    '/iframe': layout('Iframe', '<h1>Outer</h1><iframe id="frame" name="inner" src="/iframe/inner"></iframe>'),
+
+    '/iframe/inner': layout('Inner', '<h1>Inner</h1><button id="inner-button">Inner button</button>'),
+
+    '/download': ({ url }) => ({
+      headers: {
+        'content-type': 'text/plain',
+        'content-disposition': `attachment; filename="${(url.searchParams.get('name') || 'file.txt').replace(/["\\]/g, '')}"`,
+      },
+      body: 'downloaded content\n',
+    }),
+
+    '/slow': ({ url }) => ({
+      delay: Number(url.searchParams.get('ms') || 1000),
+      body: layout('Slow', '<h1>Slow</h1>'),
+    }),
+
+    '/status/*': ({ url }) => {
+      const status = Number(url.pathname.split('/').pop());
+      return {
+        status: status >= 200 && status < 600 ? status : 400,
+        body: layout(`Status ${status}`, `<h1>Status ${status}</h1>`),
+      };
+    },
+
+    '/redirect': ({ url }) => ({
+      status: 302,
+      headers: { location: url.searchParams.get('to') || '/' },
+    }),
+  };
+}
+
+/**
+ * Returns the products of a listing page; pages past the last one are empty
+ * @param {number} number - page number, from `1`
+ * @returns {Array<{name: string, price: string}>}
+ */
+function products(number) {
+  if (!(number >= 1 && number <= PRODUCT_PAGES)) {
+    return [];
+  }
+  return Array.from({ length: PRODUCTS_PER_PAGE }, (_, index) => {
+    const id = (number - 1) * PRODUCTS_PER_PAGE + index + 1;
+    return { name: `Product ${id}`, price: `$${id}.00` };
+  });
+}
+
+/**
+ * @param {string} title
+ * @param {string} body
+ * @returns {string}
+ */
+function layout(title, body) {
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = { FixtureServer }
@@ -0,0 +1,87 @@
+const { FixtureServer } = require('./FixtureServer');
+
+let server;
+
+beforeAll(async () => {
+  server = await new FixtureServer({
+    pages: {
+      '/custom': '<p>custom</p>',
+      '/echo': ({ method, body }) => ({ headers: { 'content-type': 'text/plain' }, body: `${method} ${body}` }),
+      '/broken': () => {
+        throw new Error('broken fixture');
+      },
+    },
+  }).start();
+});
+
+afterAll(async () => {
+  await server.stop();
+});
+
+describe('FixtureServer', () => {
+  it('should serve built-in and custom pages', async () => {
+    const index = await fetch(server.url('/'));
+    const custom = await fetch(server.url('/custom'));
+
+    // Assertions
+    expect(index.status).toBe(200);
+    expect(await index.text()).toContain('href="/form"');
+    expect(await custom.text()).toBe('<p>custom</p>');
+  });
+
+  it('should paginate products until the last page', async () => {
+    const first = await (await fetch(server.url('/products?page=1'))).text();
+    const last = await (await fetch(server.url('/products?page=3'))).text();
+    const api = await (await fetch(server.url('/api/products?page=2'))).json();
+
+    // Assertions
+    expect(first).toContain('Product 1');
+    expect(first).toContain('href="/products?page=2"');
+    expect(last).toContain('Product 15');
+    expect(last).not.toContain('id="next"');
+    expect(api).toMatchObject({ page: 2, pages: 3 });
+    expect(api.items[0]).toEqual({ name: 'Product 6', price: '$6.00' });
+  });
+
+  it('should echo submitted form fields', async () => {
+    const response = await fetch(server.url('/form/submit'), {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: 'name=Ada&message=%3Chi%3E',
+    });
+
+    // Assertions
+    const html = await response.text();
+    expect(html).toContain('<li data-name="name">Ada</li>');
+    expect(html).toContain('<li data-name="message">&#60;hi&#62;</li>');
+  });
+
+  it('should answer with status codes, redirects and delays', async () => {
+    const missing = await fetch(server.url('/status/503'));
+    const unknown = await fetch(server.url('/nowhere'));
+    const redirect = await fetch(server.url('/redirect?to=/history/2'), { redirect: 'manual' });
+    const broken = await fetch(server.url('/broken'));
+    const start = Date.now();
+    await fetch(server.url('/slow?ms=200'));
+
+    // Assertions
+    expect(missing.status).toBe(503);
+    expect(unknown.status).toBe(404);
+    expect(redirect.status).toBe(302);
+    expect(redirect.headers.get('location')).toBe('/history/2');
+    expect(broken.status).toBe(500);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+  });
+
+  it('should record received requests', async () => {
+    server.requests = [];
+    await fetch(server.url('/echo'), { method: 'POST', body: 'payload' });
+
+    // Assertions
+    expect(server.requests).toEqual([{ method: 'POST', url: server.url('/echo') }]);
+  });
+
+  it('throw error when building URLs before start', () => {
+    expect(() => new FixtureServer().url('/')).toThrowError();
+  });
+});
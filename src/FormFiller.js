@@ -0,0 +1,296 @@
+const TEXT_TYPES = ['text', 'email', 'password', 'search', 'tel', 'url', 'number', 'textarea', 'contenteditable'];
+const DATE_FORMATS = { date: [0, 10], 'datetime-local': [0, 16], month: [0, 7], time: [11, 16] };
+const NETWORK_IDLE_TIME = 500;
+
+/**
+ * @typedef {Object} FillFormOptions
+ * @property {boolean} [submit=false] - submits the form once filled
+ * @property {string} [submitSelector] - CSS selector of the submit button (default: the form's `[type=submit]`, else `requestSubmit()`)
+ * @property {boolean} [waitForNavigation=true] - waits for the navigation triggered by the submit, or, for forms
+ * submitted without navigating (AJAX, single-page apps), until the page has no request in flight for `networkIdle` milliseconds
+ * @property {number|false} [networkIdle=500] - milliseconds without any request in flight that settle a submit which didn't navigate;
+ * raise it for submit handlers that navigate after a pause, or set `false` to wait for the navigation only
+ * @property {'load'|'domcontentloaded'|'networkidle'} [waitUntil='load'] - load state awaited after the navigation
+ * @property {number} [timeout=30000] - maximum time to wait for the navigation or the network to go idle, in milliseconds
+ * @property {boolean} [strict=false] - throws when a field is missing or couldn't be filled
+ * @property {number} [waitMin=3000] - minimum wait once done, in milliseconds
+ * @property {number} [waitMax=7000] - maximum wait once done, in milliseconds
+ */
+
+/**
+ * Outcome of filling a form
+ * @typedef {Object} FillFormReport
+ * @property {string[]} filled - fields that were filled
+ * @property {string[]} missing - fields that matched no element of the form
+ * @property {Array<{field: string, error: string}>} failed - fields whose element couldn't be filled
+ * @property {boolean} submitted - `true` if the form was submitted
+ */
+
+/**
+ * Fills the fields of a form from a map of field names or labels to values, picking the
+ * interaction each field needs: typing for text inputs, `selectOption` for selects,
+ * checking for checkboxes and radios, and `setInputFiles` for file inputs.
+ * Fields are looked up by `name`, then `id`, then label text, then placeholder
+ * @typedef {Object} FormFiller
+ * @property {import('./PageHandler').PageHandler} pageHandler
+ * @property {import('playwright').Locator} form
+ */
+class FormFiller {
+  /**
+   * @param {import('./PageHandler').PageHandler} pageHandler - handler of the page with the form
+   * @param {import('playwright').Locator} form - the form element
+   * @param {import('./PageHandler').ActionOptions} [actionOptions={}] - per-call action options, e.g. `humanize`
+   */
+  constructor(pageHandler, form, actionOptions = {}) {
+    this.pageHandler = pageHandler;
+    this.form = form;
+    this.actionOptions = actionOptions;
+    this.humanInput = pageHandler.getHumanInput(actionOptions);
+  }
+
+  /**
+   * Fills every field of `values`, reporting the ones that couldn't be found or filled
+   * @param {Object<string, any>} values - values by field name, id, label or placeholder.
+   * Checkboxes take booleans (or the values to check in a group), radios and selects the option value or label,
+   * file inputs file paths, date inputs `Date` objects or formatted strings
+   * @returns {Promise<FillFormReport>}
+   */
+  async fill(values) {
+    const report = { filled: [], missing: [], failed: [], submitted: false };
+
+    for (const [field, value] of Object.entries(values)) {
+      const locator = await this.findField(field);
+      if (!locator) {
+        report.missing.push(field);
+        continue;
+      }
+
+      try {
+        await this.fillField(locator, value);
+        report.filled.push(field);
+      } catch (error) {
+        report.failed.push({ field, error: error.message });
+      }
+    }
+    return report;
+  }
+
+  /**
+   * Returns the elements of a field, or `null` if none matches
+   * @param {string} field - field name, id, label text or placeholder
+   * @returns {Promise<import('playwright').Locator|null>}
+   */
+  async findField(field) {
+    const quoted = JSON.stringify(field);
+    const candidates = [
+      this.form.locator(`[name=${quoted}]`),
+      this.form.locator(`[id=${quoted}]`),
+      this.form.getByLabel(field, { exact: true }),
+      this.form.locator(`[placeholder=${quoted}]`),
+    ];
+    for (const candidate of candidates) {
+      if (await candidate.count() > 0) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Fills the elements of a field with `value`, according to their type
+   * @param {import('playwright').Locator} locator - every element of the field (radio and checkbox groups have several)
+   * @param {any} value
+   */
+  async fillField(locator, value) {
+    const type = await locator.first().evaluate((element) => {
+      if (element.isContentEditable) {
+        return 'contenteditable';
+      }
+      const tag = element.tagName.toLowerCase();
+      return tag === 'input' ? (element.getAttribute('type') || 'text').toLowerCase() : tag;
+    });
+
+    if (type === 'select') {
+      await locator.first().selectOption(Array.isArray(value) ? value.map(String) : String(value));
+    } else if (type === 'checkbox') {
+      await this.fillCheckboxes(locator, value);
+    } else if (type === 'radio') {
+      await this.checkRadio(locator, value);
+    } else if (type === 'file') {
+      await locator.first().setInputFiles(value);
+    } else if (DATE_FORMATS[type]) {
+      await locator.first().fill(formatDate(value, type));
+    } else if (TEXT_TYPES.includes(type)) {
+      await this.typeInto(locator.first(), value === null || value === undefined ? '' : String(value));
+    } else {
+      await locator.first().fill(String(value));
+    }
+  }
+
+  /**
+   * Checks or unchecks a checkbox with a boolean, or checks the boxes of a group whose values are listed
+   * @param {import('playwright').Locator} locator
+   * @param {boolean|string|string[]} value
+   */
+  async fillCheckboxes(locator, value) {
+    if (typeof value === 'boolean') {
+      await locator.first().setChecked(value);
+      return;
+    }
+
+    const wanted = [].concat(value).map(String);
+    for (const checkbox of await locator.all()) {
+      await checkbox.setChecked(wanted.includes(await checkbox.getAttribute('value')));
+    }
+  }
+
+  /**
+   * Checks the radio of a group whose value, or else label, is `value`
+   * @param {import('playwright').Locator} locator
+   * @param {string} value
+   */
+  async checkRadio(locator, value) {
+    for (const radio of await locator.all()) {
+      if (await radio.getAttribute('value') === String(value)) {
+        await radio.check();
+        return;
+      }
+    }
+
+    const byLabel = this.form.getByLabel(String(value), { exact: true });
+    if (await byLabel.count() === 0) {
+      throw new Error(`No radio option with value or label: ${value}`);
+    }
+    await byLabel.first().check();
+  }
+
+  /**
+   * Types text into a field, through the humanized input when it is on
+   * @param {import('playwright').Locator} locator
+   * @param {string} text
+   */
+  async typeInto(locator, text) {
+    if (this.humanInput) {
+      await this.humanInput.type(locator, text);
+    } else {
+      await locator.fill(text);
+    }
+  }
+
+  /**
+   * Submits the form, and waits for the navigation it triggers or, when it doesn't navigate,
+   * for the requests it sends to settle; whichever comes first
+   * @param {FillFormOptions} [options]
+   */
+  async submit(options = {}) {
+    const { submitSelector, waitForNavigation = true, waitUntil = 'load', timeout = 30000, networkIdle = NETWORK_IDLE_TIME } = options;
+    const page = this.pageHandler.page;
+    // a form inside an iframe navigates that frame, not the page
+    const formFrame = waitForNavigation ? await this.getFrame() : null;
+
+    const navigation = waitForNavigation
+      ? page.waitForEvent('framenavigated', { predicate: (frame) => frame === formFrame, timeout }).then(() => 'navigation')
+      : null;
+    // the navigation wait must not reject unhandled if the submit itself throws
+    navigation && navigation.catch(() => {});
+    const idleWatcher = waitForNavigation && networkIdle !== false ? watchNetworkIdle(page, networkIdle) : null;
+
+    try {
+      const button = submitSelector ? this.pageHandler.locator(submitSelector) : this.form.locator('[type=submit]');
+      if (await button.count() > 0) {
+        await (this.humanInput ? this.humanInput.click(button.first()) : button.first().click());
+      } else {
+        await this.form.evaluate((form) => form.requestSubmit());
+      }
+
+      if (navigation) {
+        // the navigation wait rejects with a timeout when neither happens
+        const outcome = await (idleWatcher ? Promise.race([navigation, idleWatcher.idle()]) : navigation);
+        if (outcome === 'navigation') {
+          await formFrame.waitForLoadState(waitUntil, { timeout });
+        }
+      }
+    } finally {
+      idleWatcher && idleWatcher.stop();
+    }
+  }
+
+  /**
+   * Returns the frame the form is in
+   * @returns {Promise<import('playwright').Frame>}
+   */
+  async getFrame() {
+    const handle = await this.form.elementHandle();
+    try {
+      return await handle.ownerFrame();
+    } finally {
+      await handle.dispose();
+    }
+  }
+}
+
+/**
+ * Counts the requests of `page` in flight from now on
+ * @param {import('playwright').Page} page
+ * @param {number} idleTime - milliseconds
+ * @returns {{idle: () => Promise<string>, stop: () => void}} `idle()` resolves to `'idle'` once no request
+ * has been in flight for `idleTime` milliseconds after it is called; `stop()` stops counting
+ */
+function watchNetworkIdle(page, idleTime) {
+  let inFlight = 0;
+  let timer = null;
+  let waiting = false;
+  let resolveIdle;
+  const idle = new Promise((resolve) => {
+    resolveIdle = resolve;
+  });
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = waiting && inFlight === 0 ? setTimeout(() => resolveIdle('idle'), idleTime) : null;
+  };
+  const onRequest = () => {
+    inFlight++;
+    clearTimeout(timer);
+  };
+  const onDone = () => {
+    // requests sent before counting started may finish while it runs
+    inFlight = Math.max(0, inFlight - 1);
+    schedule();
+  };
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+
+  return {
+    idle: () => {
+      waiting = true;
+      schedule();
+      return idle;
+    },
+    stop: () => {
+      waiting = false;
+      clearTimeout(timer);
+      page.off('request', onRequest);
+      page.off('requestfinished', onDone);
+      page.off('requestfailed', onDone);
+    },
+  };
+}
+
+/**
+ * Formats a date for a date, datetime-local, month or time input; strings are kept as they are
+ * @param {Date|string} value
+ * @param {string} type - input type
+ * @returns {string}
+ */
+function formatDate(value, type) {
+  if (!(value instanceof Date)) {
+    return String(value);
+  }
+  // local time, as the input shows it
+  const local = new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString();
+  return local.slice(...DATE_FORMATS[type]);
+}
+
+module.exports = { FormFiller, formatDate }
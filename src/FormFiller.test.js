@@ -0,0 +1,146 @@
+const { EventEmitter } = require('events');
+const { FormFiller, formatDate } = require('./FormFiller');
+
+/**
+ * Creates a fake field locator of the given input type
+ */
+function createField(type, calls) {
+  const field = {
+    count: async () => 1,
+    first: () => field,
+    all: async () => [field],
+    evaluate: async () => type,
+    fill: async (value) => calls.push(['fill', value]),
+    selectOption: async (value) => calls.push(['selectOption', value]),
+    setChecked: async (checked) => calls.push(['setChecked', checked]),
+    setInputFiles: async (files) => calls.push(['setInputFiles', files]),
+  };
+  return field;
+}
+
+/**
+ * Creates a fake form whose fields are found by name
+ */
+function createForm(fieldsByName) {
+  const none = { count: async () => 0 };
+  return {
+    locator: (selector) => {
+      const match = selector.match(/^\[name="(.*)"\]$/);
+      return (match && fieldsByName[match[1]]) || none;
+    },
+    getByLabel: () => none,
+  };
+}
+
+describe('FormFiller', () => {
+  it('should pick the interaction of each field type and report missing fields', async () => {
+    const calls = [];
+    const form = createForm({
+      q: createField('search', calls),
+      country: createField('select', calls),
+      newsletter: createField('checkbox', calls),
+      cv: createField('file', calls),
+    });
+    const filler = new FormFiller({ getHumanInput: () => null }, form);
+
+    const report = await filler.fill({ q: 'shoes', country: 'fr', newsletter: true, cv: 'cv.pdf', unknown: 'x' });
+
+    // Assertions
+    expect(calls).toEqual([
+      ['fill', 'shoes'],
+      ['selectOption', 'fr'],
+      ['setChecked', true],
+      ['setInputFiles', 'cv.pdf'],
+    ]);
+    expect(report).toEqual({ filled: ['q', 'country', 'newsletter', 'cv'], missing: ['unknown'], failed: [], submitted: false });
+  });
+
+  it('should report fields that fail to fill', async () => {
+    const field = createField('text', []);
+    field.fill = async () => {
+      throw new Error('element is disabled');
+    };
+    const filler = new FormFiller({ getHumanInput: () => null }, createForm({ name: field }));
+
+    const report = await filler.fill({ name: 'Ada' });
+
+    // Assertions
+    expect(report.failed).toEqual([{ field: 'name', error: 'element is disabled' }]);
+  });
+});
+
+describe('submit', () => {
+  /**
+   * Creates a fake page and form whose submit button runs `onClick(page, frame)`
+   */
+  function createSubmittable(onClick) {
+    const page = new EventEmitter();
+    const frame = { loadStates: [], waitForLoadState: async (state) => frame.loadStates.push(state) };
+    page.waitForEvent = (event, { predicate }) => new Promise((resolve) => {
+      page.on(event, function listener(value) {
+        if (predicate(value)) {
+          page.off(event, listener);
+          resolve(value);
+        }
+      });
+    });
+    const button = { count: async () => 1, first: () => button, click: async () => onClick(page, frame) };
+    const form = {
+      locator: () => button,
+      elementHandle: async () => ({ ownerFrame: async () => frame, dispose: async () => {} }),
+    };
+    return { filler: new FormFiller({ page, getHumanInput: () => null }, form), page, frame };
+  }
+
+  it('should wait for the navigation the submit triggers', async () => {
+    const { filler, page, frame } = createSubmittable((page, frame) => {
+      page.emit('request');
+      setTimeout(() => page.emit('framenavigated', frame), 10);
+    });
+
+    await filler.submit();
+
+    // Assertions
+    expect(frame.loadStates).toEqual(['load']);
+    expect(page.listenerCount('request')).toBe(0);
+  });
+
+  it('should settle once the requests of a form that does not navigate finish', async () => {
+    const { filler, page, frame } = createSubmittable((page) => {
+      page.emit('request');
+      setTimeout(() => page.emit('requestfinished'), 10);
+    });
+
+    await filler.submit({ timeout: 5000 });
+
+    // Assertions
+    expect(frame.loadStates).toEqual([]);
+    expect(page.listenerCount('requestfinished')).toBe(0);
+  });
+
+  it('should wait for a navigation that follows a quiet pause within the idle window', async () => {
+    const navigateAfter = (delay) => (page, frame) => setTimeout(() => page.emit('framenavigated', frame), delay);
+    const slow = createSubmittable(navigateAfter(100));
+    const navigationOnly = createSubmittable(navigateAfter(100));
+
+    await slow.filler.submit({ networkIdle: 300 });
+    await navigationOnly.filler.submit({ networkIdle: false });
+
+    // Assertions
+    expect(slow.frame.loadStates).toEqual(['load']);
+    expect(navigationOnly.frame.loadStates).toEqual(['load']);
+  });
+});
+
+describe('formatDate', () => {
+  it('should format dates for each date input type', () => {
+    const date = new Date(2024, 0, 2, 13, 45);
+
+    // Assertions
+    expect(formatDate(date, 'date')).toBe('2024-01-02');
+    expect(formatDate(date, 'datetime-local')).toBe('2024-01-02T13:45');
+    expect(formatDate(date, 'month')).toBe('2024-01');
+    expect(formatDate(date, 'time')).toBe('13:45');
+    expect(formatDate('2024-05-06', 'date')).toBe('2024-05-06');
+  });
+});
@@ -0,0 +1,278 @@
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+/**
+ * A range of milliseconds or pixels, picked uniformly
+ * @typedef {[number, number]} Range
+ */
+
+/**
+ * @typedef {Object} HumanInputOptions
+ * @property {Range} [keyDelay=[50, 180]] - delay between keystrokes, in milliseconds
+ * @property {number} [typoRate=0.03] - probability of hitting a neighbouring key and correcting it with Backspace
+ * @property {Range} [mouseSteps=[15, 35]] - number of mouse moves along the path to a target
+ * @property {Range} [moveDelay=[5, 20]] - delay between mouse moves, in milliseconds
+ * @property {Range} [hoverDelay=[150, 500]] - dwell on the target before clicking, in milliseconds
+ * @property {Range} [clickDelay=[40, 140]] - time the mouse button stays down, in milliseconds
+ * @property {Range} [scrollStep=[80, 240]] - pixels per wheel scroll
+ * @property {Range} [scrollDelay=[40, 160]] - delay between wheel scrolls, in milliseconds
+ * @property {() => number} [random=Math.random] - random number source in `[0, 1)`
+ */
+
+/**
+ * @typedef {{x: number, y: number}} Point
+ */
+
+/**
+ * Drives the mouse and the keyboard like a person: wheel scrolling to bring elements into view,
+ * curved mouse paths, hover dwell before clicks, and per-keystroke typing with occasional corrections
+ * @typedef {Object} HumanInput
+ * @property {import('playwright').Page} page
+ * @property {Point} position - last known mouse position
+ */
+class HumanInput {
+  /**
+   * @param {import('playwright').Page} page - page whose mouse and keyboard are driven
+   * @param {HumanInputOptions} [options] - timing and randomness options
+   */
+  constructor(page, options = {}) {
+    this.page = page;
+    this.options = {
+      keyDelay: [50, 180],
+      typoRate: 0.03,
+      mouseSteps: [15, 35],
+      moveDelay: [5, 20],
+      hoverDelay: [150, 500],
+      clickDelay: [40, 140],
+      scrollStep: [80, 240],
+      scrollDelay: [40, 160],
+      random: Math.random,
+      ...options,
+    };
+    this.random = this.options.random;
+    this.position = { x: 0, y: 0 };
+  }
+
+  /**
+   * Normalizes the `humanize` option of a handler or an action into an instance
+   * @param {import('playwright').Page} page
+   * @param {HumanInput|HumanInputOptions|boolean} [humanize] - `true` uses the default options, `false` or nothing disables it
+   * @returns {HumanInput|null}
+   */
+  static from(page, humanize) {
+    if (!humanize) {
+      return null;
+    }
+    if (humanize instanceof HumanInput) {
+      return humanize;
+    }
+    return new HumanInput(page, humanize === true ? {} : humanize);
+  }
+
+  /**
+   * Scrolls with the mouse wheel until the element is inside the viewport
+   * @param {import('playwright').Locator} locator
+   */
+  async scrollIntoView(locator) {
+    await locator.waitFor({ state: 'visible' });
+    const viewport = this.page.viewportSize();
+    if (!viewport) {
+      await locator.scrollIntoViewIfNeeded();
+      return;
+    }
+
+    // bounded so a page that keeps moving the element can't scroll forever
+    for (let step = 0; step < 50; step++) {
+      const box = await locator.boundingBox();
+      if (!box) {
+        break;
+      }
+      const delta = scrollDelta(box, viewport);
+      if (delta === 0) {
+        return;
+      }
+      const amount = Math.min(Math.abs(delta), this.pick(this.options.scrollStep));
+      await this.page.mouse.wheel(0, Math.sign(delta) * amount);
+      await this.pause(this.options.scrollDelay);
+    }
+    await locator.scrollIntoViewIfNeeded();
+  }
+
+  /**
+   * Moves the mouse along a curved path to a random point inside the element
+   * @param {import('playwright').Locator} locator
+   */
+  async moveTo(locator) {
+    await this.scrollIntoView(locator);
+    const box = await locator.boundingBox();
+    if (!box) {
+      throw new Error('Element has no bounding box, it may be hidden or detached');
+    }
+
+    // aim near the center, like people do, rather than at an exact pixel
+    const target = {
+      x: box.x + box.width * (0.3 + this.random() * 0.4),
+      y: box.y + box.height * (0.3 + this.random() * 0.4),
+    };
+    const steps = Math.round(this.pick(this.options.mouseSteps));
+    for (const point of bezierPath(this.position, target, steps, this.random)) {
+      await this.page.mouse.move(point.x, point.y);
+      await this.pause(this.options.moveDelay);
+    }
+    this.position = target;
+  }
+
+  /**
+   * Moves to the element and dwells on it
+   * @param {import('playwright').Locator} locator
+   */
+  async hover(locator) {
+    await this.moveTo(locator);
+    await this.pause(this.options.hoverDelay);
+  }
+
+  /**
+   * Hovers the element, then presses and releases the mouse button on it
+   * @param {import('playwright').Locator} locator
+   */
+  async click(locator) {
+    await this.hover(locator);
+    await this.page.mouse.down();
+    await this.pause(this.options.clickDelay);
+    await this.page.mouse.up();
+  }
+
+  /**
+   * Clicks the field, clears it, and types `text` one key at a time with occasional corrected typos
+   * @param {import('playwright').Locator} locator - input, textarea or contenteditable element
+   * @param {string} text
+   */
+  async type(locator, text) {
+    await this.click(locator);
+    await locator.selectText();
+    await this.page.keyboard.press('Backspace');
+
+    for (const keystroke of typingPlan(text, this.options.typoRate, this.random)) {
+      if (keystroke.press) {
+        await this.pause(this.options.keyDelay);
+        await this.page.keyboard.press(keystroke.press);
+      } else {
+        // fires keydown, keypress, input and keyup like a real keystroke; characters without a key are inserted
+        await this.page.keyboard.type(keystroke.text);
+      }
+      await this.pause(this.options.keyDelay);
+    }
+  }
+
+  /**
+   * Waits a random time within `range`
+   * @param {Range} range - milliseconds
+   */
+  async pause(range) {
+    const delay = Math.round(this.pick(range));
+    if (delay > 0) {
+      await this.page.waitForTimeout(delay);
+    }
+  }
+
+  /**
+   * @param {Range} range
+   * @returns {number} a value in `range`
+   */
+  pick([min, max]) {
+    return min + this.random() * (max - min);
+  }
+}
+
+/**
+ * Returns the vertical scroll that brings `box` inside the viewport, `0` when it is already inside
+ * @param {{y: number, height: number}} box - element box, relative to the viewport
+ * @param {{height: number}} viewport
+ * @returns {number} pixels, negative to scroll up
+ */
+function scrollDelta(box, viewport) {
+  const margin = Math.min(100, viewport.height / 4);
+  if (box.y >= 0 && box.y + Math.min(box.height, viewport.height) <= viewport.height) {
+    return 0;
+  }
+  if (box.y < 0) {
+    return box.y - margin;
+  }
+  return box.y + Math.min(box.height, viewport.height - 2 * margin) - viewport.height + margin;
+}
+
+/**
+ * Returns the points of a cubic Bézier curve from `from` to `to`, with control points
+ * pushed off the straight line so the path bends, ending exactly on `to`
+ * @param {Point} from
+ * @param {Point} to
+ * @param {number} steps - number of points
+ * @param {() => number} [random=Math.random]
+ * @returns {Point[]}
+ */
+function bezierPath(from, to, steps, random = Math.random) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const distance = Math.hypot(dx, dy);
+  // unit vector perpendicular to the straight line
+  const normal = distance > 0 ? { x: -dy / distance, y: dx / distance } : { x: 0, y: 0 };
+  const control = (t) => {
+    const offset = (random() - 0.5) * distance * 0.5;
+    return { x: from.x + dx * t + normal.x * offset, y: from.y + dy * t + normal.y * offset };
+  };
+  const c1 = control(0.25 + random() * 0.2);
+  const c2 = control(0.55 + random() * 0.2);
+
+  const points = [];
+  const count = Math.max(1, steps);
+  for (let i = 1; i <= count; i++) {
+    // ease in and out: slow start, fast middle, slow landing
+    const t = (1 - Math.cos((Math.PI * i) / count)) / 2;
+    const u = 1 - t;
+    points.push({
+      x: u ** 3 * from.x + 3 * u ** 2 * t * c1.x + 3 * u * t ** 2 * c2.x + t ** 3 * to.x,
+      y: u ** 3 * from.y + 3 * u ** 2 * t * c1.y + 3 * u * t ** 2 * c2.y + t ** 3 * to.y,
+    });
+  }
+  return points;
+}
+
+/**
+ * Returns the keystrokes that type `text`: characters to type, and Backspace presses
+ * that correct the occasional typo on a neighbouring key
+ * @param {string} text
+ * @param {number} typoRate - probability of a typo on each letter or digit
+ * @param {() => number} [random=Math.random]
+ * @returns {Array<{text: string}|{press: string}>}
+ */
+function typingPlan(text, typoRate, random = Math.random) {
+  const keystrokes = [];
+  for (const char of text) {
+    const typo = random() < typoRate ? nearbyKey(char, random) : null;
+    if (typo) {
+      keystrokes.push({ text: typo }, { press: 'Backspace' });
+    }
+    keystrokes.push({ text: char });
+  }
+  return keystrokes;
+}
+
+/**
+ * Returns a key next to `char` on a QWERTY keyboard, keeping its case, or `null` for other characters
+ * @param {string} char
+ * @param {() => number} [random=Math.random]
+ * @returns {string|null}
+ */
+function nearbyKey(char, random = Math.random) {
+  const lower = char.toLowerCase();
+  const row = KEYBOARD_ROWS.find((keys) => keys.includes(lower));
+  if (!row) {
+    return null;
+  }
+
+  const index = row.indexOf(lower);
+  const neighbours = [row[index - 1], row[index + 1]].filter(Boolean);
+  const key = neighbours[Math.floor(random() * neighbours.length)];
+  return char === lower ? key : key.toUpperCase();
+}
+
+module.exports = { HumanInput, bezierPath, typingPlan, nearbyKey, scrollDelta }
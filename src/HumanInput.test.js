@@ -0,0 +1,136 @@
+const { createSeededRandom } = require('./DelayStrategy');
+const { HumanInput, bezierPath, typingPlan, nearbyKey, scrollDelta } = require('./HumanInput');
+
+const instant = {
+  keyDelay: [0, 0],
+  moveDelay: [0, 0],
+  hoverDelay: [0, 0],
+  clickDelay: [0, 0],
+  scrollDelay: [0, 0],
+};
+
+/**
+ * Creates a fake page that records mouse and keyboard events
+ */
+function createPage() {
+  const events = [];
+  return {
+    events,
+    viewportSize: () => ({ width: 1280, height: 720 }),
+    waitForTimeout: async () => {},
+    mouse: {
+      move: async (x, y) => events.push(['move', x, y]),
+      wheel: async (x, y) => events.push(['wheel', y]),
+      down: async () => events.push(['down']),
+      up: async () => events.push(['up']),
+    },
+    keyboard: {
+      press: async (key) => events.push(['press', key]),
+      type: async (text) => events.push(['type', text]),
+    },
+  };
+}
+
+/**
+ * Creates a fake locator whose box moves up when the page is scrolled
+ */
+function createLocator(page, box) {
+  let scrolled = 0;
+  page.mouse.wheel = async (x, y) => {
+    scrolled += y;
+    page.events.push(['wheel', y]);
+  };
+  return {
+    waitFor: async () => {},
+    scrollIntoViewIfNeeded: async () => {},
+    selectText: async () => page.events.push(['select']),
+    boundingBox: async () => ({ ...box, y: box.y - scrolled }),
+  };
+}
+
+describe('bezierPath', () => {
+  it('should curve from the start to exactly the target', () => {
+    const from = { x: 0, y: 0 };
+    const to = { x: 400, y: 300 };
+    const points = bezierPath(from, to, 20, createSeededRandom(1));
+
+    // Assertions
+    expect(points).toHaveLength(20);
+    expect(points[19].x).toBeCloseTo(400);
+    expect(points[19].y).toBeCloseTo(300);
+    const offLine = points.some(({ x, y }) => Math.abs(y - (x * 3) / 4) > 1);
+    expect(offLine).toBe(true);
+  });
+});
+
+describe('typingPlan', () => {
+  it('should type every character and correct typos with Backspace', () => {
+    const plan = typingPlan('hello', 1, createSeededRandom(2));
+    const typed = [];
+    plan.forEach((keystroke) => (keystroke.press ? typed.pop() : typed.push(keystroke.text)));
+
+    // Assertions
+    expect(plan).toHaveLength(15);
+    expect(typed.join('')).toBe('hello');
+    expect(typingPlan('a b', 0)).toEqual([{ text: 'a' }, { text: ' ' }, { text: 'b' }]);
+  });
+
+  it('should pick neighbouring keys and keep the case', () => {
+    expect(['q', 'e']).toContain(nearbyKey('w', createSeededRandom(3)));
+    expect(nearbyKey('A', () => 0)).toBe('S');
+    expect(nearbyKey('!')).toBeNull();
+  });
+});
+
+describe('scrollDelta', () => {
+  it('should return the scroll needed to bring a box into view', () => {
+    const viewport = { height: 800 };
+
+    // Assertions
+    expect(scrollDelta({ y: 100, height: 50 }, viewport)).toBe(0);
+    expect(scrollDelta({ y: 2000, height: 50 }, viewport)).toBe(1350);
+    expect(scrollDelta({ y: -500, height: 50 }, viewport)).toBe(-600);
+  });
+});
+
+describe('HumanInput', () => {
+  it('should scroll with the wheel, move along a path, then click', async () => {
+    const page = createPage();
+    const locator = createLocator(page, { x: 100, y: 1500, width: 200, height: 40 });
+    const humanInput = new HumanInput(page, { ...instant, random: createSeededRandom(4) });
+
+    await humanInput.click(locator);
+
+    // Assertions
+    const types = page.events.map(([type]) => type);
+    expect(types.filter((type) => type === 'wheel').length).toBeGreaterThan(1);
+    expect(types.filter((type) => type === 'move').length).toBeGreaterThanOrEqual(15);
+    expect(types.slice(-2)).toEqual(['down', 'up']);
+    expect(humanInput.position.x).toBeGreaterThan(100);
+    expect(humanInput.position.x).toBeLessThan(300);
+  });
+
+  it('should clear the field and type key by key', async () => {
+    const page = createPage();
+    const locator = createLocator(page, { x: 10, y: 10, width: 200, height: 30 });
+    const humanInput = new HumanInput(page, { ...instant, typoRate: 0 });
+
+    await humanInput.type(locator, 'abc');
+
+    // Assertions
+    const keys = page.events.filter(([type]) => ['select', 'press', 'type'].includes(type));
+    expect(keys).toEqual([['select'], ['press', 'Backspace'], ['type', 'a'], ['type', 'b'], ['type', 'c']]);
+  });
+
+  it('should normalize the humanize option', () => {
+    const page = createPage();
+    const humanInput = new HumanInput(page);
+
+    // Assertions
+    expect(HumanInput.from(page, false)).toBeNull();
+    expect(HumanInput.from(page)).toBeNull();
+    expect(HumanInput.from(page, humanInput)).toBe(humanInput);
+    expect(HumanInput.from(page, true)).toBeInstanceOf(HumanInput);
+    expect(HumanInput.from(page, { typoRate: 0 }).options.typoRate).toBe(0);
+  });
+});
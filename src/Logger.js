@@ -0,0 +1,191 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * @typedef {'debug'|'info'|'warn'|'error'|'silent'} LogLevel
+ */
+
+/**
+ * Structured context attached to a log entry, e.g. `{ action, url, selector, duration }`
+ * @typedef {Object<string, any>} LogFields
+ */
+
+/**
+ * @typedef {Object} LoggerOptions
+ * @property {LogLevel} [level='info'] - entries below this level are dropped (`silent` drops everything)
+ * @property {'text'|'json'} [format='text'] - `text` writes the message through `console`, `json` writes one JSON object per line
+ * @property {boolean} [showFields=false] - appends the fields to `text` messages as `key=value` pairs
+ * @property {(line: string) => void} [write] - receives each JSON line (default: writes to `process.stdout`)
+ * @property {LogFields} [context={}] - fields added to every entry
+ */
+
+/**
+ * Leveled logger with structured context fields, shared by every class of the library
+ * @typedef {Object} Logger
+ * @property {LogLevel} level
+ * @property {'text'|'json'} format
+ * @property {LogFields} context
+ */
+class Logger {
+  /**
+   * @param {LoggerOptions} [options] - logger options
+   */
+  constructor(options = {}) {
+    const { level = 'info', format = 'text', showFields = false, write, context = {} } = options;
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    if (format !== 'text' && format !== 'json') {
+      throw new Error(`Unknown log format: ${format}`);
+    }
+
+    this.level = level;
+    this.format = format;
+    this.showFields = showFields;
+    this.write = write || ((line) => process.stdout.write(`${line}\n`));
+    this.context = context;
+  }
+
+  /**
+   * Creates a logger that drops every entry
+   * @returns {Logger}
+   */
+  static silent() {
+    return new Logger({ level: 'silent' });
+  }
+
+  /**
+   * Creates a logger with the same settings and extra context fields
+   * @param {LogFields} fields - fields added to every entry of the child logger
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      showFields: this.showFields,
+      write: this.write,
+      context: { ...this.context, ...fields },
+    });
+  }
+
+  /**
+   * Returns `true` if entries of `level` are written
+   * @param {LogLevel} level
+   * @returns {boolean}
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  /**
+   * @param {string} message
+   * @param {LogFields} [fields]
+   */
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Writes an entry if `level` is enabled
+   * @param {LogLevel} level
+   * @param {string} message
+   * @param {LogFields} [fields={}]
+   */
+  log(level, message, fields = {}) {
+    if (level === 'silent' || !this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const entryFields = { ...this.context, ...fields };
+
+    if (this.format === 'json') {
+      const entry = { time: new Date().toISOString(), level, message };
+      for (const [key, value] of Object.entries(entryFields)) {
+        entry[key] = serializeField(value);
+      }
+      this.write(JSON.stringify(entry));
+      return;
+    }
+
+    let line = message;
+    if (this.showFields) {
+      const pairs = Object.entries(entryFields)
+        .map(([key, value]) => `${key}=${formatTextField(serializeField(value))}`);
+      if (pairs.length > 0) {
+        line = `${message} ${pairs.join(' ')}`;
+      }
+    }
+
+    if (level === 'error') {
+      console.error(line);
+    } else if (level === 'warn') {
+      console.warn(line);
+    } else if (level === 'debug') {
+      console.debug(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * Converts values that don't survive `JSON.stringify` (errors, locators) into plain values
+ * @param {any} value
+ * @returns {any}
+ */
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) && value.constructor && value.constructor.name === 'Locator') {
+    return String(value);
+  }
+  return value;
+}
+
+/**
+ * Formats a field value for `text` output
+ * @param {any} value
+ * @returns {string}
+ */
+function formatTextField(value) {
+  if (value && typeof value === 'object') {
+    return value.message !== undefined ? JSON.stringify(value.message) : JSON.stringify(value);
+  }
+  return typeof value === 'string' && /\s/.test(value) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Returns a readable description of a selector or locator for log fields
+ * @param {string|import('playwright').Locator} selectorOrLocator
+ * @returns {string}
+ */
+function describeTarget(selectorOrLocator) {
+  return typeof selectorOrLocator === 'string' ? selectorOrLocator : String(selectorOrLocator);
+}
+
+module.exports = { Logger, LEVELS, describeTarget }
@@ -0,0 +1,75 @@
+const { Logger } = require('./Logger');
+
+describe('Logger', () => {
+  it('should write text messages through console by level', () => {
+    const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const logger = new Logger();
+
+    logger.info('Goto: https://www.example.com', { url: 'https://www.example.com' });
+    logger.error('Error going back');
+
+    // Assertions
+    expect(consoleLogSpy).toHaveBeenCalledWith('Goto: https://www.example.com');
+    expect(consoleErrorSpy).toHaveBeenCalledWith('Error going back');
+
+    // Restore the original console methods
+    consoleLogSpy.mockRestore();
+    consoleErrorSpy.mockRestore();
+  });
+
+  it('should append fields to text messages when showFields is set', () => {
+    const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const logger = new Logger({ showFields: true });
+
+    logger.info('Clicked element', { action: 'click', selector: '#two', duration: 12 });
+
+    // Assertions
+    expect(consoleLogSpy).toHaveBeenCalledWith('Clicked element action=click selector=#two duration=12');
+
+    // Restore the original console.log
+    consoleLogSpy.mockRestore();
+  });
+
+  it('should write one JSON object per line with context fields', () => {
+    const lines = [];
+    const logger = new Logger({ format: 'json', write: (line) => lines.push(line), context: { job: 'products' } });
+
+    logger.child({ worker: 1 }).warn('Retrying goToUrl', { action: 'goToUrl', error: new Error('Timeout') });
+    const entry = JSON.parse(lines[0]);
+
+    // Assertions
+    expect(lines.length).toBe(1);
+    expect(entry).toMatchObject({
+      level: 'warn',
+      message: 'Retrying goToUrl',
+      job: 'products',
+      worker: 1,
+      action: 'goToUrl',
+      error: { name: 'Error', message: 'Timeout' },
+    });
+    expect(typeof entry.time).toBe('string');
+  });
+
+  it('should drop entries below the level, and everything when silent', () => {
+    const lines = [];
+    const write = (line) => lines.push(line);
+
+    const logger = new Logger({ level: 'warn', format: 'json', write });
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+
+    const silent = new Logger({ level: 'silent', format: 'json', write });
+    silent.error('error');
+
+    // Assertions
+    expect(lines.map((line) => JSON.parse(line).message)).toEqual(['warn']);
+    expect(Logger.silent().isLevelEnabled('error')).toBe(false);
+  });
+
+  it('throw error when level or format is invalid', () => {
+    expect(() => new Logger({ level: 'verbose' })).toThrowError();
+    expect(() => new Logger({ format: 'xml' })).toThrowError();
+  });
+});
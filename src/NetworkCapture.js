@@ -0,0 +1,177 @@
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+const { matchesPattern } = require('./urlUtils');
+
+/**
+ * @typedef {Object} NetworkCaptureOptions
+ * @property {string[]} [resourceTypes=['xhr', 'fetch']] - resource types that are captured (empty array captures all)
+ * @property {number} [maxEntries=1000] - oldest entries are dropped past this count
+ * @property {Logger} [logger] - logger for capture messages (default: console text logger)
+ */
+
+/**
+ * A captured response
+ * @typedef {Object} CapturedResponse
+ * @property {string} url
+ * @property {string} method
+ * @property {number} status
+ * @property {string} resourceType
+ * @property {Object<string, string>} headers - response headers
+ * @property {any} json - parsed JSON body, `null` when the body isn't JSON
+ * @property {string} [text] - raw body, only set when it isn't JSON
+ * @property {string} timestamp - ISO time the response was received
+ */
+
+/**
+ * Records the responses of a page whose URL matches a set of patterns, with their parsed JSON bodies
+ * @typedef {Object} NetworkCapture
+ * @property {import('playwright').Page} page
+ * @property {Array<string|RegExp|Function>} patterns
+ * @property {CapturedResponse[]} entries
+ */
+class NetworkCapture {
+  /**
+   * @param {import('playwright').Page} page - page whose responses are captured
+   * @param {string|RegExp|Function|Array<string|RegExp|Function>} [patterns='**'] - URL globs, regular expressions or predicates
+   * @param {NetworkCaptureOptions} [options] - capture options
+   */
+  constructor(page, patterns = '**', options = {}) {
+    const { resourceTypes = ['xhr', 'fetch'], maxEntries = 1000, logger } = options;
+
+    this.page = page;
+    this.patterns = [].concat(patterns);
+    this.resourceTypes = resourceTypes;
+    this.maxEntries = maxEntries;
+    this.logger = logger || new Logger();
+    this.entries = [];
+    this.pending = new Set();
+    this.listener = (response) => this.onResponse(response);
+  }
+
+  /**
+   * Starts recording responses
+   * @returns {NetworkCapture} this capture
+   */
+  start() {
+    this.page.on('response', this.listener);
+    return this;
+  }
+
+  /**
+   * Stops recording responses; entries are kept
+   */
+  stop() {
+    this.page.off('response', this.listener);
+  }
+
+  /**
+   * Removes every captured entry
+   */
+  clear() {
+    this.entries = [];
+  }
+
+  /**
+   * Waits until the bodies of every response received so far have been read
+   * @returns {Promise<CapturedResponse[]>} the captured entries
+   */
+  async settle() {
+    await Promise.all([...this.pending]);
+    return this.entries;
+  }
+
+  /**
+   * Returns the parsed JSON bodies of the captured responses, optionally only those matching `pattern`
+   * @param {string|RegExp|Function} [pattern]
+   * @returns {Promise<any[]>}
+   */
+  async json(pattern) {
+    await this.settle();
+    return this.entries
+      .filter((entry) => entry.json !== null && (!pattern || matchesPattern(entry.url, pattern)))
+      .map((entry) => entry.json);
+  }
+
+  /**
+   * Returns `true` if a response should be captured
+   * @param {import('playwright').Response} response
+   * @returns {boolean}
+   */
+  matches(response) {
+    const resourceType = response.request().resourceType();
+    if (this.resourceTypes.length > 0 && !this.resourceTypes.includes(resourceType)) {
+      return false;
+    }
+    return this.patterns.some((pattern) => matchesPattern(response.url(), pattern));
+  }
+
+  /**
+   * Records a response if it matches; its body is read in the background
+   * @param {import('playwright').Response} response
+   */
+  onResponse(response) {
+    if (!this.matches(response)) {
+      return;
+    }
+
+    const reading = NetworkCapture.toEntry(response)
+      .then((entry) => {
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+          this.entries.shift();
+        }
+        this.logger.debug(`Captured response: ${entry.url}`, { action: 'captureResponse', url: entry.url, status: entry.status });
+      })
+      .catch((error) => {
+        this.logger.warn(`Could not read captured response ${response.url()}: ${error.message}`, {
+          action: 'captureResponse',
+          url: response.url(),
+          error,
+        });
+      })
+      .finally(() => this.pending.delete(reading));
+    this.pending.add(reading);
+  }
+
+  /**
+   * Saves the captured entries as a JSON file
+   * @param {string} filePath - path of the JSON file
+   * @param {FileManager} [fileManager] - file manager used to write the file
+   */
+  async save(filePath, fileManager = new FileManager({ logger: this.logger })) {
+    await fileManager.saveJson(filePath, await this.settle(), true);
+  }
+
+  /**
+   * Reads a response into a captured entry, parsing its body as JSON when possible
+   * @param {import('playwright').Response} response
+   * @returns {Promise<CapturedResponse>}
+   */
+  static async toEntry(response) {
+    const request = response.request();
+    const entry = {
+      url: response.url(),
+      method: request.method(),
+      status: response.status(),
+      resourceType: request.resourceType(),
+      headers: response.headers(),
+      json: null,
+      timestamp: new Date().toISOString(),
+    };
+
+    // redirects have no body
+    if (response.status() >= 300 && response.status() < 400) {
+      return entry;
+    }
+
+    const text = await response.text();
+    try {
+      entry.json = JSON.parse(text);
+    } catch (error) {
+      entry.text = text;
+    }
+    return entry;
+  }
+}
+
+module.exports = { NetworkCapture }
@@ -0,0 +1,65 @@
+const { EventEmitter } = require('events');
+const { Logger } = require('./Logger');
+const { NetworkCapture } = require('./NetworkCapture');
+
+/**
+ * Creates a fake response with the given body
+ */
+function createResponse(url, body, resourceType = 'fetch', status = 200) {
+  return {
+    url: () => url,
+    status: () => status,
+    headers: () => ({ 'content-type': 'application/json' }),
+    text: async () => body,
+    request: () => ({ method: () => 'GET', resourceType: () => resourceType }),
+  };
+}
+
+const logger = Logger.silent();
+
+describe('NetworkCapture', () => {
+  it('should capture matching responses with their parsed JSON', async () => {
+    const page = new EventEmitter();
+    const capture = new NetworkCapture(page, '**/api/**', { logger }).start();
+
+    page.emit('response', createResponse('https://www.example.com/api/items', '{"items":[1,2]}'));
+    page.emit('response', createResponse('https://www.example.com/other', '{"ignored":true}'));
+    page.emit('response', createResponse('https://www.example.com/api/app.js', 'let a;', 'script'));
+    page.emit('response', createResponse('https://www.example.com/api/html', '<p>hi</p>'));
+
+    const entries = await capture.settle();
+
+    // Assertions
+    expect(entries.map((entry) => entry.url)).toEqual([
+      'https://www.example.com/api/items',
+      'https://www.example.com/api/html',
+    ]);
+    expect(entries[0]).toMatchObject({ method: 'GET', status: 200, json: { items: [1, 2] } });
+    expect(entries[1]).toMatchObject({ json: null, text: '<p>hi</p>' });
+    expect(await capture.json()).toEqual([{ items: [1, 2] }]);
+  });
+
+  it('should stop capturing and filter JSON by pattern', async () => {
+    const page = new EventEmitter();
+    const capture = new NetworkCapture(page, [/\/search/, /\/user/], { logger }).start();
+
+    page.emit('response', createResponse('https://www.example.com/search?q=a', '{"q":"a"}'));
+    page.emit('response', createResponse('https://www.example.com/user', '{"id":1}'));
+    capture.stop();
+    page.emit('response', createResponse('https://www.example.com/search?q=b', '{"q":"b"}'));
+
+    // Assertions
+    expect(await capture.json(/\/search/)).toEqual([{ q: 'a' }]);
+    expect(page.listenerCount('response')).toBe(0);
+  });
+
+  it('should keep at most maxEntries entries', async () => {
+    const page = new EventEmitter();
+    const capture = new NetworkCapture(page, '**', { logger, maxEntries: 2 }).start();
+
+    [1, 2, 3].forEach((n) => page.emit('response', createResponse(`https://www.example.com/${n}`, `${n}`)));
+
+    // Assertions
+    expect(await capture.json()).toEqual([2, 3]);
+  });
+});
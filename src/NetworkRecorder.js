@@ -0,0 +1,248 @@
+const path = require('path');
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+const { matchesPattern } = require('./urlUtils');
+
+const MANIFEST = 'manifest.json';
+const VERSION = 1;
+// bodies are saved decoded, so the encoding headers of the original response no longer apply
+const DROPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * @typedef {Object} NetworkRecorderOptions
+ * @property {'directory'|'har'} [format] - `directory` saves a manifest and one file per body, `har` uses Playwright HAR routing (default: `har` when the path ends with `.har`)
+ * @property {string|RegExp|Function|Array<string|RegExp|Function>} [url='**'] - only requests matching these URL globs, regular expressions or predicates are recorded and replayed
+ * @property {'abort'|'fallback'} [notFound='abort'] - during replay, `abort` fails requests that weren't recorded, `fallback` lets them reach the network
+ * @property {FileManager} [fileManager] - file manager used to read and write the recording
+ * @property {Logger} [logger] - logger for recording messages (default: console text logger)
+ */
+
+/**
+ * A recorded response
+ * @typedef {Object} RecordedResponse
+ * @property {string} method
+ * @property {string} url
+ * @property {string|null} postData - request body, part of the replay lookup key
+ * @property {number} status
+ * @property {Object<string, string>} headers - response headers
+ * @property {string|null} body - path of the body file, relative to the recording directory
+ */
+
+/**
+ * Records the network responses of a page or a browser context, and replays them through
+ * request routing so scrapes and tests can run offline. A request recorded several times
+ * is replayed with its responses in order, repeating the last one
+ * @typedef {Object} NetworkRecorder
+ * @property {string} path - recording directory, or HAR file
+ * @property {'directory'|'har'} format
+ * @property {RecordedResponse[]} entries
+ */
+class NetworkRecorder {
+  /**
+   * @param {string} recordingPath - recording directory, or HAR file
+   * @param {NetworkRecorderOptions} [options] - recorder options
+   */
+  constructor(recordingPath, options = {}) {
+    const { format = recordingPath.endsWith('.har') ? 'har' : 'directory', url = '**', notFound = 'abort' } = options;
+    if (!['directory', 'har'].includes(format)) {
+      throw new Error(`Unknown recording format: ${format}`);
+    }
+    if (!['abort', 'fallback'].includes(notFound)) {
+      throw new Error(`Unknown notFound behavior: ${notFound}`);
+    }
+
+    this.path = recordingPath;
+    this.format = format;
+    this.patterns = [].concat(url);
+    this.notFound = notFound;
+    this.logger = options.logger || new Logger();
+    this.fileManager = options.fileManager || new FileManager({ logger: this.logger });
+    this.entries = [];
+    this.pending = new Set();
+    this.replayed = new Map();
+    this.target = null;
+    this.listener = (response) => this.onResponse(response);
+    this.handler = (route) => this.handle(route);
+  }
+
+  /**
+   * Starts recording the responses of `target`. HAR recordings are only written when the context closes,
+   * directory recordings when `save()` is called
+   * @param {import('playwright').Page|import('playwright').BrowserContext} target
+   * @returns {Promise<NetworkRecorder>} this recorder
+   */
+  async record(target) {
+    this.target = target;
+    if (this.format === 'har') {
+      await this.fileManager.createDirectory(path.dirname(this.path), true);
+      await target.routeFromHAR(this.path, { update: true, url: this.harUrl() });
+    } else {
+      this.entries = [];
+      target.on('response', this.listener);
+    }
+    this.logger.info(`Recording network to: ${this.path}`, { action: 'recordNetwork', path: this.path, format: this.format });
+    return this;
+  }
+
+  /**
+   * Starts answering the requests of `target` with the recorded responses
+   * @param {import('playwright').Page|import('playwright').BrowserContext} target
+   * @returns {Promise<NetworkRecorder>} this recorder
+   */
+  async replay(target) {
+    this.target = target;
+    if (this.format === 'har') {
+      await target.routeFromHAR(this.path, { notFound: this.notFound, url: this.harUrl() });
+    } else {
+      const manifest = await this.fileManager.readJson(path.join(this.path, MANIFEST));
+      if (manifest.version !== VERSION) {
+        throw new Error(`Unsupported recording version ${manifest.version}: ${this.path}`);
+      }
+      this.entries = manifest.entries;
+      this.replayed.clear();
+      await target.route('**/*', this.handler);
+    }
+    this.logger.info(`Replaying network from: ${this.path}`, { action: 'replayNetwork', path: this.path, format: this.format });
+    return this;
+  }
+
+  /**
+   * Stops recording or replaying a directory recording. Recorded entries are kept until `save()`.
+   * HAR routing can't be removed on its own and lasts as long as its page or context
+   */
+  async stop() {
+    if (!this.target || this.format === 'har') {
+      return;
+    }
+    this.target.off('response', this.listener);
+    await this.target.unroute('**/*', this.handler);
+    this.target = null;
+  }
+
+  /**
+   * Waits for the recorded bodies and writes them with the manifest to the recording directory.
+   * HAR recordings are written by Playwright when the context closes
+   */
+  async save() {
+    if (this.format === 'har') {
+      return;
+    }
+    await Promise.all([...this.pending]);
+    await this.fileManager.createDirectory(this.path, true);
+    await this.fileManager.saveJson(path.join(this.path, MANIFEST), { version: VERSION, entries: this.entries }, true);
+    this.logger.info(`Saved ${this.entries.length} recorded response(s) to: ${this.path}`, { action: 'recordNetwork', path: this.path });
+  }
+
+  /**
+   * Returns `true` if the URL is part of the recording
+   * @param {string} url
+   * @returns {boolean}
+   */
+  matches(url) {
+    return this.patterns.some((pattern) => matchesPattern(url, pattern));
+  }
+
+  /**
+   * Saves the body of a recorded response in the background
+   * @param {import('playwright').Response} response
+   */
+  onResponse(response) {
+    const request = response.request();
+    if (!this.matches(request.url())) {
+      return;
+    }
+
+    const entry = {
+      method: request.method(),
+      url: request.url(),
+      postData: request.postData(),
+      status: response.status(),
+      headers: Object.fromEntries(Object.entries(response.headers()).filter(([name]) => !DROPPED_HEADERS.includes(name))),
+      body: null,
+    };
+    this.entries.push(entry);
+
+    // redirects have no body
+    if (entry.status >= 300 && entry.status < 400) {
+      return;
+    }
+    const bodyPath = path.posix.join('bodies', `${String(this.entries.length).padStart(5, '0')}.bin`);
+    const saving = response.body()
+      .then(async (body) => {
+        await this.fileManager.createDirectory(path.join(this.path, 'bodies'), true);
+        await this.fileManager.writeFile(path.join(this.path, bodyPath), body);
+        entry.body = bodyPath;
+      })
+      .catch((error) => {
+        this.logger.warn(`Could not record response body ${entry.url}: ${error.message}`, { action: 'recordNetwork', url: entry.url, error });
+      })
+      .finally(() => this.pending.delete(saving));
+    this.pending.add(saving);
+  }
+
+  /**
+   * Answers an intercepted request with its recorded response
+   * @param {import('playwright').Route} route
+   */
+  async handle(route) {
+    const request = route.request();
+    if (!this.matches(request.url())) {
+      await route.fallback();
+      return;
+    }
+
+    const entry = this.lookup(request);
+    if (!entry) {
+      if (this.notFound === 'fallback') {
+        await route.fallback();
+        return;
+      }
+      this.logger.warn(`No recorded response: ${request.method()} ${request.url()}`, { action: 'replayNetwork', url: request.url() });
+      await route.abort('internetdisconnected');
+      return;
+    }
+
+    const body = entry.body ? await this.fileManager.readFile(path.join(this.path, entry.body)) : '';
+    await route.fulfill({ status: entry.status, headers: entry.headers, body });
+  }
+
+  /**
+   * Returns the next recorded response of a request, repeating the last one once all were served
+   * @param {import('playwright').Request} request
+   * @returns {RecordedResponse|undefined}
+   */
+  lookup(request) {
+    const key = requestKey(request.method(), request.url(), request.postData());
+    const candidates = this.entries.filter((entry) => requestKey(entry.method, entry.url, entry.postData) === key);
+    if (candidates.length === 0) {
+      return undefined;
+    }
+
+    const served = this.replayed.get(key) || 0;
+    this.replayed.set(key, served + 1);
+    return candidates[Math.min(served, candidates.length - 1)];
+  }
+
+  /**
+   * URL filter for `routeFromHAR`, which only accepts a single glob or regular expression
+   * @returns {string|RegExp|undefined}
+   */
+  harUrl() {
+    if (this.patterns.length !== 1 || typeof this.patterns[0] === 'function') {
+      throw new Error('HAR recordings support a single URL glob or regular expression');
+    }
+    return this.patterns[0] === '**' ? undefined : this.patterns[0];
+  }
+}
+
+/**
+ * @param {string} method
+ * @param {string} url
+ * @param {string|null} postData
+ * @returns {string}
+ */
+function requestKey(method, url, postData) {
+  return `${method} ${url} ${postData || ''}`;
+}
+
+module.exports = { NetworkRecorder }
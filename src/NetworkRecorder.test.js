@@ -0,0 +1,139 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const { Logger } = require('./Logger');
+const { NetworkRecorder } = require('./NetworkRecorder');
+
+/**
+ * Creates a fake request
+ */
+function createRequest(url, method = 'GET', postData = null) {
+  return { url: () => url, method: () => method, postData: () => postData };
+}
+
+/**
+ * Creates a fake response with the given body
+ */
+function createResponse(request, body, status = 200) {
+  return {
+    request: () => request,
+    status: () => status,
+    headers: () => ({ 'content-type': 'text/html', 'content-encoding': 'gzip' }),
+    body: async () => Buffer.from(body),
+  };
+}
+
+/**
+ * Creates a fake route of a request
+ */
+function createRoute(request) {
+  return {
+    request: () => request,
+    fulfill: jest.fn(async () => {}),
+    abort: jest.fn(async () => {}),
+    fallback: jest.fn(async () => {}),
+  };
+}
+
+/**
+ * Creates a fake page that records its route handler
+ */
+function createPage() {
+  const page = new EventEmitter();
+  page.route = jest.fn(async (url, handler) => {
+    page.routeHandler = handler;
+  });
+  page.unroute = jest.fn(async () => {});
+  return page;
+}
+
+const logger = Logger.silent();
+let directory;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'recording-'));
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('NetworkRecorder', () => {
+  it('should record responses and replay them in order', async () => {
+    const page = createPage();
+    const recorder = await new NetworkRecorder(directory, { logger }).record(page);
+    const request = createRequest('https://www.example.com/');
+    page.emit('response', createResponse(request, '<p>first</p>'));
+    page.emit('response', createResponse(request, '<p>second</p>'));
+    page.emit('response', createResponse(createRequest('https://www.example.com/old'), '', 301));
+    await recorder.save();
+
+    const replayPage = createPage();
+    await new NetworkRecorder(directory, { logger }).replay(replayPage);
+    const routes = [createRoute(request), createRoute(request), createRoute(request)];
+    for (const route of routes) {
+      await replayPage.routeHandler(route);
+    }
+
+    // Assertions
+    const bodies = routes.map((route) => route.fulfill.mock.calls[0][0].body.toString());
+    expect(bodies).toEqual(['<p>first</p>', '<p>second</p>', '<p>second</p>']);
+    expect(routes[0].fulfill.mock.calls[0][0]).toMatchObject({ status: 200, headers: { 'content-type': 'text/html' } });
+    expect(recorder.entries[2]).toMatchObject({ status: 301, body: null });
+  });
+
+  it('should match requests by method and post data', async () => {
+    const page = createPage();
+    const recorder = await new NetworkRecorder(directory, { logger }).record(page);
+    page.emit('response', createResponse(createRequest('https://www.example.com/api', 'POST', 'q=a'), '{"q":"a"}'));
+    await recorder.save();
+
+    const replayPage = createPage();
+    await new NetworkRecorder(directory, { logger }).replay(replayPage);
+    const recorded = createRoute(createRequest('https://www.example.com/api', 'POST', 'q=a'));
+    const missing = createRoute(createRequest('https://www.example.com/api', 'POST', 'q=b'));
+    await replayPage.routeHandler(recorded);
+    await replayPage.routeHandler(missing);
+
+    // Assertions
+    expect(recorded.fulfill).toHaveBeenCalled();
+    expect(missing.abort).toHaveBeenCalledWith('internetdisconnected');
+  });
+
+  it('should let unrecorded or unmatched requests through with fallback', async () => {
+    const page = createPage();
+    const recorder = await new NetworkRecorder(directory, { logger, url: '**/api/**' }).record(page);
+    page.emit('response', createResponse(createRequest('https://www.example.com/'), '<p>ignored</p>'));
+    await recorder.save();
+
+    const replayPage = createPage();
+    await new NetworkRecorder(directory, { logger, url: '**/api/**', notFound: 'fallback' }).replay(replayPage);
+    const unmatched = createRoute(createRequest('https://www.example.com/'));
+    const unrecorded = createRoute(createRequest('https://www.example.com/api/items'));
+    await replayPage.routeHandler(unmatched);
+    await replayPage.routeHandler(unrecorded);
+
+    // Assertions
+    expect(recorder.entries).toEqual([]);
+    expect(unmatched.fallback).toHaveBeenCalled();
+    expect(unrecorded.fallback).toHaveBeenCalled();
+  });
+
+  it('should use HAR routing for .har paths', async () => {
+    const page = { routeFromHAR: jest.fn(async () => {}) };
+    const harPath = path.join(directory, 'session.har');
+
+    await new NetworkRecorder(harPath, { logger }).record(page);
+    await new NetworkRecorder(harPath, { logger, url: '**/api/**' }).replay(page);
+
+    // Assertions
+    expect(page.routeFromHAR).toHaveBeenNthCalledWith(1, harPath, { update: true, url: undefined });
+    expect(page.routeFromHAR).toHaveBeenNthCalledWith(2, harPath, { notFound: 'abort', url: '**/api/**' });
+  });
+
+  it('throw error when options are invalid', () => {
+    expect(() => new NetworkRecorder(directory, { format: 'zip' })).toThrowError();
+    expect(() => new NetworkRecorder(directory, { notFound: 'ignore' })).toThrowError();
+  });
+});
@@ -0,0 +1,215 @@
+const { Logger } = require('./Logger');
+
+/**
+ * Dismisser of each page; a page has at most one, shared by all its handlers
+ * @type {WeakMap<import('playwright').Page, OverlayDismisser>}
+ */
+const attachedDismissers = new WeakMap();
+
+/**
+ * An overlay that can cover the page, and how to get rid of it
+ * @typedef {Object} Overlay
+ * @property {string} name - e.g. `onetrust`
+ * @property {string} selector - CSS selector of the overlay
+ * @property {string} [dismiss] - CSS selector of the button that closes it; without one, the overlay is removed from the page
+ */
+
+/**
+ * Consent banners and newsletter modals of widespread providers.
+ * Consent banners are closed with their "accept" button, which is the one every provider offers
+ * @type {Overlay[]}
+ */
+const KNOWN_OVERLAYS = [
+  { name: 'onetrust', selector: '#onetrust-banner-sdk', dismiss: '#onetrust-accept-btn-handler' },
+  { name: 'cookiebot', selector: '#CybotCookiebotDialog', dismiss: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll, #CybotCookiebotDialogBodyButtonAccept' },
+  { name: 'didomi', selector: '#didomi-notice', dismiss: '#didomi-notice-agree-button' },
+  { name: 'quantcast', selector: '.qc-cmp2-container', dismiss: '.qc-cmp2-summary-buttons button[mode="primary"]' },
+  { name: 'trustarc', selector: '#truste-consent-track', dismiss: '#truste-consent-button' },
+  { name: 'usercentrics', selector: '#usercentrics-root [data-testid="uc-default-banner"]', dismiss: '#usercentrics-root [data-testid="uc-accept-all-button"]' },
+  { name: 'osano', selector: '.osano-cm-dialog', dismiss: '.osano-cm-accept-all' },
+  { name: 'cookieyes', selector: '.cky-consent-container', dismiss: '.cky-btn-accept' },
+  { name: 'complianz', selector: '.cmplz-cookiebanner', dismiss: '.cmplz-accept' },
+  { name: 'iubenda', selector: '#iubenda-cs-banner', dismiss: '.iubenda-cs-accept-btn' },
+  { name: 'klaviyo', selector: '.klaviyo-form[role="dialog"]', dismiss: '.klaviyo-close-form' },
+  { name: 'mailchimp', selector: '.mc-modal', dismiss: '.mc-closeModal' },
+];
+
+/**
+ * @typedef {Object} OverlayDismisserOptions
+ * @property {Overlay[]} [overlays] - overlays to dismiss, checked before the known ones
+ * @property {boolean} [known=true] - also dismisses the {@link KNOWN_OVERLAYS}
+ * @property {boolean} [handleBlocking=true] - also dismisses an overlay whenever it blocks an action, e.g. a banner shown late
+ * @property {number} [timeout=5000] - maximum time to close an overlay, in milliseconds
+ * @property {Logger} [logger] - logger for overlay messages (default: console text logger)
+ * @property {() => number} [now=Date.now] - clock, in milliseconds
+ */
+
+/**
+ * Closes consent banners, newsletter modals and other overlays that cover a page and block clicks.
+ * Overlays are dismissed on demand, e.g. after each navigation, and, with `handleBlocking`,
+ * whenever one blocks an action
+ * @typedef {Object} OverlayDismisser
+ * @property {import('playwright').Page} page
+ * @property {Overlay[]} overlays
+ * @property {Array<{name: string, url: string, timestamp: string}>} dismissed - overlays dismissed so far, in order
+ */
+class OverlayDismisser {
+  /**
+   * @param {import('playwright').Page} page - page whose overlays are dismissed
+   * @param {OverlayDismisserOptions} [options] - overlay options
+   */
+  constructor(page, options = {}) {
+    const { overlays = [], known = true, handleBlocking = true, timeout = 5000, now = Date.now } = options;
+
+    for (const overlay of overlays) {
+      if (!overlay || !overlay.name || !overlay.selector) {
+        throw new Error(`Invalid overlay, it needs a name and a selector: ${JSON.stringify(overlay)}`);
+      }
+    }
+
+    this.page = page;
+    this.options = { overlays, known, handleBlocking, timeout, now };
+    this.overlays = known ? [...overlays, ...KNOWN_OVERLAYS] : [...overlays];
+    this.timeout = timeout;
+    this.handleBlocking = handleBlocking;
+    this.now = now;
+    this.logger = options.logger || new Logger();
+    this.dismissed = [];
+    this.handlers = [];
+  }
+
+  /**
+   * Normalizes the `overlays` option of a handler into an attached instance.
+   * Handlers of the same page share the dismisser attached first, so overlays are registered once;
+   * the options of later handlers are ignored with a warning, while an instance replaces the attached one
+   * @param {import('playwright').Page} page
+   * @param {OverlayDismisser|OverlayDismisserOptions|boolean} [overlays] - `true` uses the default options, `false` or nothing disables it
+   * @param {Logger} [logger] - default logger
+   * @returns {OverlayDismisser|null}
+   */
+  static from(page, overlays, logger) {
+    if (!overlays) {
+      return null;
+    }
+    if (overlays instanceof OverlayDismisser) {
+      return overlays.page === page ? overlays.attach() : overlays.forPage(page);
+    }
+    const attached = attachedDismissers.get(page);
+    if (attached && overlays !== true) {
+      (logger || attached.logger).warn(`An overlay dismisser is already attached to this page, ignoring the new overlays options; pass an instance to replace it`, { action: 'dismissOverlays' });
+    }
+    return attached || new OverlayDismisser(page, { logger, ...(overlays === true ? {} : overlays) }).attach();
+  }
+
+  /**
+   * Creates a dismisser with the same options for another page, e.g. a popup, unless that page already has one
+   * @param {import('playwright').Page} page
+   * @returns {OverlayDismisser} the attached instance
+   */
+  forPage(page) {
+    const attached = attachedDismissers.get(page);
+    if (attached) {
+      this.logger.warn(`An overlay dismisser is already attached to this page, keeping its own settings`, { action: 'dismissOverlays' });
+      return attached;
+    }
+    return new OverlayDismisser(page, { ...this.options, logger: this.logger }).attach();
+  }
+
+  /**
+   * Makes this the dismisser of the page, in place of the one attached to it before, if any, and registers
+   * the overlays with Playwright, which then dismisses one whenever it blocks an action (unless `handleBlocking` is off)
+   * @returns {OverlayDismisser} this instance
+   */
+  attach() {
+    const current = attachedDismissers.get(this.page);
+    if (current === this) {
+      return this;
+    }
+    if (current) {
+      // removal is asynchronous; the replaced handlers stop once it completes
+      current.detach().catch((error) => {
+        this.logger.warn(`Could not stop watching overlays: ${error.message}`, { action: 'dismissOverlays', error });
+      });
+    }
+    attachedDismissers.set(this.page, this);
+    if (!this.handleBlocking || typeof this.page.addLocatorHandler !== 'function') {
+      return this;
+    }
+
+    for (const overlay of this.overlays) {
+      const locator = this.page.locator(overlay.selector);
+      const registered = this.page.addLocatorHandler(locator, () => this.dismissOverlay(overlay));
+      // registration is asynchronous; a failure must not leave an unhandled rejection
+      Promise.resolve(registered).catch((error) => {
+        this.logger.warn(`Could not watch overlay ${overlay.name}: ${error.message}`, { action: 'dismissOverlays', overlay: overlay.name, error });
+      });
+      this.handlers.push(locator);
+    }
+    return this;
+  }
+
+  /**
+   * Stops dismissing blocking overlays
+   */
+  async detach() {
+    if (attachedDismissers.get(this.page) === this) {
+      attachedDismissers.delete(this.page);
+    }
+    for (const locator of this.handlers.splice(0)) {
+      await this.page.removeLocatorHandler(locator);
+    }
+  }
+
+  /**
+   * Dismisses every visible overlay; a failure to dismiss one is logged, never thrown
+   * @returns {Promise<string[]>} names of the dismissed overlays
+   */
+  async dismiss() {
+    const names = [];
+    if (this.overlays.length === 0) {
+      return names;
+    }
+    try {
+      // one query for the common case of a page without any overlay
+      const any = this.page.locator(this.overlays.map(({ selector }) => selector).join(', '));
+      if ((await any.count()) === 0) {
+        return names;
+      }
+    } catch (error) {
+      // e.g. the page closed or navigated during the check
+      this.logger.warn(`Could not look for overlays: ${error.message}`, { action: 'dismissOverlays', error });
+      return names;
+    }
+
+    for (const overlay of this.overlays) {
+      try {
+        if (!(await this.page.locator(overlay.selector).first().isVisible())) {
+          continue;
+        }
+        await this.dismissOverlay(overlay);
+        names.push(overlay.name);
+      } catch (error) {
+        this.logger.warn(`Could not dismiss overlay ${overlay.name}: ${error.message}`, { action: 'dismissOverlays', overlay: overlay.name, error });
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Clicks the dismiss button of an overlay, or removes the overlay when it has none
+   * @param {Overlay} overlay
+   */
+  async dismissOverlay(overlay) {
+    if (overlay.dismiss) {
+      await this.page.locator(overlay.dismiss).first().click({ timeout: this.timeout });
+    } else {
+      await this.page.locator(overlay.selector).evaluateAll((elements) => elements.forEach((element) => element.remove()));
+    }
+
+    const url = this.page.url();
+    this.dismissed.push({ name: overlay.name, url, timestamp: new Date(this.now()).toISOString() });
+    this.logger.info(`Dismissed overlay: ${overlay.name}`, { action: 'dismissOverlays', overlay: overlay.name, url });
+  }
+}
+
+module.exports = { OverlayDismisser, KNOWN_OVERLAYS }
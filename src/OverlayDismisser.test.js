@@ -0,0 +1,116 @@
+const { OverlayDismisser, KNOWN_OVERLAYS } = require('./OverlayDismisser');
+const { Logger } = require('./Logger');
+const { PageHandler } = require('./PageHandler');
+
+/**
+ * Creates a fake page whose visible elements are the selectors in `visible`
+ */
+function createPage(visible) {
+  const calls = [];
+  const page = {
+    calls,
+    handlers: [],
+    url: () => 'https://www.example.com/',
+    addLocatorHandler: async (locator, handler) => page.handlers.push({ locator, handler }),
+    removeLocatorHandler: async (locator) => {
+      page.handlers = page.handlers.filter((entry) => entry.locator !== locator);
+    },
+    locator: (selector) => {
+      const locator = {
+        selector,
+        first: () => locator,
+        count: async () => selector.split(', ').filter((part) => visible.has(part)).length,
+        isVisible: async () => visible.has(selector),
+        click: async () => {
+          calls.push(['click', selector]);
+          if (!visible.has(selector)) {
+            throw new Error(`Timeout waiting for ${selector}`);
+          }
+        },
+        evaluateAll: async () => calls.push(['remove', selector]),
+      };
+      return locator;
+    },
+  };
+  return page;
+}
+
+const logger = Logger.silent();
+
+describe('OverlayDismisser', () => {
+  it('should dismiss visible overlays with their button, or remove them', async () => {
+    const page = createPage(new Set(['#onetrust-banner-sdk', '#onetrust-accept-btn-handler', '.paywall']));
+    const dismisser = new OverlayDismisser(page, { overlays: [{ name: 'paywall', selector: '.paywall' }], logger, now: () => 0 });
+
+    const names = await dismisser.dismiss();
+
+    // Assertions
+    expect(names).toEqual(['paywall', 'onetrust']);
+    expect(page.calls).toEqual([['remove', '.paywall'], ['click', '#onetrust-accept-btn-handler']]);
+    expect(dismisser.dismissed[0]).toEqual({ name: 'paywall', url: 'https://www.example.com/', timestamp: '1970-01-01T00:00:00.000Z' });
+  });
+
+  it('should log overlays it cannot dismiss and skip pages without overlays', async () => {
+    const page = createPage(new Set(['#modal']));
+    const dismisser = new OverlayDismisser(page, { overlays: [{ name: 'modal', selector: '#modal', dismiss: '#close' }], known: false, logger });
+
+    // Assertions
+    expect(await dismisser.dismiss()).toEqual([]);
+    expect(page.calls).toEqual([['click', '#close']]);
+    expect(await new OverlayDismisser(createPage(new Set()), { logger }).dismiss()).toEqual([]);
+  });
+
+  it('should not throw when the page goes away during the checks', async () => {
+    const page = createPage(new Set(['#modal']));
+    const locator = page.locator;
+    page.locator = (selector) => ({
+      ...locator(selector),
+      first: () => ({ isVisible: async () => {
+        throw new Error('Target page, context or browser has been closed');
+      } }),
+    });
+    const dismisser = new OverlayDismisser(page, { overlays: [{ name: 'modal', selector: '#modal' }], known: false, logger });
+
+    // Assertions
+    await expect(dismisser.dismiss()).resolves.toEqual([]);
+    page.locator = () => ({ count: async () => Promise.reject(new Error('Execution context was destroyed')) });
+    await expect(dismisser.dismiss()).resolves.toEqual([]);
+  });
+
+  it('should register blocking handlers for every overlay until detached', async () => {
+    const page = createPage(new Set());
+    const dismisser = OverlayDismisser.from(page, { overlays: [{ name: 'modal', selector: '#modal' }], logger });
+
+    // Assertions
+    expect(page.handlers).toHaveLength(KNOWN_OVERLAYS.length + 1);
+    await dismisser.detach();
+    expect(page.handlers).toHaveLength(0);
+    expect(OverlayDismisser.from(page, { handleBlocking: false, logger }).handlers).toHaveLength(0);
+  });
+
+  it('should register the overlays of a page once for all its handlers', () => {
+    const page = createPage(new Set());
+    const first = new PageHandler(page, { logger, overlays: true });
+    const second = new PageHandler(page, { logger, overlays: true });
+
+    // Assertions
+    expect(second.overlayDismisser).toBe(first.overlayDismisser);
+    expect(page.handlers).toHaveLength(KNOWN_OVERLAYS.length);
+  });
+
+  it('should warn when the options of a later handler are ignored', () => {
+    const page = createPage(new Set());
+    const warnings = [];
+    const warnLogger = Object.assign(Logger.silent(), { warn: (message) => warnings.push(message) });
+    const first = new PageHandler(page, { logger, overlays: true });
+    const second = new PageHandler(page, { logger: warnLogger, overlays: { known: false } });
+
+    // Assertions
+    expect(second.overlayDismisser).toBe(first.overlayDismisser);
+    expect(warnings).toEqual(['An overlay dismisser is already attached to this page, ignoring the new overlays options; pass an instance to replace it']);
+  });
+
+  it('throw error when an overlay is invalid', () => {
+    expect(() => new OverlayDismisser(createPage(new Set()), { overlays: [{ name: 'modal' }] })).toThrowError('Invalid overlay');
+  });
+});
@@ -1,13 +1,90 @@
-const { chromium } = require('playwright');
+const { RandomDelay } = require('./DelayStrategy');
+const { DialogPolicy } = require('./DialogPolicy');
+const { Diagnostics } = require('./Diagnostics');
+const { DownloadManager } = require('./DownloadManager');
+const { FormFiller } = require('./FormFiller');
+const { HumanInput } = require('./HumanInput');
+const { Logger, describeTarget } = require('./Logger');
+const { NetworkCapture } = require('./NetworkCapture');
+const { NetworkRecorder } = require('./NetworkRecorder');
+const { OverlayDismisser } = require('./OverlayDismisser');
+const { Paginator } = require('./Paginator');
+const { RateLimiter } = require('./RateLimiter');
+const { RequestRouter } = require('./RequestRouter');
+const { RetryPolicy } = require('./RetryPolicy');
+const { SchemaExtractor } = require('./SchemaExtractor');
+const { readTableRows, tableToRecords } = require('./tableUtils');
+const { readLinks, filterLinks } = require('./linkUtils');
+const { matchesPattern } = require('./urlUtils');
+const { waitForConditions, describeCondition, trackRequests, waitsForNetworkIdle, WaitTimeoutError } = require('./waitConditions');
+
+/**
+ * @typedef {Object} PageHandlerOptions
+ * @property {RetryPolicy|import('./RetryPolicy').RetryPolicyOptions} [retryPolicy] - retries failed actions (default: no retries)
+ * @property {Logger} [logger] - logger for action messages (default: console text logger)
+ * @property {RateLimiter|import('./RateLimiter').RateLimiterOptions} [rateLimiter] - paces actions per host; share one instance between pages (default: none)
+ * @property {import('./DelayStrategy').DelayStrategy} [delayStrategy] - picks the wait after each action (default: {@link RandomDelay})
+ * @property {RequestRouter} [router] - router already attached to the page context, counted by `getRoutingStats`
+ * @property {HumanInput|import('./HumanInput').HumanInputOptions|boolean} [humanize] - clicks and types like a person instead of instantly (default: off)
+ * @property {Diagnostics|import('./Diagnostics').DiagnosticsOptions|boolean} [diagnostics] - writes a debugging bundle when an action fails (default: off)
+ * @property {DownloadManager|import('./DownloadManager').DownloadManagerOptions} [downloads] - saves the files of `clickAndCaptureDownload` (default: `downloads` directory)
+ * @property {DialogPolicy|import('./DialogPolicy').DialogPolicyOptions|boolean} [dialogs] - answers `alert`, `confirm` and `prompt` dialogs and logs them (default: off, Playwright dismisses them)
+ * @property {OverlayDismisser|import('./OverlayDismisser').OverlayDismisserOptions|boolean} [overlays] - dismisses consent banners and modals after each navigation (default: off)
+ */
+
+/**
+ * Per-call options accepted by navigation and element actions
+ * @typedef {Object} ActionOptions
+ * @property {RetryPolicy|import('./RetryPolicy').RetryPolicyOptions|false} [retry] - overrides the handler retry policy for this call (`false` disables it)
+ * @property {HumanInput|import('./HumanInput').HumanInputOptions|boolean} [humanize] - overrides the handler `humanize` option for this call (`false` disables it)
+ * @property {import('./waitConditions').WaitCondition|Function|Array<import('./waitConditions').WaitCondition|Function>} [waitFor] - conditions awaited after the action, e.g. `{ visible: '#results' }`
+ * @property {number} [waitTimeout=30000] - maximum time to wait for the `waitFor` conditions, in milliseconds
+ * @property {boolean} [delay=true] - waits the random `waitMin`-`waitMax` delay after the action; set `false` to rely on `waitFor` only
+ */
+
+/**
+ * A frame to enter: a CSS selector of its `<iframe>` element, or an object with one of
+ * `selector`, `name` (the iframe `name` attribute) or `url` (a glob, regular expression or predicate the frame URL matches)
+ * @typedef {string|{selector: string}|{name: string}|{url: string|RegExp|((url: string) => boolean)}} FrameSegment
+ */
 
 /**
  * Handles page interactions such as navigation, and element interactions
  * @typedef {Object} PageHandler
  * @property {import('playwright').Page} page
+ * @property {PageHandlerOptions} options - options the handler was created with
+ * @property {RetryPolicy|null} retryPolicy
+ * @property {Logger} logger
+ * @property {RateLimiter|null} rateLimiter
+ * @property {import('./DelayStrategy').DelayStrategy} delayStrategy
+ * @property {RequestRouter[]} routers - routers whose counters apply to this page
+ * @property {HumanInput|null} humanInput - humanized input used by default, `null` when off
+ * @property {Diagnostics|null} diagnostics - failure diagnostics, `null` when off
+ * @property {DownloadManager} downloadManager - saves captured downloads
+ * @property {DialogPolicy|null} dialogPolicy - dialog answers, `null` when off
+ * @property {OverlayDismisser|null} overlayDismisser - overlay dismissal, `null` when off
+ * @property {FrameSegment[]} framePath - frames element operations run in, from the outermost one (empty for the page)
  */
 class PageHandler {
-  constructor(page) {
+  /**
+   * @param {import('playwright').Page} page - page to interact with
+   * @param {PageHandlerOptions} [options] - handler options
+   */
+  constructor(page, options = {}) {
     this.page = page;
+    this.options = options;
+    this.retryPolicy = RetryPolicy.from(options.retryPolicy);
+    this.logger = options.logger || new Logger();
+    this.rateLimiter = RateLimiter.from(options.rateLimiter);
+    this.delayStrategy = options.delayStrategy || new RandomDelay();
+    this.routers = options.router ? [options.router] : [];
+    this.humanInput = HumanInput.from(page, options.humanize);
+    this.diagnostics = Diagnostics.from(page, options.diagnostics, this.logger);
+    this.downloadManager = DownloadManager.from(options.downloads, this.logger);
+    this.dialogPolicy = DialogPolicy.from(page, options.dialogs, this.logger);
+    this.overlayDismisser = OverlayDismisser.from(page, options.overlays, this.logger);
+    this.framePath = [];
+    this.requestTracker = null;
   }
 
   /**
@@ -16,14 +93,18 @@ class PageHandler {
    * @param {string} [options={waitUntil: 'load'}] - `default: {waitUntil: 'load'} `
    * @param {number} [waitMin=4000]  The minimum wait time in milliseconds
    * @param {number} [waitMax=7000] The maximum wait time in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
+   * @returns {Promise<import('playwright').Response|null>} response of the navigation, `null` for same-document navigations
    */
-  async goToUrl(url, options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000) {
+  async goToUrl(url, options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000, actionOptions = {}) {
     try {
-      console.log(`Goto: ${url}`);
-      await this.page.goto(url, options);
-      await this.waitForRandomTimeout(waitMin, waitMax);
+      this.logger.info(`Goto: ${url}`, { action: 'goToUrl', url });
+      const response = await this.runAction('goToUrl', () => this.page.goto(url, options), actionOptions, url);
+      await this.dismissOverlays();
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      return response;
     } catch (error) {
-      console.error(`Error going to url: ${url}, error: ${error}`);
+      this.logger.error(`Error going to url: ${url}, error: ${error}`, { action: 'goToUrl', url, error });
       throw error;
     }
   }
@@ -33,14 +114,16 @@ class PageHandler {
    * @param {string} [options={waitUntil: 'load'}] - `default: {waitUntil: 'load'} `
    * @param {number} [waitMin=4000]  The minimum wait time in milliseconds
    * @param {number} [waitMax=7000] The maximum wait time in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
    */
-  async goBack(options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000) {
+  async goBack(options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000, actionOptions = {}) {
     try {
-      console.log(`Go Back`);
-      await this.page.goBack(options);
-      await this.waitForRandomTimeout(waitMin, waitMax);
+      this.logger.info(`Go Back`, { action: 'goBack' });
+      await this.runAction('goBack', () => this.page.goBack(options), actionOptions);
+      await this.dismissOverlays();
+      await this.afterAction(actionOptions, waitMin, waitMax);
     } catch (error) {
-      console.error(`Error going back: ${error}`);
+      this.logger.error(`Error going back: ${error}`, { action: 'goBack', error });
       throw error;
     }
   }
@@ -50,14 +133,16 @@ class PageHandler {
    * @param {string} [options={waitUntil: 'load'}] - `default: {waitUntil: 'load'} `
    * @param {number} [waitMin=4000]  The minimum wait time in milliseconds
    * @param {number} [waitMax=7000] The maximum wait time in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
    */
-  async goForward(options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000) {
+  async goForward(options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000, actionOptions = {}) {
     try {
-      await this.page.goForward(options);
-      await this.waitForRandomTimeout(waitMin, waitMax);
-      console.log(`Go Forward`);
+      await this.runAction('goForward', () => this.page.goForward(options), actionOptions);
+      await this.dismissOverlays();
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info(`Go Forward`, { action: 'goForward', url: this.page.url() });
     } catch (error) {
-      console.error(`Error going forward: ${error}`);
+      this.logger.error(`Error going forward: ${error}`, { action: 'goForward', error });
       throw error;
     }
   }
@@ -67,26 +152,248 @@ class PageHandler {
    * @param {string} [options={waitUntil: 'load'}] - `default: {waitUntil: 'load'} `
    * @param {number} [waitMin=4000]  The minimum wait time in milliseconds
    * @param {number} [waitMax=7000] The maximum wait time in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
    */
-  async reloadPage(options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000) {
+  async reloadPage(options = { waitUntil: 'load' }, waitMin=4000, waitMax=7000, actionOptions = {}) {
     try {
-      await this.page.reload(options);
+      await this.runAction('reloadPage', () => this.page.reload(options), actionOptions);
+      await this.dismissOverlays();
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info(`Reloaded Page`, { action: 'reloadPage', url: this.page.url() });
+    } catch (error) {
+      this.logger.error(`Error reloading page: ${error}`, { action: 'reloadPage', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a page operation through the rate limiter and the retry policy of the call, or of the handler.
+   * Without a policy the operation runs once. When it finally fails and diagnostics are on, a bundle is written
+   * @param {string} action - name of the action, used in messages
+   * @param {() => Promise<any>} operation - page operation to run
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
+   * @param {string} [targetUrl] - URL whose host is rate limited (default: the current page URL)
+   * @param {string|import('playwright').Locator} [selectorOrLocator] - element the action targets, recorded by diagnostics
+   * @returns {Promise<any>} the result of the operation
+   */
+  async runAction(action, operation, actionOptions = {}, targetUrl, selectorOrLocator) {
+    const retryPolicy = actionOptions.retry !== undefined
+      ? RetryPolicy.from(actionOptions.retry)
+      : this.retryPolicy;
+    // a networkIdle wait after the action must count the requests the action itself starts
+    this.stopRequestTracking();
+    const requestTracker = actionOptions.waitFor && waitsForNetworkIdle(actionOptions.waitFor) ? trackRequests(this.page) : null;
+    const throttled = async () => {
+      if (this.rateLimiter) {
+        await this.rateLimiter.acquire(targetUrl || this.page.url());
+      }
+      return await operation();
+    };
+
+    const startTime = Date.now();
+    let result;
+    try {
+      result = retryPolicy
+        ? await retryPolicy.execute(throttled, {
+          action,
+          logger: this.logger,
+          recover: retryPolicy.recover && ((error, attempt) => this.recover(retryPolicy.recover, error, attempt)),
+        })
+        : await throttled();
+    } catch (error) {
+      requestTracker && requestTracker.stop();
+      await this.captureFailure(action, error, selectorOrLocator);
+      throw error;
+    }
+
+    this.requestTracker = requestTracker;
+    this.logger.debug(`${action} completed`, { action, url: this.page.url(), duration: Date.now() - startTime });
+    return result;
+  }
+
+  /**
+   * Writes a diagnostics bundle for a failed action, when diagnostics are on
+   * @param {string} action - name of the action
+   * @param {Error} error - error the action threw
+   * @param {string|import('playwright').Locator} [selectorOrLocator] - element the action targeted
+   */
+  async captureFailure(action, error, selectorOrLocator) {
+    if (this.diagnostics) {
+      await this.diagnostics.capture(action, error, { selector: selectorOrLocator && describeTarget(selectorOrLocator) });
+    }
+  }
+
+  /**
+   * Runs the recovery step of a retry policy before the next attempt
+   * @param {'reload'|Function} recover - `'reload'` reloads the page, functions are called with this handler
+   * @param {Error} error - error of the failed attempt
+   * @param {number} attempt - number of the failed attempt
+   */
+  async recover(recover, error, attempt) {
+    if (recover === 'reload') {
+      this.logger.info(`Reloading page before retry ${attempt + 1}`, { action: 'recover', attempt, error });
+      await this.page.reload();
+      return;
+    }
+    await recover(this, error, attempt);
+  }
+
+  /**
+   * Returns the humanized input of a call: the `humanize` action option when set, the handler one otherwise
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
+   * @returns {HumanInput|null} `null` when the call runs with instant input
+   */
+  getHumanInput(actionOptions = {}) {
+    if (actionOptions.humanize === undefined) {
+      return this.humanInput;
+    }
+    if (actionOptions.humanize === true && this.humanInput) {
+      return this.humanInput;
+    }
+    return HumanInput.from(this.page, actionOptions.humanize);
+  }
+
+  /**
+   * Dismisses the visible consent banners and modals of the `overlays` option.
+   * Navigation methods call it once the page is loaded
+   * @returns {Promise<string[]>} names of the dismissed overlays, empty when the option is off
+   */
+  async dismissOverlays() {
+    return this.overlayDismisser ? await this.overlayDismisser.dismiss() : [];
+  }
+
+  /**
+   * Returns the dialogs that appeared on the page and how they were answered, oldest first
+   * @returns {import('./DialogPolicy').DialogEntry[]} empty when the `dialogs` option is off
+   */
+  getDialogLog() {
+    return this.dialogPolicy ? [...this.dialogPolicy.entries] : [];
+  }
+
+  /**
+   * Waits after an action: for the `waitFor` conditions of the call, then the random delay unless `delay` is `false`
+   * @param {ActionOptions} actionOptions - per-call action options
+   * @param {number} waitMin - minimum random wait, in milliseconds
+   * @param {number} waitMax - maximum random wait, in milliseconds
+   */
+  async afterAction(actionOptions, waitMin, waitMax) {
+    const requestTracker = this.requestTracker;
+    this.requestTracker = null;
+    try {
+      if (actionOptions.waitFor) {
+        await this.waitFor(actionOptions.waitFor, { timeout: actionOptions.waitTimeout, requestTracker });
+      }
+    } finally {
+      requestTracker && requestTracker.stop();
+    }
+    if (actionOptions.delay !== false) {
       await this.waitForRandomTimeout(waitMin, waitMax);
-      console.log(`Reloaded Page`);
+    }
+  }
+
+  /**
+   * Stops tracking the requests of the last action, if its `waitFor` wasn't awaited
+   */
+  stopRequestTracking() {
+    if (this.requestTracker) {
+      this.requestTracker.stop();
+      this.requestTracker = null;
+    }
+  }
+
+  /**
+   * Waits until the page meets every condition, e.g. `{ visible: '#results' }`, `{ networkIdle: 500 }`,
+   * `{ url: /search/ }` or `{ countStable: '.item' }`
+   * @param {import('./waitConditions').WaitCondition|Function|Array<import('./waitConditions').WaitCondition|Function>} conditions - conditions, awaited in order
+   * @param {import('./waitConditions').WaitOptions} [options] - timeout and polling options
+   * @throws {import('./waitConditions').WaitTimeoutError} describing the unmet condition
+   */
+  async waitFor(conditions, options = {}) {
+    const description = [].concat(conditions).map(describeCondition).join(', ');
+    try {
+      const startTime = Date.now();
+      await waitForConditions(this, conditions, options);
+      this.logger.debug(`Waited for ${description}`, { action: 'waitFor', duration: Date.now() - startTime });
     } catch (error) {
-      console.error(`Error reloading page: ${error}`);
+      this.logger.error(`Error waiting for ${description}: ${error.message}`, { action: 'waitFor', url: this.page.url(), error });
+      await this.captureFailure('waitFor', error);
       throw error;
     }
   }
 
   /**
-   * Makes the scraper wait a random amount of time. By default waits between 5 - 12 seconds
+   * Makes the scraper wait a random amount of time. By default waits between 5 - 12 seconds.
+   * The actual wait is picked by the handler `delayStrategy`
    * @param {number} [waitMin=5000]  The minimum wait time in milliseconds
    * @param {number} [waitMax=12000] The maximum wait time in milliseconds
    */
   async waitForRandomTimeout(waitMin = 5000, waitMax = 12000) {
-    const waitTime = Math.floor(Math.random() * (waitMax - waitMin + 1)) + waitMin;
-    await this.page.waitForTimeout(waitTime);
+    const waitTime = this.delayStrategy.getDelay(waitMin, waitMax);
+    if (waitTime > 0) {
+      await this.page.waitForTimeout(waitTime);
+    }
+  }
+
+  /**
+   * Returns a handler whose element operations (clicks, typing, texts, extraction, waits...) run inside a frame,
+   * e.g. `pageHandler.inFrame('#checkout', { name: 'card' }).typeText('#number', '4242')`.
+   * It shares the options and state of this handler, and navigation methods still act on the page.
+   * Like every selector of the library, selectors inside the frame pierce open shadow roots.
+   * URL segments can't follow selector or name segments: those resolve lazily, so there is no frame yet to search in
+   * @param {...FrameSegment} path - frames to enter, from the outermost one
+   * @returns {PageHandler} the scoped handler
+   * @throws {Error} when a segment is invalid, or a URL segment follows a selector or name segment
+   */
+  inFrame(...path) {
+    const invalid = path.find((segment) => typeof segment !== 'string'
+      && !(segment && ['selector', 'name', 'url'].some((key) => segment[key] !== undefined)));
+    if (path.length === 0 || invalid !== undefined) {
+      throw new Error(`Invalid frame: ${path.length === 0 ? 'no frame given' : JSON.stringify(invalid)}`);
+    }
+    const framePath = [...this.framePath, ...path];
+    const firstLocated = framePath.findIndex((segment) => typeof segment === 'string' || segment.url === undefined);
+    if (firstLocated !== -1 && framePath.slice(firstLocated).some((segment) => typeof segment !== 'string' && segment.url !== undefined)) {
+      throw new Error('Invalid frame path: a URL segment must come before any selector or name segment');
+    }
+
+    // the scoped handler inherits everything from this one, only its frame path differs
+    const scoped = Object.create(this);
+    scoped.framePath = framePath;
+    return scoped;
+  }
+
+  /**
+   * Returns what element operations run in: the page, or the frame of the frame path.
+   * Selector and name segments resolve lazily, when the frame is used; URL segments, which come first,
+   * match the frames attached at the time of the call, below the previous URL segment
+   * @returns {import('playwright').Page|import('playwright').Frame|import('playwright').FrameLocator}
+   * @throws {Error} when no frame matches a URL segment
+   */
+  getScope() {
+    let scope = this.page;
+    let parentFrame = null;
+    for (const segment of this.framePath) {
+      if (typeof segment === 'string' || segment.selector !== undefined) {
+        scope = scope.frameLocator(typeof segment === 'string' ? segment : segment.selector);
+      } else if (segment.name !== undefined) {
+        const name = JSON.stringify(segment.name);
+        scope = scope.frameLocator(`iframe[name=${name}], frame[name=${name}]`);
+      } else {
+        scope = findFrame(parentFrame || this.page.mainFrame(), segment.url);
+        parentFrame = scope;
+      }
+    }
+    return scope;
+  }
+
+  /**
+   * Creates a locator in the page, or in the frame of the frame path
+   * @param {string} selector - CSS selector
+   * @param {Object} [options] - Playwright locator options, e.g. `hasText`
+   * @returns {import('playwright').Locator}
+   */
+  locator(selector, options) {
+    return this.getScope().locator(selector, options);
   }
 
   /**
@@ -96,9 +403,10 @@ class PageHandler {
    */
   async getElements(selector) {
     try {
-      return await this.page.locator(selector).all();
+      return await this.locator(selector).all();
     } catch (error) {
-      console.error(`Error getting elements with selector ${selector}, error: ${error}`)
+      this.logger.error(`Error getting elements with selector ${selector}, error: ${error}`, { action: 'getElements', selector, error });
+      await this.captureFailure('getElements', error, selector);
       throw error;
     }
   }
@@ -111,11 +419,16 @@ class PageHandler {
   async getElementText(selectorOrLocator) {
     try {
       if (typeof selectorOrLocator === 'string') {
-        return await this.page.locator(selectorOrLocator).textContent();
+        return await this.locator(selectorOrLocator).textContent();
       }
       return await selectorOrLocator.textContent();
      } catch (error) {
-         console.error(`Error getting element text with selector ${selectorOrLocator}: ${error}`);
+         this.logger.error(`Error getting element text with selector ${selectorOrLocator}: ${error}`, {
+           action: 'getElementText',
+           selector: describeTarget(selectorOrLocator),
+           error,
+         });
+         await this.captureFailure('getElementText', error, selectorOrLocator);
          return null;
      }
   }
@@ -129,64 +442,166 @@ class PageHandler {
   async getElementAttribute(selectorOrLocator, attributeName) { 
     try {
       if (typeof selectorOrLocator === 'string') {
-        return await this.page.locator(selectorOrLocator).getAttribute(attributeName);
+        return await this.locator(selectorOrLocator).getAttribute(attributeName);
       }
       return await selectorOrLocator.getAttribute(attributeName);
     } catch (error) {
-      console.error(`Error getting element attribute: ${attributeName}`);
+      this.logger.error(`Error getting element attribute: ${attributeName}`, {
+        action: 'getElementAttribute',
+        selector: describeTarget(selectorOrLocator),
+        attributeName,
+        error,
+      });
+      await this.captureFailure('getElementAttribute', error, selectorOrLocator);
       throw error;
     }
   }
 
   /**
-   * Clicks the element given in `selectorOrLocator` and waits before next action
+   * Clicks the element given in `selectorOrLocator` and waits before next action.
+   * With `humanize`, scrolls it into view and moves the mouse to it along a curved path first
    * @param {string|import('playwright').Locator} selectorOrLocator - Either a CSS selector or a Locator
    * @param {number} [waitMin=3000]  The minimum wait time in milliseconds
    * @param {number} [waitMax=7000] The maximum wait time in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
    */
-  async click(selectorOrLocator, waitMin=3000, waitMax=7000) {
+  async click(selectorOrLocator, waitMin=3000, waitMax=7000, actionOptions = {}) {
     try {
       if (typeof selectorOrLocator === 'string') {
-        await this.page.locator(selectorOrLocator).click();
-      } else {
-        await selectorOrLocator.click();
+        selectorOrLocator = this.locator(selectorOrLocator);
       }
+      const humanInput = this.getHumanInput(actionOptions);
+      await this.runAction('click', () => (humanInput ? humanInput.click(selectorOrLocator) : selectorOrLocator.click()), actionOptions, undefined, selectorOrLocator);
 
-      await this.waitForRandomTimeout(waitMin, waitMax);
-      console.log('Clicked element');
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info('Clicked element', { action: 'click', selector: describeTarget(selectorOrLocator) });
     } catch (error) {
-      console.error(`Error clicking element: ${error}`);
+      this.logger.error(`Error clicking element: ${error}`, { action: 'click', selector: describeTarget(selectorOrLocator), error });
       throw error;
     }
   }
   
+  /**
+   * Clicks an element that opens a popup or a new tab, and returns a handler for the new page.
+   * The handler shares the options of this one (logger, retry policy, rate limiter, humanized input, diagnostics)
+   * @param {string|import('playwright').Locator} selectorOrLocator - CSS selector or Locator of the element
+   * @param {Object} [options]
+   * @param {number} [options.timeout=30000] - maximum time to wait for the popup, in milliseconds
+   * @param {'load'|'domcontentloaded'|'networkidle'} [options.waitUntil='load'] - load state awaited in the popup
+   * @param {number} [options.waitMin=3000] - minimum wait once the popup is loaded, in milliseconds
+   * @param {number} [options.waitMax=7000] - maximum wait once the popup is loaded, in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options; `waitFor` conditions are awaited in the popup
+   * @returns {Promise<PageHandler>} handler of the popup page
+   * @throws {WaitTimeoutError} when no popup opens in time
+   */
+  async clickAndCapturePopup(selectorOrLocator, options = {}, actionOptions = {}) {
+    const { timeout = 30000, waitUntil = 'load', waitMin = 3000, waitMax = 7000 } = options;
+    try {
+      const locator = typeof selectorOrLocator === 'string' ? this.locator(selectorOrLocator) : selectorOrLocator;
+      const humanInput = this.getHumanInput(actionOptions);
+      const [popup] = await this.runAction('clickAndCapturePopup', () => Promise.all([
+        waitForPageEvent(this.page, 'popup', timeout, 'a popup to open'),
+        humanInput ? humanInput.click(locator) : locator.click(),
+      ]), actionOptions, undefined, locator);
+      await popup.waitForLoadState(waitUntil, { timeout });
+
+      const popupHandler = this.forPage(popup);
+      await popupHandler.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info(`Captured popup: ${popup.url()}`, { action: 'clickAndCapturePopup', selector: describeTarget(selectorOrLocator), url: popup.url() });
+      return popupHandler;
+    } catch (error) {
+      this.logger.error(`Error capturing popup: ${error}`, { action: 'clickAndCapturePopup', selector: describeTarget(selectorOrLocator), error });
+      throw error;
+    }
+  }
+
+  /**
+   * Clicks an element that starts a download, and saves the file with the handler's download manager
+   * @param {string|import('playwright').Locator} selectorOrLocator - CSS selector or Locator of the element
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - maximum time to wait for the download to start, in milliseconds (default: the download manager's)
+   * @param {string} [options.filename] - name to save the file as (default: the suggested name, sanitized)
+   * @param {number} [options.waitMin=3000] - minimum wait once saved, in milliseconds
+   * @param {number} [options.waitMax=7000] - maximum wait once saved, in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
+   * @returns {Promise<import('./DownloadManager').DownloadResult>} path, size and SHA-256 of the saved file
+   * @throws {WaitTimeoutError} when no download starts in time
+   */
+  async clickAndCaptureDownload(selectorOrLocator, options = {}, actionOptions = {}) {
+    const { timeout, filename, waitMin = 3000, waitMax = 7000 } = options;
+    try {
+      const locator = typeof selectorOrLocator === 'string' ? this.locator(selectorOrLocator) : selectorOrLocator;
+      const humanInput = this.getHumanInput(actionOptions);
+      const download = await this.runAction('clickAndCaptureDownload', () => this.downloadManager.capture(
+        this.page,
+        () => (humanInput ? humanInput.click(locator) : locator.click()),
+        { timeout, filename },
+      ), actionOptions, undefined, locator);
+
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info(`Downloaded file: ${download.path}`, { action: 'clickAndCaptureDownload', selector: describeTarget(selectorOrLocator), path: download.path });
+      return download;
+    } catch (error) {
+      this.logger.error(`Error capturing download: ${error}`, { action: 'clickAndCaptureDownload', selector: describeTarget(selectorOrLocator), error });
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a handler for another page of the same context, e.g. a popup, with the options of this one
+   * @param {import('playwright').Page} page
+   * @returns {PageHandler}
+   */
+  forPage(page) {
+    return new PageHandler(page, {
+      ...this.options,
+      retryPolicy: this.retryPolicy,
+      logger: this.logger,
+      rateLimiter: this.rateLimiter,
+      delayStrategy: this.delayStrategy,
+      // humanized input, diagnostics and the dialog and overlay policies are bound to their page
+      humanize: this.humanInput ? { ...this.humanInput.options } : false,
+      diagnostics: this.diagnostics ? this.diagnostics.forPage(page) : false,
+      dialogs: this.dialogPolicy ? this.dialogPolicy.forPage(page) : false,
+      overlays: this.overlayDismisser ? this.overlayDismisser.forPage(page) : false,
+      downloads: this.downloadManager,
+    });
+  }
+
   /**
    * Sets a value to the `selectorOrLocator` input element.  
-   * Returns boolean if element was succesfully filled element
+   * Returns boolean if element was succesfully filled element.
+   * With `humanize`, the text is typed key by key instead of being set at once
    * @param {string|import('playwright').Locator} selectorOrLocator - Either a CSS selector or a Locator
    * @param {string} text - Input text
    * @param {number} [waitMin=3000] The minimum wait time in milliseconds
    * @param {number} [waitMax=8000] The maximum wait time in milliseconds
    * @param {boolean} [throwOnError=true] - Whether to throw an error if the element is not an input element or if another error occurs (default: true)
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
    * @returns {boolean} `true` if filled, `false` if `throwOnError=false`
    */
-  async typeText(selectorOrLocator, text, waitMin=3000, waitMax=8000, throwOnError=true) {
+  async typeText(selectorOrLocator, text, waitMin=3000, waitMax=8000, throwOnError=true, actionOptions = {}) {
     if (typeof selectorOrLocator === 'string') {
-      selectorOrLocator = this.page.locator(selectorOrLocator);
+      selectorOrLocator = this.locator(selectorOrLocator);
     }
 
     try {
-      await selectorOrLocator.fill(text);
-      await this.waitForRandomTimeout(waitMin, waitMax);
-      console.log(`Filled input element with: ${text}`)
+      const humanInput = this.getHumanInput(actionOptions);
+      await this.runAction('typeText', () => (humanInput ? humanInput.type(selectorOrLocator, text) : selectorOrLocator.fill(text)), actionOptions, undefined, selectorOrLocator);
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info(`Filled input element with: ${text}`, { action: 'typeText', selector: describeTarget(selectorOrLocator) });
 
       return true;
     } catch (error) {
       if (throwOnError) {
-        console.error(`Error filling element: ${error}`);
+        this.logger.error(`Error filling element: ${error}`, { action: 'typeText', selector: describeTarget(selectorOrLocator), error });
         throw error;
       }
-      console.warn(`Warning: Could not fill element (likely not an input element): ${error.message}`);
+      this.logger.warn(`Warning: Could not fill element (likely not an input element): ${error.message}`, {
+        action: 'typeText',
+        selector: describeTarget(selectorOrLocator),
+        error,
+      });
       return false;
     }
   }
@@ -197,18 +612,293 @@ class PageHandler {
    * @param {string} elementText - Text content the element should have
    * @param {number} [waitMin=3000]  The minimum wait time in milliseconds
    * @param {number} [waitMax=7000] The maximum wait time in milliseconds
+   * @param {ActionOptions} [actionOptions={}] - per-call action options
    */
-  async clickElemenWithText(selector, elementText, waitMin=3000, waitMax=7000) {
+  async clickElemenWithText(selector, elementText, waitMin=3000, waitMax=7000, actionOptions = {}) {
     try {
-      await this.page.locator(selector, { hasText: elementText }).click();
-      await this.waitForRandomTimeout(waitMin, waitMax);
-      console.log(`Clicked element with text: ${elementText}`);
+      const locator = this.locator(selector, { hasText: elementText });
+      const humanInput = this.getHumanInput(actionOptions);
+      await this.runAction('clickElemenWithText', () => (humanInput ? humanInput.click(locator) : locator.click()), actionOptions, undefined, selector);
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info(`Clicked element with text: ${elementText}`, { action: 'clickElemenWithText', selector, elementText });
+    } catch (error) {
+      this.logger.error(`Error clicking element with text: ${elementText}, error: ${error}`, {
+        action: 'clickElemenWithText',
+        selector,
+        elementText,
+        error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Fills a whole form from a map of field names or labels to values, and optionally submits it.
+   * Each field gets the interaction its type needs (typing, select, check, file upload, date).
+   * Missing and failed fields are reported rather than thrown, unless `strict` is set
+   * @param {string|import('playwright').Locator} formSelector - CSS selector or Locator of the form
+   * @param {Object<string, any>} values - values by field name, id, label or placeholder
+   * @param {import('./FormFiller').FillFormOptions} [options] - submit, navigation and wait options
+   * @param {ActionOptions} [actionOptions={}] - per-call action options, applied to the submit
+   * @returns {Promise<import('./FormFiller').FillFormReport>} filled, missing and failed fields
+   */
+  async fillForm(formSelector, values, options = {}, actionOptions = {}) {
+    const { submit = false, strict = false, waitMin = 3000, waitMax = 7000 } = options;
+    try {
+      const form = typeof formSelector === 'string' ? this.locator(formSelector).first() : formSelector;
+      const filler = new FormFiller(this, form, actionOptions);
+      const report = await filler.fill(values);
+
+      const problems = [...report.missing, ...report.failed.map(({ field }) => field)];
+      if (problems.length > 0) {
+        this.logger.warn(`Could not fill form field(s): ${problems.join(', ')}`, {
+          action: 'fillForm',
+          selector: describeTarget(formSelector),
+          missing: report.missing,
+          failed: report.failed,
+        });
+        if (strict) {
+          throw new Error(`Could not fill form field(s): ${problems.join(', ')}`);
+        }
+      }
+
+      if (submit) {
+        await this.runAction('submitForm', () => filler.submit(options), actionOptions, undefined, formSelector);
+        report.submitted = true;
+      }
+      await this.afterAction(actionOptions, waitMin, waitMax);
+      this.logger.info(`Filled form with ${report.filled.length} field(s)`, { action: 'fillForm', selector: describeTarget(formSelector) });
+      return report;
+    } catch (error) {
+      this.logger.error(`Error filling form: ${error}`, { action: 'fillForm', selector: describeTarget(formSelector), error });
+      throw error;
+    }
+  }
+
+  /**
+   * Extracts plain JSON data from the page using a declarative schema
+   * @param {Object} schema - map of field names to {@link import('./SchemaExtractor').FieldSchema} (or `{ fields }`)
+   * @param {string|import('playwright').Locator} [selectorOrLocator] - scopes the extraction to this element (default: whole page)
+   * @returns {Promise<import('./SchemaExtractor').ExtractionResult>} the extracted `data` and per-field `errors`
+   */
+  async extract(schema, selectorOrLocator) {
+    try {
+      let root = this.getScope();
+      if (typeof selectorOrLocator === 'string') {
+        root = this.locator(selectorOrLocator).first();
+      } else if (selectorOrLocator) {
+        root = selectorOrLocator;
+      }
+
+      const result = await new SchemaExtractor(root).extract(schema);
+      this.logger.info(`Extracted data with ${result.errors.length} field error(s)`, { action: 'extract', errorCount: result.errors.length });
+      return result;
+    } catch (error) {
+      this.logger.error(`Error extracting data: ${error}`, { action: 'extract', error });
+      await this.captureFailure('extract', error, selectorOrLocator);
+      throw error;
+    }
+  }
+
+  /**
+   * Extracts the rows of an HTML table as objects keyed by its column headers.
+   * Header rows are detected (multi-row headers are joined), `colspan`/`rowspan` cells are
+   * expanded into every column and row they cover, and whitespace is normalized
+   * @param {string|import('playwright').Locator} selectorOrLocator - CSS selector or Locator of the `<table>`
+   * @param {import('./tableUtils').TableOptions} [options] - header, parsing and filtering options
+   * @returns {Promise<Object<string, any>[]>} one object per data row
+   */
+  async extractTable(selectorOrLocator, options = {}) {
+    try {
+      const locator = typeof selectorOrLocator === 'string' ? this.locator(selectorOrLocator) : selectorOrLocator;
+      const rows = await locator.first().evaluate(readTableRows);
+      const records = tableToRecords(rows, options);
+      this.logger.info(`Extracted ${records.length} row(s) from table`, { action: 'extractTable', selector: describeTarget(selectorOrLocator) });
+      return records;
+    } catch (error) {
+      this.logger.error(`Error extracting table: ${error}`, { action: 'extractTable', selector: describeTarget(selectorOrLocator), error });
+      await this.captureFailure('extractTable', error, selectorOrLocator);
+      throw error;
+    }
+  }
+
+  /**
+   * Collects the links of the page as absolute, normalized URLs with their text.
+   * `href`s are resolved against the page's base URL, and tracking parameters, fragments
+   * and trailing slashes are stripped before filtering and dedupe
+   * @param {import('./linkUtils').LinkOptions} [options] - scope, filtering and normalization options
+   * @returns {Promise<import('./linkUtils').Link[]>} the links, in document order
+   */
+  async getLinks(options = {}) {
+    try {
+      const root = options.selector ? this.locator(options.selector) : this.getScope();
+      const rawLinks = await root.locator('a[href], area[href]').evaluateAll(readLinks);
+      const links = filterLinks(rawLinks, this.page.url(), options);
+      this.logger.info(`Found ${links.length} link(s)`, { action: 'getLinks', selector: options.selector });
+      return links;
+    } catch (error) {
+      this.logger.error(`Error getting links: ${error}`, { action: 'getLinks', selector: options.selector, error });
+      await this.captureFailure('getLinks', error, options.selector);
+      throw error;
+    }
+  }
+
+  /**
+   * Applies request-routing rules to this page only: block resources, rewrite headers or stub responses
+   * @param {import('./RequestRouter').RouteRule[]} rules - routing rules, applied in order
+   * @returns {Promise<RequestRouter>} the router attached to the page
+   */
+  async routeRequests(rules) {
+    try {
+      const router = new RequestRouter(rules, { logger: this.logger });
+      await router.attach(this.page);
+      this.routers.push(router);
+      this.logger.info(`Routing requests with ${rules.length} rule(s)`, { action: 'routeRequests' });
+      return router;
     } catch (error) {
-      console.error(`Error clicking element with text: ${elementText}, error: ${elementText}`);
+      this.logger.error(`Error routing requests: ${error}`, { action: 'routeRequests', error });
       throw error;
     }
   }
 
+  /**
+   * Returns the counters of blocked, stubbed and modified requests of this page,
+   * across the page routers and the context router. A request seen by several routers counts once in `total`
+   * @returns {import('./RequestRouter').RoutingStats}
+   */
+  getRoutingStats() {
+    const totals = { total: 0, blocked: 0, blockedByType: {}, stubbed: 0, modified: 0 };
+    for (const router of this.routers) {
+      const stats = router.getStats(this.page);
+      totals.blocked += stats.blocked;
+      totals.stubbed += stats.stubbed;
+      totals.modified += stats.modified;
+      for (const [type, count] of Object.entries(stats.blockedByType)) {
+        totals.blockedByType[type] = (totals.blockedByType[type] || 0) + count;
+      }
+    }
+    if (this.routers.length > 0) {
+      totals.total = RequestRouter.countRequests(this.page);
+    }
+    return totals;
+  }
+
+  /**
+   * Starts recording the responses whose URL matches `patterns` (XHR and fetch by default),
+   * e.g. the JSON APIs a page loads during `goToUrl` or `click`
+   * @param {string|RegExp|Function|Array<string|RegExp|Function>} patterns - URL globs, regular expressions or predicates
+   * @param {import('./NetworkCapture').NetworkCaptureOptions} [options] - capture options
+   * @returns {NetworkCapture} the running capture; use `json()`, `settle()`, `save()` and `stop()` on it
+   */
+  captureResponses(patterns, options = {}) {
+    const capture = new NetworkCapture(this.page, patterns, { logger: this.logger, ...options }).start();
+    this.logger.info(`Capturing responses matching: ${[].concat(patterns).join(', ')}`, { action: 'captureResponses' });
+    return capture;
+  }
+
+  /**
+   * Waits for a response whose URL matches `pattern`, and returns it with its parsed JSON body.
+   * Pass the action that triggers the request as `trigger` so the response can't be missed
+   * @param {string|RegExp|Function} pattern - URL glob, regular expression or predicate
+   * @param {Object} [options]
+   * @param {number} [options.timeout=30000] - maximum time to wait, in milliseconds
+   * @param {() => Promise<any>} [trigger] - action run once the wait started, e.g. `() => pageHandler.click('#search')`
+   * @returns {Promise<import('./NetworkCapture').CapturedResponse>} the response
+   */
+  async waitForResponse(pattern, options = {}, trigger) {
+    const { timeout = 30000 } = options;
+    try {
+      const [response] = await Promise.all([
+        this.page.waitForResponse((candidate) => matchesPattern(candidate.url(), pattern), { timeout }),
+        trigger && trigger(),
+      ]);
+      const entry = await NetworkCapture.toEntry(response);
+      this.logger.info(`Received response: ${entry.url}`, { action: 'waitForResponse', url: entry.url, status: entry.status });
+      return entry;
+    } catch (error) {
+      this.logger.error(`Error waiting for response matching ${pattern}: ${error}`, { action: 'waitForResponse', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Records every response of this page to a directory (or a `.har` file), to replay it offline with `replayNetwork`.
+   * Call `save()` on the returned recorder once done; HAR files are written when the context closes
+   * @param {string} recordingPath - recording directory, or HAR file
+   * @param {import('./NetworkRecorder').NetworkRecorderOptions} [options] - recorder options
+   * @returns {Promise<NetworkRecorder>} the running recorder
+   */
+  async recordNetwork(recordingPath, options = {}) {
+    try {
+      return await new NetworkRecorder(recordingPath, { logger: this.logger, ...options }).record(this.page);
+    } catch (error) {
+      this.logger.error(`Error recording network to ${recordingPath}: ${error}`, { action: 'recordNetwork', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Answers the requests of this page with the responses recorded by `recordNetwork`, so it runs offline.
+   * Requests that weren't recorded fail unless `notFound` is `fallback`
+   * @param {string} recordingPath - recording directory, or HAR file
+   * @param {import('./NetworkRecorder').NetworkRecorderOptions} [options] - recorder options
+   * @returns {Promise<NetworkRecorder>} the replaying recorder
+   */
+  async replayNetwork(recordingPath, options = {}) {
+    try {
+      return await new NetworkRecorder(recordingPath, { logger: this.logger, ...options }).replay(this.page);
+    } catch (error) {
+      this.logger.error(`Error replaying network from ${recordingPath}: ${error}`, { action: 'replayNetwork', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Creates a paginator that walks through the pages of a listing.
+   * Iterate it with `for await` to run extraction on each page
+   * @param {import('./Paginator').PaginatorOptions} options - pagination strategy and stop conditions
+   * @returns {Paginator} async iterable of {@link import('./Paginator').PageInfo}
+   */
+  paginate(options) {
+    return new Paginator(this, options);
+  }
+
+}
+
+/**
+ * Waits for the next `event` of `page`
+ * @param {import('playwright').Page} page
+ * @param {string} event - e.g. `popup`
+ * @param {number} timeout - milliseconds
+ * @param {string} description - what is awaited, used in the timeout error
+ * @returns {Promise<any>} the event value
+ */
+async function waitForPageEvent(page, event, timeout, description) {
+  try {
+    return await page.waitForEvent(event, { timeout });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new WaitTimeoutError(description, timeout);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Returns the first frame below `parentFrame` whose URL matches `pattern`
+ * @param {import('playwright').Frame} parentFrame
+ * @param {string|RegExp|((url: string) => boolean)} pattern
+ * @returns {import('playwright').Frame}
+ */
+function findFrame(parentFrame, pattern) {
+  const frames = [...parentFrame.childFrames()];
+  for (const frame of frames) {
+    if (matchesPattern(frame.url(), pattern)) {
+      return frame;
+    }
+    frames.push(...frame.childFrames());
+  }
+  throw new Error(`No frame matches URL: ${pattern}`);
 }
 
 module.exports = { PageHandler }
\ No newline at end of file
@@ -1,32 +1,42 @@
-const { chromium } = require('playwright');
-const { PageHandler } = require('./PageHandler');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { FixtureServer } = require('./FixtureServer');
+const { createHarness } = require('./testHarness');
 const { expect } = require('playwright/test');
 
-const testUrl1 = 'https://www.example.com';
-const testUrl2 = 'https://www.google.com';
 const timeoutTime = 40000;
 
-let browser;
-let context;
+let server;
+let testUrl1;
+let testUrl2;
+let harness;
 let page;
 let pageHandler;
 
+beforeAll(async () => {
+  server = await new FixtureServer().start();
+  testUrl1 = server.url('/history/1');
+  testUrl2 = server.url('/history/2');
+});
+
+afterAll(async () => {
+  await server.stop();
+});
+
 beforeEach(async () => {
-  browser = await chromium.launch();
-  context = await browser.newContext();
-  page = await context.newPage();
-  pageHandler = new PageHandler(page);
+  harness = await createHarness({ server });
+  page = harness.page;
+  pageHandler = harness.pageHandler;
 });
 
 afterEach(async () => {
-  await page.close();
-  await context.close();
-  await browser.close();
+  await harness.close();
   pageHandler = null;
 });
 
 describe('goToUrl', () => {
-  it('should navigate to the specified URL (example.com)', async () => {
+  it('should navigate to the specified URL (fixture page)', async () => {
     // Spy on the console.log to check for the log message
     const consoleLogSpy = jest.spyOn(console, 'log');
 
@@ -461,4 +471,419 @@ describe('clickElemenWithText', () => {
   }, timeoutTime);
   
   
-});
\ No newline at end of file
+});
+
+describe('extract', () => {
+  const html = `
+    <h1> Catalog </h1>
+    <ul>
+      <li class="product"><a href="/a">Apple</a><span class="price">1.50</span></li>
+      <li class="product"><a href="/b">Banana</a></li>
+    </ul>`;
+
+  it('should extract fields, attributes and nested lists', async () => {
+    // Init DOM
+    await page.setContent(html);
+
+    const { data, errors } = await pageHandler.extract({
+      title: 'h1',
+      products: {
+        selector: '.product',
+        list: true,
+        fields: {
+          name: 'a',
+          link: { selector: 'a', source: 'attribute', attribute: 'href' },
+          price: { selector: '.price', transform: Number, default: 0 },
+        },
+      },
+    });
+
+    // Assertions
+    expect(errors).toEqual([]);
+    expect(data).toEqual({
+      title: 'Catalog',
+      products: [
+        { name: 'Apple', link: '/a', price: 1.5 },
+        { name: 'Banana', link: '/b', price: 0 },
+      ],
+    });
+  });
+
+  it('should report missing required fields', async () => {
+    // Init DOM
+    await page.setContent(html);
+
+    const { data, errors } = await pageHandler.extract({
+      fields: {
+        products: {
+          selector: '.product',
+          list: true,
+          fields: { price: { selector: '.price', required: true } },
+        },
+      },
+    });
+
+    // Assertions
+    expect(data.products).toEqual([{ price: '1.50' }, { price: null }]);
+    expect(errors).toEqual([
+      { field: 'products[1].price', message: 'No element found for selector: .price' },
+    ]);
+  });
+
+  it('should only unwrap schemas whose sole key is fields', async () => {
+    // Init DOM
+    await page.setContent(html);
+
+    const { data: unwrapped } = await pageHandler.extract({ fields: { title: 'h1' } });
+    const { data: named } = await pageHandler.extract({ fields: 'h1', link: { selector: 'a', source: 'attribute', attribute: 'href' } });
+
+    // Assertions
+    expect(unwrapped).toEqual({ title: 'Catalog' });
+    expect(named).toEqual({ fields: 'Catalog', link: '/a' });
+  });
+
+  it('throw error when schema is invalid', async () => {
+    await expect(pageHandler.extract(null)).rejects.toThrowError();
+  });
+});
+
+describe('paginate', () => {
+  const listing = `
+    <ul id="list"><li class="item">Item 1</li></ul>
+    <button id="next">Next</button>
+    <script>
+      let current = 1;
+      document.querySelector('#next').addEventListener('click', () => {
+        current++;
+        document.querySelector('#list').innerHTML = '<li class="item">Item ' + current + '</li>';
+        document.querySelector('#next').disabled = current === 3;
+      });
+    </script>`;
+
+  it('should follow the next button until it is disabled', async () => {
+    // Init DOM
+    await page.setContent(listing);
+
+    const pageNumbers = [];
+    const items = [];
+    for await (const { pageNumber } of pageHandler.paginate({
+      strategy: 'nextButton', nextSelector: '#next', itemSelector: '.item', waitMin: 0, waitMax: 0,
+    })) {
+      pageNumbers.push(pageNumber);
+      items.push(await pageHandler.getElementText('.item'));
+    }
+
+    // Assertions
+    expect(pageNumbers).toEqual([1, 2, 3]);
+    expect(items).toEqual(['Item 1', 'Item 2', 'Item 3']);
+  });
+
+  it('should stop at maxPages or when the predicate is met', async () => {
+    // Init DOM
+    await page.setContent(listing);
+
+    const limited = [];
+    for await (const { pageNumber } of pageHandler.paginate({
+      strategy: 'nextButton', nextSelector: '#next', maxPages: 2, waitMin: 0, waitMax: 0,
+    })) {
+      limited.push(pageNumber);
+    }
+
+    await page.setContent(listing);
+    const predicate = [];
+    for await (const { pageNumber } of pageHandler.paginate({
+      strategy: 'nextButton', nextSelector: '#next', until: () => true, waitMin: 0, waitMax: 0,
+    })) {
+      predicate.push(pageNumber);
+    }
+
+    // Assertions
+    expect(limited).toEqual([1, 2]);
+    expect(predicate).toEqual([1]);
+  });
+
+  it('should stop the url pattern at the first error response', async () => {
+    const pageNumbers = [];
+    for await (const { pageNumber } of pageHandler.paginate({
+      strategy: 'urlPattern', urlPattern: server.url('/history/{page}'), waitMin: 0, waitMax: 0,
+    })) {
+      pageNumbers.push(pageNumber);
+    }
+
+    // Assertions
+    expect(pageNumbers).toEqual([1, 2, 3]);
+    expect(page.url()).toBe(server.url('/history/4'));
+  });
+
+  it('throw error when strategy is invalid', async () => {
+    expect(() => pageHandler.paginate({ strategy: 'unknown' })).toThrowError();
+    expect(() => pageHandler.paginate({ strategy: 'nextButton' })).toThrowError();
+    expect(() => pageHandler.paginate({ strategy: 'infiniteScroll', itemSelector: '.item', stopWhenNoNewItems: false }))
+      .toThrowError('requires maxPages or until');
+  });
+});
+
+describe('routeRequests', () => {
+  it('should block images and count them for the page', async () => {
+    await pageHandler.routeRequests([{ action: 'block', resourceTypes: ['image'] }]);
+
+    // Init DOM
+    await page.setContent(`<img src="${testUrl1}/logo.png"><img src="${testUrl1}/banner.png">`);
+
+    const stats = pageHandler.getRoutingStats();
+
+    // Assertions
+    expect(stats.blocked).toBe(2);
+    expect(stats.blockedByType).toEqual({ image: 2 });
+  }, timeoutTime);
+
+  it('throw error when rules are invalid', async () => {
+    await expect(pageHandler.routeRequests([{ action: 'drop' }])).rejects.toThrowError();
+  });
+});
+
+describe('humanize', () => {
+  const instant = { keyDelay: [0, 0], moveDelay: [0, 0], hoverDelay: [0, 0], clickDelay: [0, 0], scrollDelay: [0, 0] };
+
+  it('should type key by key and click with the mouse', async () => {
+    // Init DOM
+    await page.setContent(`
+      <input id="name"/>
+      <div style="height: 3000px"></div>
+      <button id="send" onclick="this.textContent = 'sent'">send</button>`);
+
+    await pageHandler.typeText('#name', 'Ada', 0, 0, true, { humanize: { ...instant, typoRate: 0.5 } });
+    await pageHandler.click('#send', 0, 0, { humanize: instant });
+
+    // Assertions
+    expect(await page.locator('#name').inputValue()).toBe('Ada');
+    expect(await pageHandler.getElementText('#send')).toBe('sent');
+  });
+});
+
+describe('fillForm', () => {
+  it('should fill every field type and submit the form', async () => {
+    await pageHandler.goToUrl(server.url('/form'));
+
+    const report = await pageHandler.fillForm('#form', {
+      name: 'Ada',
+      Email: 'ada@example.com',
+      message: 'Hello',
+      country: 'Japan',
+      newsletter: true,
+      plan: 'Pro',
+      missing: 'x',
+    }, { submit: true, waitMin: 0, waitMax: 0 });
+
+    // Assertions
+    expect(report.filled).toEqual(['name', 'Email', 'message', 'country', 'newsletter', 'plan']);
+    expect(report.missing).toEqual(['missing']);
+    expect(report.submitted).toBe(true);
+    expect(page.url()).toBe(server.url('/form/submit'));
+    expect(await pageHandler.getElementText('[data-name="email"]')).toBe('ada@example.com');
+    expect(await pageHandler.getElementText('[data-name="country"]')).toBe('jp');
+    expect(await pageHandler.getElementText('[data-name="plan"]')).toBe('pro');
+  }, timeoutTime);
+
+  it('throw error on missing fields when strict', async () => {
+    await pageHandler.goToUrl(server.url('/form'));
+
+    await expect(pageHandler.fillForm('#form', { missing: 'x' }, { strict: true, waitMin: 0, waitMax: 0 })).rejects.toThrowError();
+  }, timeoutTime);
+});
+
+describe('waitFor', () => {
+  it('should wait for the element a click reveals', async () => {
+    // Init DOM
+    await page.setContent(`
+      <button id="load" onclick="setTimeout(() => document.body.insertAdjacentHTML('beforeend', '<ul id=results><li>a</li></ul>'), 300)">load</button>`);
+
+    await pageHandler.click('#load', 0, 0, { waitFor: { visible: '#results' }, delay: false });
+
+    // Assertions
+    expect(await pageHandler.getElementText('#results')).toBe('a');
+  });
+
+  it('throw error describing the unmet condition', async () => {
+    await page.setContent('<div id="list"></div>');
+
+    await expect(pageHandler.waitFor({ text: 'never', selector: '#list' }, { timeout: 200 }))
+      .rejects.toThrowError('waiting for text "never" in "#list"');
+  });
+});
+
+describe('extractTable', () => {
+  it('should key rows by their headers and expand spanned cells', async () => {
+    // Init DOM
+    await page.setContent(`
+      <table id="sales">
+        <thead>
+          <tr><th rowspan="2">Region</th><th colspan="2">2024</th></tr>
+          <tr><th>Q1</th><th>Q2</th></tr>
+        </thead>
+        <tbody>
+          <tr><td rowspan="2">North</td><td>1,200</td><td>$300</td></tr>
+          <tr><td>  900 </td><td>(50)</td></tr>
+        </tbody>
+        <tfoot><tr><td>Total</td><td>2,100</td><td>250</td></tr></tfoot>
+      </table>`);
+
+    const records = await pageHandler.extractTable('#sales', { parseNumbers: true });
+
+    // Assertions
+    expect(records).toEqual([
+      { Region: 'North', '2024 Q1': 1200, '2024 Q2': 300 },
+      { Region: 'North', '2024 Q1': 900, '2024 Q2': -50 },
+    ]);
+  });
+
+  it('throw error when the element is not a table', async () => {
+    await page.setContent('<div id="list"></div>');
+
+    await expect(pageHandler.extractTable('#list')).rejects.toThrowError('Expected a table element');
+  });
+});
+
+describe('getLinks', () => {
+  it('should resolve links against the base URL and return their text', async () => {
+    server.addPage('/links', `
+      <html><head><base href="/history/"></head><body>
+        <nav><a href="1?utm_source=nav">First </a><a href="https://example.com/" rel="nofollow">Out</a></nav>
+        <a href="2#top">Second</a>
+      </body></html>`);
+    await page.goto(server.url('/links'));
+
+    const links = await pageHandler.getLinks({ selector: 'nav' });
+
+    // Assertions
+    expect(links.map(({ url, text, internal }) => ({ url, text, internal }))).toEqual([
+      { url: testUrl1, text: 'First', internal: true },
+      { url: 'https://example.com/', text: 'Out', internal: false },
+    ]);
+    expect((await pageHandler.getLinks({ internal: true })).map(({ url }) => url)).toEqual([testUrl1, testUrl2]);
+  });
+});
+
+describe('inFrame', () => {
+  it('should run element operations inside a frame found by selector, name or URL', async () => {
+    await pageHandler.goToUrl(server.url('/iframe'));
+
+    // Assertions
+    expect(await pageHandler.inFrame('#frame').getElementText('h1')).toBe('Inner');
+    expect(await pageHandler.inFrame({ name: 'inner' }).getElementText('#inner-button')).toBe('Inner button');
+    expect(await pageHandler.inFrame({ url: '**/iframe/inner' }).getElements('#inner-button')).toHaveLength(1);
+    expect(await pageHandler.getElementText('h1')).toBe('Outer');
+    expect(await pageHandler.getElements('#inner-button')).toHaveLength(0);
+  }, timeoutTime);
+
+  it('should click and type inside a frame and pierce open shadow roots', async () => {
+    server.addPage('/shadow', `
+      <div id="host"></div>
+      <script>
+        document.getElementById('host').attachShadow({ mode: 'open' }).innerHTML =
+          '<input id="query"><button id="go" onclick="this.textContent = \\'Sent \\' + this.previousElementSibling.value">Go</button>';
+      </script>`);
+    await page.setContent(`<iframe id="widget" src="${server.url('/shadow')}"></iframe>`);
+    const widget = pageHandler.inFrame('#widget');
+
+    await widget.typeText('#query', 'shoes', 0, 0);
+    await widget.click('#go', 0, 0);
+
+    // Assertions
+    expect(await widget.getElementText('#go')).toBe('Sent shoes');
+    expect(widget.logger).toBe(pageHandler.logger);
+  }, timeoutTime);
+
+  it('throw error when a frame is invalid or missing', async () => {
+    await page.setContent('<p>No frames</p>');
+
+    // Assertions
+    expect(() => pageHandler.inFrame()).toThrowError('Invalid frame');
+    expect(() => pageHandler.inFrame({ id: 'frame' })).toThrowError('Invalid frame');
+    expect(() => pageHandler.inFrame('#outer', { url: '**/inner' })).toThrowError('a URL segment must come before');
+    expect(() => pageHandler.inFrame({ name: 'outer' }).inFrame({ url: '**/inner' })).toThrowError('a URL segment must come before');
+    expect(pageHandler.inFrame({ url: '**/outer' }, '#inner').framePath).toEqual([{ url: '**/outer' }, '#inner']);
+    await expect(pageHandler.inFrame({ url: '**/missing' }).getElements('p')).rejects.toThrowError('No frame matches URL');
+  });
+});
+
+describe('clickAndCapture', () => {
+  it('should return a handler for the popup a click opens', async () => {
+    await page.setContent(`<a id="open" href="${testUrl2}" target="_blank">Open</a>`);
+
+    const popupHandler = await pageHandler.clickAndCapturePopup('#open', { waitMin: 0, waitMax: 0 });
+
+    // Assertions
+    expect(popupHandler.page).not.toBe(page);
+    expect(popupHandler.page.url()).toBe(testUrl2);
+    expect(popupHandler.logger).toBe(pageHandler.logger);
+    expect(await popupHandler.getElementText('h1')).toBe('History 2');
+  }, timeoutTime);
+
+  it('should save the file a click downloads', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+    pageHandler.downloadManager.directory = directory;
+    await page.setContent(`<a id="download" href="${server.url('/download?name=report.txt')}">Download</a>`);
+
+    const download = await pageHandler.clickAndCaptureDownload('#download', { waitMin: 0, waitMax: 0 });
+
+    // Assertions
+    expect(download.filename).toBe('report.txt');
+    expect(download.size).toBe('downloaded content\n'.length);
+    expect(fs.readFileSync(download.path, 'utf8')).toBe('downloaded content\n');
+    fs.rmSync(directory, { recursive: true, force: true });
+  }, timeoutTime);
+
+  it('throw error when nothing opens in time', async () => {
+    await page.setContent('<button id="noop">Nothing</button>');
+
+    await expect(pageHandler.clickAndCapturePopup('#noop', { timeout: 200 })).rejects.toThrowError('waiting for a popup to open');
+  });
+});
+
+describe('dialogs', () => {
+  it('should answer dialogs by the policy and log them', async () => {
+    const handler = harness.browserManager.createPageHandler(page, {
+      dialogs: { actions: { confirm: 'dismiss' }, answers: [{ match: 'name', answer: 'Ada' }] },
+    });
+    await page.setContent(`
+      <button id="ask" onclick="this.textContent = [confirm('Sure?'), prompt('Your name?')].join(' ')">ask</button>`);
+
+    await handler.click('#ask', 0, 0);
+
+    // Assertions
+    expect(await handler.getElementText('#ask')).toBe('false Ada');
+    expect(handler.getDialogLog().map(({ type, action, answer }) => [type, action, answer])).toEqual([
+      ['confirm', 'dismiss', null],
+      ['prompt', 'accept', 'Ada'],
+    ]);
+  }, timeoutTime);
+});
+
+describe('overlays', () => {
+  it('should dismiss known and custom overlays after navigation and when they block a click', async () => {
+    server.addPage('/consent', `
+      <div id="onetrust-banner-sdk" style="position: fixed; inset: 0; background: white">
+        <button id="onetrust-accept-btn-handler" onclick="this.parentElement.remove()">Accept</button>
+      </div>
+      <div class="newsletter" style="position: fixed; inset: 0; background: white">Subscribe!</div>
+      <button id="target" onclick="this.textContent = 'clicked'">target</button>
+      <script>
+        setTimeout(() => document.body.insertAdjacentHTML('beforeend',
+          '<div class="late" style="position: fixed; inset: 0; background: white"><button class="late-close" onclick="this.parentElement.remove()">x</button></div>'), 500);
+      </script>`);
+    const handler = harness.browserManager.createPageHandler(page, {
+      overlays: { overlays: [{ name: 'newsletter', selector: '.newsletter' }, { name: 'late', selector: '.late', dismiss: '.late-close' }] },
+    });
+
+    await handler.goToUrl(server.url('/consent'), undefined, 0, 0);
+    const dismissedOnLoad = handler.overlayDismisser.dismissed.map(({ name }) => name);
+    await page.waitForSelector('.late');
+    await handler.click('#target', 0, 0);
+
+    // Assertions
+    expect(dismissedOnLoad).toEqual(['newsletter', 'onetrust']);
+    expect(await handler.getElementText('#target')).toBe('clicked');
+    expect(handler.overlayDismisser.dismissed.map(({ name }) => name)).toContain('late');
+  }, timeoutTime);
+});
@@ -0,0 +1,180 @@
+const { Logger } = require('./Logger');
+
+/**
+ * @typedef {Object} PagePoolOptions
+ * @property {number} [concurrency=4] - maximum number of tasks (and open pages) running at once
+ * @property {number} [maxUsesPerPage=20] - pages are closed and replaced after running this many tasks
+ */
+
+/**
+ * A queued task
+ * @typedef {Object} PoolJob
+ * @property {(pageHandler: import('./PageHandler').PageHandler) => Promise<any>} task
+ * @property {(value: any) => void} resolve
+ * @property {(error: Error) => void} reject
+ */
+
+/**
+ * Runs tasks in parallel on a bounded pool of pages from a browser context
+ * @typedef {Object} PagePool
+ * @property {import('./BrowserManager').BrowserManager} browserManager
+ * @property {number} concurrency
+ * @property {number} maxUsesPerPage
+ */
+class PagePool {
+  /**
+   * @param {import('./BrowserManager').BrowserManager} browserManager - manager whose context the pages are opened in
+   * @param {PagePoolOptions} [options] - pool options
+   */
+  constructor(browserManager, options = {}) {
+    const { concurrency = 4, maxUsesPerPage = 20 } = options;
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new RangeError(`Pool concurrency must be a positive integer, got: ${concurrency}`);
+    }
+
+    this.browserManager = browserManager;
+    this.concurrency = concurrency;
+    this.maxUsesPerPage = maxUsesPerPage;
+    this.queue = [];
+    this.idlePages = [];
+    this.activeCount = 0;
+    this.closed = false;
+    this.idleWaiters = [];
+    this.logger = browserManager.logger || new Logger();
+  }
+
+  /**
+   * Queues `task`, which receives a PageHandler of a pooled page once a slot is free.
+   * If the task throws, its page is closed and replaced
+   * @param {(pageHandler: import('./PageHandler').PageHandler) => Promise<any>} task
+   * @returns {Promise<any>} resolves with the task result, rejects with the task error
+   */
+  run(task) {
+    if (this.closed) {
+      return Promise.reject(new Error('Page pool is closed'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Runs `task` once per item, with up to `concurrency` in parallel
+   * @param {Array<any>} items
+   * @param {(pageHandler: import('./PageHandler').PageHandler, item: any, index: number) => Promise<any>} task
+   * @returns {Promise<PromiseSettledResult<any>[]>} the settled result of each task, in item order
+   */
+  runAll(items, task) {
+    return Promise.allSettled(items.map((item, index) => this.run((pageHandler) => task(pageHandler, item, index))));
+  }
+
+  /**
+   * Resolves once the queue is empty and no task is running
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (this.queue.length === 0 && this.activeCount === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Waits for queued tasks to finish, then closes every pooled page
+   */
+  async close() {
+    await this.onIdle();
+    this.closed = true;
+
+    const pages = this.idlePages.splice(0);
+    await Promise.all(pages.map(({ page }) => this.closePage(page)));
+    this.logger.info('Closed Page Pool', { action: 'closePagePool' });
+  }
+
+  /**
+   * Starts queued jobs while there are free slots
+   */
+  dispatch() {
+    while (this.activeCount < this.concurrency && this.queue.length > 0) {
+      this.activeCount++;
+      this.runJob(this.queue.shift());
+    }
+  }
+
+  /**
+   * Runs a job on a pooled page, recycling or discarding the page afterwards
+   * @param {PoolJob} job
+   */
+  async runJob({ task, resolve, reject }) {
+    let pooledPage = null;
+    let failed = false;
+
+    try {
+      pooledPage = await this.acquirePage();
+      resolve(await task(this.browserManager.createPageHandler(pooledPage.page)));
+    } catch (error) {
+      failed = true;
+      reject(error);
+    } finally {
+      if (pooledPage) {
+        await this.releasePage(pooledPage, failed);
+      }
+      this.activeCount--;
+      this.dispatch();
+      this.notifyIdle();
+    }
+  }
+
+  /**
+   * Returns an idle page, or opens a new one
+   * @returns {Promise<{page: import('playwright').Page, uses: number}>}
+   */
+  async acquirePage() {
+    const pooledPage = this.idlePages.pop();
+    if (pooledPage) {
+      return pooledPage;
+    }
+    return { page: await this.browserManager.newPage(true), uses: 0 };
+  }
+
+  /**
+   * Returns the page to the pool, or closes it if it failed or reached `maxUsesPerPage`
+   * @param {{page: import('playwright').Page, uses: number}} pooledPage
+   * @param {boolean} failed - whether the task that used the page threw
+   */
+  async releasePage(pooledPage, failed) {
+    pooledPage.uses++;
+    if (failed || this.closed || pooledPage.uses >= this.maxUsesPerPage || pooledPage.page.isClosed()) {
+      await this.closePage(pooledPage.page);
+    } else {
+      this.idlePages.push(pooledPage);
+    }
+  }
+
+  /**
+   * Closes a page, ignoring errors from pages that are already gone
+   * @param {import('playwright').Page} page
+   */
+  async closePage(page) {
+    try {
+      if (!page.isClosed()) {
+        await page.close();
+      }
+    } catch (error) {
+      this.logger.warn(`Could not close pooled page: ${error}`, { action: 'closePagePool', error });
+    }
+  }
+
+  /**
+   * Resolves `onIdle` waiters once no work is left
+   */
+  notifyIdle() {
+    if (this.queue.length === 0 && this.activeCount === 0) {
+      this.idleWaiters.splice(0).forEach((resolve) => resolve());
+    }
+  }
+}
+
+module.exports = { PagePool }
@@ -0,0 +1,87 @@
+const { PagePool } = require('./PagePool');
+
+/**
+ * Minimal stand-in for a BrowserManager whose pages only track being closed
+ */
+function createBrowserManager() {
+  const pages = [];
+  return {
+    pages,
+    newPage: async () => {
+      const page = { closed: false, isClosed() { return this.closed; }, async close() { this.closed = true; } };
+      pages.push(page);
+      return page;
+    },
+    createPageHandler: (page) => ({ page }),
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('PagePool', () => {
+  it('should not run more tasks than the concurrency limit', async () => {
+    const pool = new PagePool(createBrowserManager(), { concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map((n) => pool.run(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(5);
+      running--;
+      return n * 2;
+    })));
+
+    // Assertions
+    expect(results).toEqual([2, 4, 6, 8, 10]);
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should recycle pages after maxUsesPerPage tasks', async () => {
+    const browserManager = createBrowserManager();
+    const pool = new PagePool(browserManager, { concurrency: 1, maxUsesPerPage: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      await pool.run(async () => {});
+    }
+
+    // Assertions
+    expect(browserManager.pages.length).toBe(3);
+    expect(browserManager.pages.filter((page) => page.closed).length).toBe(2);
+  });
+
+  it('should close the page and keep running when a task throws', async () => {
+    const browserManager = createBrowserManager();
+    const pool = new PagePool(browserManager, { concurrency: 1 });
+
+    const [failed, succeeded] = await pool.runAll([1, 2], async (pageHandler, item) => {
+      if (item === 1) {
+        throw new Error('task failed');
+      }
+      return item;
+    });
+
+    // Assertions
+    expect(failed.status).toBe('rejected');
+    expect(failed.reason.message).toBe('task failed');
+    expect(succeeded).toEqual({ status: 'fulfilled', value: 2 });
+    expect(browserManager.pages[0].closed).toBe(true);
+    expect(browserManager.pages[1].closed).toBe(false);
+  });
+
+  it('should close all pages and reject new tasks once closed', async () => {
+    const browserManager = createBrowserManager();
+    const pool = new PagePool(browserManager, { concurrency: 3 });
+
+    await pool.runAll([1, 2, 3], () => sleep(5));
+    await pool.close();
+
+    // Assertions
+    expect(browserManager.pages.every((page) => page.closed)).toBe(true);
+    await expect(pool.run(async () => {})).rejects.toThrowError('Page pool is closed');
+  });
+
+  it('throw error when concurrency is invalid', () => {
+    expect(() => new PagePool(createBrowserManager(), { concurrency: 0 })).toThrowError();
+  });
+});
@@ -0,0 +1,180 @@
+const STRATEGIES = ['nextButton', 'urlPattern', 'infiniteScroll'];
+
+/**
+ * @typedef {Object} PaginatorOptions
+ * @property {'nextButton'|'urlPattern'|'infiniteScroll'} strategy - how the next page is reached
+ * @property {string} [nextSelector] - CSS selector of the "next" button (`nextButton` strategy)
+ * @property {string} [urlPattern] - page URL with a `{page}` placeholder, e.g. `https://site.com/list?page={page}` (`urlPattern` strategy)
+ * @property {number} [startPage=1] - first page number substituted in `urlPattern`
+ * @property {number} [pageStep=1] - increment between page numbers in `urlPattern`
+ * @property {string} [itemSelector] - CSS selector of the listed items, used to detect new items (required for `infiniteScroll`)
+ * @property {number} [maxPages] - stops after this many pages. `urlPattern` pagination also stops at the first page
+ * answering with an error status, e.g. a 404 past the last page
+ * @property {boolean} [stopWhenNoNewItems=true] - stops when a page has no items that weren't seen before (needs `itemSelector`);
+ * `infiniteScroll` pagination can only turn it off along with `maxPages` or `until`
+ * @property {(page: PageInfo) => boolean|Promise<boolean>} [until] - stops after the page for which it returns `true`
+ * @property {number} [waitMin=3000] - minimum wait after moving to the next page, in milliseconds
+ * @property {number} [waitMax=7000] - maximum wait after moving to the next page, in milliseconds
+ */
+
+/**
+ * @typedef {Object} PageInfo
+ * @property {number} pageNumber - 1-based index of the page in the traversal
+ * @property {string} url - URL of the page
+ * @property {number} itemCount - items matching `itemSelector` on the page (`0` without `itemSelector`)
+ * @property {number} newItemCount - items that weren't seen on previous pages
+ * @property {import('./PageHandler').PageHandler} pageHandler - handler of the page, for per-page extraction
+ */
+
+/**
+ * Walks through paginated listings, yielding each page
+ * @typedef {Object} Paginator
+ * @property {import('./PageHandler').PageHandler} pageHandler
+ * @property {PaginatorOptions} options
+ */
+class Paginator {
+  /**
+   * @param {import('./PageHandler').PageHandler} pageHandler - handler of the page being paginated
+   * @param {PaginatorOptions} options - pagination options
+   */
+  constructor(pageHandler, options = {}) {
+    if (!STRATEGIES.includes(options.strategy)) {
+      throw new Error(`Unknown pagination strategy: ${options.strategy}`);
+    }
+    if (options.strategy === 'nextButton' && !options.nextSelector) {
+      throw new Error('nextButton pagination requires a nextSelector');
+    }
+    if (options.strategy === 'urlPattern' && !(options.urlPattern || '').includes('{page}')) {
+      throw new Error('urlPattern pagination requires a urlPattern with a {page} placeholder');
+    }
+    if (options.strategy === 'infiniteScroll' && !options.itemSelector) {
+      throw new Error('infiniteScroll pagination requires an itemSelector');
+    }
+    if (options.strategy === 'infiniteScroll' && options.stopWhenNoNewItems === false && !options.maxPages && !options.until) {
+      throw new Error('infiniteScroll pagination without stopWhenNoNewItems requires maxPages or until');
+    }
+
+    this.pageHandler = pageHandler;
+    this.logger = pageHandler.logger;
+    this.options = {
+      startPage: 1,
+      pageStep: 1,
+      stopWhenNoNewItems: true,
+      waitMin: 3000,
+      waitMax: 7000,
+      ...options,
+    };
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.pages();
+  }
+
+  /**
+   * Yields each page until a stop condition is met
+   * @returns {AsyncGenerator<PageInfo>}
+   */
+  async *pages() {
+    const { maxPages, itemSelector, stopWhenNoNewItems, until } = this.options;
+    const seenItems = new Set();
+
+    for (let pageNumber = 1; !maxPages || pageNumber <= maxPages; pageNumber++) {
+      if (!(await this.moveToPage(pageNumber))) {
+        this.logger.info(`Pagination ended: no next page after page ${pageNumber - 1}`, { action: 'paginate', pageNumber });
+        return;
+      }
+
+      const { itemCount, newItemCount } = await this.countItems(seenItems);
+      if (pageNumber > 1 && itemSelector && stopWhenNoNewItems && newItemCount === 0) {
+        this.logger.info(`Pagination ended: no new items on page ${pageNumber}`, { action: 'paginate', pageNumber });
+        return;
+      }
+
+      const pageInfo = {
+        pageNumber,
+        url: this.pageHandler.page.url(),
+        itemCount,
+        newItemCount,
+        pageHandler: this.pageHandler,
+      };
+      this.logger.info(`Paginated to page ${pageNumber}`, { action: 'paginate', pageNumber, url: pageInfo.url, itemCount, newItemCount });
+      yield pageInfo;
+
+      if (until && await until(pageInfo)) {
+        this.logger.info(`Pagination ended: stop condition met on page ${pageNumber}`, { action: 'paginate', pageNumber });
+        return;
+      }
+    }
+  }
+
+  /**
+   * Moves to the given page number. Page 1 is the current page, except for `urlPattern`
+   * @param {number} pageNumber
+   * @returns {Promise<boolean>} `false` if there is no next page; for `urlPattern`, when the page answers with an error status
+   */
+  async moveToPage(pageNumber) {
+    const { strategy, waitMin, waitMax } = this.options;
+
+    if (strategy === 'urlPattern') {
+      const url = this.pageUrl(pageNumber);
+      const response = await this.pageHandler.goToUrl(url, undefined, waitMin, waitMax);
+      if (response && !response.ok()) {
+        this.logger.info(`Page ${pageNumber} answered with status ${response.status()}`, { action: 'paginate', pageNumber, url });
+        return false;
+      }
+      return true;
+    }
+
+    if (pageNumber === 1) {
+      return true;
+    }
+
+    if (strategy === 'nextButton') {
+      const next = this.pageHandler.locator(this.options.nextSelector).first();
+      if (await next.count() === 0 || await next.isDisabled()
+        || await next.getAttribute('aria-disabled') === 'true') {
+        return false;
+      }
+      await this.pageHandler.click(next, waitMin, waitMax);
+      return true;
+    }
+
+    await this.pageHandler.page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await this.pageHandler.waitForRandomTimeout(waitMin, waitMax);
+    return true;
+  }
+
+  /**
+   * Returns the URL of `pageNumber` for the `urlPattern` strategy
+   * @param {number} pageNumber
+   * @returns {string}
+   */
+  pageUrl(pageNumber) {
+    const { urlPattern, startPage, pageStep } = this.options;
+    return urlPattern.replace(/\{page\}/g, String(startPage + (pageNumber - 1) * pageStep));
+  }
+
+  /**
+   * Counts the items on the page and how many of them weren't seen before
+   * @param {Set<string>} seenItems - text of previously seen items, updated in place
+   * @returns {Promise<{itemCount: number, newItemCount: number}>}
+   */
+  async countItems(seenItems) {
+    if (!this.options.itemSelector) {
+      return { itemCount: 0, newItemCount: 0 };
+    }
+
+    const texts = await this.pageHandler.locator(this.options.itemSelector).allTextContents();
+    let newItemCount = 0;
+    for (const text of texts) {
+      const key = text.trim();
+      if (!seenItems.has(key)) {
+        seenItems.add(key);
+        newItemCount++;
+      }
+    }
+    return { itemCount: texts.length, newItemCount };
+  }
+}
+
+module.exports = { Paginator }
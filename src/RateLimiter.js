@@ -0,0 +1,129 @@
+const { Logger } = require('./Logger');
+const { getHostname, matchesDomain } = require('./urlUtils');
+
+/**
+ * Pacing rule for a host. Either `minInterval`, or `requestsPerSecond` with an optional `burst`
+ * @typedef {Object} RateLimitRule
+ * @property {number} [minInterval] - minimum time between requests, in milliseconds
+ * @property {number} [requestsPerSecond] - sustained request rate (token bucket)
+ * @property {number} [burst=1] - requests allowed back to back before the rate applies
+ */
+
+/**
+ * @typedef {Object} RateLimiterOptions
+ * @property {RateLimitRule} [default={ minInterval: 0 }] - rule for hosts without their own rule
+ * @property {Object<string, RateLimitRule>} [domains={}] - rules per domain; a domain also applies to its subdomains
+ * @property {Logger} [logger] - logger for throttling messages (default: console text logger)
+ * @property {() => number} [now=Date.now] - clock, in milliseconds
+ * @property {(ms: number) => Promise<void>} [sleep] - waits the given milliseconds
+ */
+
+/**
+ * Paces actions per hostname with a token bucket, shared by every page it is given to
+ * @typedef {Object} RateLimiter
+ * @property {RateLimitRule} defaultRule
+ * @property {Object<string, RateLimitRule>} domains
+ */
+class RateLimiter {
+  /**
+   * @param {RateLimiterOptions} [options] - rate limiter options
+   */
+  constructor(options = {}) {
+    this.defaultRule = options.default || { minInterval: 0 };
+    this.domains = options.domains || {};
+    this.logger = options.logger || new Logger();
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    this.buckets = new Map();
+  }
+
+  /**
+   * Returns `value` as a RateLimiter: instances are returned as is, option objects are wrapped,
+   * and falsy values return `null` (no rate limiting)
+   * @param {RateLimiter|RateLimiterOptions|null|undefined} value
+   * @returns {RateLimiter|null}
+   */
+  static from(value) {
+    if (!value) {
+      return null;
+    }
+    return value instanceof RateLimiter ? value : new RateLimiter(value);
+  }
+
+  /**
+   * Returns the rule that applies to `hostname`; the most specific domain wins
+   * @param {string} hostname
+   * @returns {RateLimitRule}
+   */
+  getRule(hostname) {
+    let match = null;
+    for (const domain of Object.keys(this.domains)) {
+      if (matchesDomain(hostname, domain) && (!match || domain.length > match.length)) {
+        match = domain;
+      }
+    }
+    return match ? this.domains[match] : this.defaultRule;
+  }
+
+  /**
+   * Reserves a slot for a request to the host of `url`, and resolves once it may proceed
+   * @param {string} url - URL (or bare hostname) the request goes to
+   * @returns {Promise<number>} time waited, in milliseconds
+   */
+  async acquire(url) {
+    let hostname = getHostname(url);
+    if (hostname === null) {
+      hostname = url;
+    }
+    if (!hostname) {
+      return 0;
+    }
+
+    const delay = this.reserve(hostname);
+    if (delay > 0) {
+      this.logger.debug(`Rate limited ${hostname}, waiting ${delay}ms`, { action: 'rateLimit', hostname, duration: delay });
+      await this.sleep(delay);
+    }
+    return delay;
+  }
+
+  /**
+   * Takes a token from the bucket of `hostname`, going into debt when it is empty.
+   * Reserving synchronously keeps concurrent callers in order
+   * @param {string} hostname
+   * @returns {number} delay before the reserved slot, in milliseconds
+   */
+  reserve(hostname) {
+    const { interval, burst } = toBucket(this.getRule(hostname));
+    if (interval <= 0) {
+      return 0;
+    }
+
+    const now = this.now();
+    let bucket = this.buckets.get(hostname);
+    if (!bucket) {
+      bucket = { tokens: burst, updatedAt: now };
+      this.buckets.set(hostname, bucket);
+    }
+
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / interval);
+    bucket.updatedAt = now;
+    bucket.tokens -= 1;
+
+    return bucket.tokens >= 0 ? 0 : Math.round(-bucket.tokens * interval);
+  }
+}
+
+/**
+ * Converts a rule into a token interval (milliseconds per token) and bucket size
+ * @param {RateLimitRule} rule
+ * @returns {{interval: number, burst: number}}
+ */
+function toBucket(rule) {
+  if (rule.requestsPerSecond) {
+    return { interval: 1000 / rule.requestsPerSecond, burst: rule.burst || 1 };
+  }
+  return { interval: rule.minInterval || 0, burst: rule.burst || 1 };
+}
+
+module.exports = { RateLimiter }
@@ -0,0 +1,106 @@
+const { RateLimiter } = require('./RateLimiter');
+const { RandomDelay, NoDelay } = require('./DelayStrategy');
+
+/**
+ * Creates a rate limiter on a fake clock, whose sleeps advance the clock
+ */
+function createLimiter(options) {
+  const clock = { time: 0, slept: [] };
+  const limiter = new RateLimiter({
+    ...options,
+    now: () => clock.time,
+    sleep: async (ms) => {
+      clock.slept.push(ms);
+      clock.time += ms;
+    },
+  });
+  return { limiter, clock };
+}
+
+describe('RateLimiter', () => {
+  it('should space requests to the same host by minInterval', async () => {
+    const { limiter, clock } = createLimiter({ default: { minInterval: 1000 } });
+
+    await limiter.acquire('https://www.example.com/a');
+    await limiter.acquire('https://www.example.com/b');
+    clock.time += 400;
+    await limiter.acquire('https://www.example.com/c');
+
+    // Assertions
+    expect(clock.slept).toEqual([1000, 600]);
+  });
+
+  it('should keep separate buckets per host', async () => {
+    const { limiter, clock } = createLimiter({ default: { minInterval: 1000 } });
+
+    await limiter.acquire('https://www.example.com');
+    await limiter.acquire('https://www.google.com');
+
+    // Assertions
+    expect(clock.slept).toEqual([]);
+  });
+
+  it('should allow bursts and apply the most specific domain rule', async () => {
+    const { limiter, clock } = createLimiter({
+      domains: {
+        'example.com': { requestsPerSecond: 2, burst: 2 },
+        'api.example.com': { minInterval: 0 },
+      },
+    });
+
+    await limiter.acquire('https://www.example.com');
+    await limiter.acquire('https://www.example.com');
+    await limiter.acquire('https://www.example.com');
+    await limiter.acquire('https://api.example.com');
+    await limiter.acquire('https://api.example.com');
+
+    // Assertions
+    expect(clock.slept).toEqual([500]);
+  });
+
+  it('should order concurrent callers without sharing a slot', () => {
+    const { limiter } = createLimiter({ default: { minInterval: 1000 } });
+
+    const delays = [1, 2, 3].map(() => limiter.reserve('www.example.com'));
+
+    // Assertions
+    expect(delays).toEqual([0, 1000, 2000]);
+  });
+
+  it('should ignore pages without a host', async () => {
+    const { limiter, clock } = createLimiter({ default: { minInterval: 1000 } });
+
+    await limiter.acquire('about:blank');
+    await limiter.acquire('about:blank');
+
+    // Assertions
+    expect(clock.slept).toEqual([]);
+  });
+});
+
+describe('DelayStrategy', () => {
+  it('should pick random delays within the range', () => {
+    const delay = new RandomDelay();
+
+    for (let i = 0; i < 20; i++) {
+      const got = delay.getDelay(100, 200);
+      expect(got).toBeGreaterThanOrEqual(100);
+      expect(got).toBeLessThanOrEqual(200);
+    }
+  });
+
+  it('should repeat the same delays for the same seed', () => {
+    const first = RandomDelay.seeded(42);
+    const second = RandomDelay.seeded(42);
+
+    const got1 = [1, 2, 3].map(() => first.getDelay(3000, 7000));
+    const got2 = [1, 2, 3].map(() => second.getDelay(3000, 7000));
+
+    // Assertions
+    expect(got1).toEqual(got2);
+  });
+
+  it('should never wait with NoDelay', () => {
+    expect(new NoDelay().getDelay(3000, 7000)).toBe(0);
+  });
+});
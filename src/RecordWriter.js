@@ -0,0 +1,318 @@
+const fs = require('fs');
+const readline = require('readline');
+
+/**
+ * @typedef {Object} RecordWriterOptions
+ * @property {number} [bufferSize=100] - records kept in memory before they are flushed to the file
+ * @property {boolean} [append=false] - appends to an existing file instead of replacing it
+ */
+
+/**
+ * Base class of the buffered record sinks: records are buffered and appended to the file
+ * through a FileManager in batches; `close()` flushes whatever is left
+ * @typedef {Object} RecordWriter
+ * @property {string} filePath
+ * @property {import('./FileManager').FileManager} fileManager
+ * @property {number} recordCount - records written so far, including buffered ones
+ */
+class RecordWriter {
+  /**
+   * @param {import('./FileManager').FileManager} fileManager - file manager used to write the file
+   * @param {string} filePath - path of the output file
+   * @param {RecordWriterOptions} [options] - writer options
+   */
+  constructor(fileManager, filePath, options = {}) {
+    const { bufferSize = 100, append = false } = options;
+
+    this.fileManager = fileManager;
+    this.filePath = filePath;
+    this.bufferSize = bufferSize;
+    this.append = append;
+    this.buffer = [];
+    this.recordCount = 0;
+    this.started = false;
+    this.closed = false;
+    // flushes are chained so batches land in the file in order
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * Buffers a record, flushing the buffer once it is full
+   * @param {Object} record
+   */
+  async write(record) {
+    if (this.closed) {
+      throw new Error(`Cannot write to closed writer: ${this.filePath}`);
+    }
+
+    this.buffer.push(record);
+    this.recordCount++;
+    if (this.buffer.length >= this.bufferSize) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Buffers every record of `records`
+   * @param {Object[]} records
+   */
+  async writeAll(records) {
+    for (const record of records) {
+      await this.write(record);
+    }
+  }
+
+  /**
+   * Appends the buffered records to the file
+   */
+  async flush() {
+    const records = this.buffer.splice(0);
+    // a failed batch is reported to its caller and put back in the buffer, so the next flush retries it
+    this.flushing = this.flushing.catch(() => {}).then(async () => {
+      try {
+        if (!this.started) {
+          await this.start(records);
+          this.started = true;
+        }
+        if (records.length > 0) {
+          await this.fileManager.appendToFile(this.filePath, this.serialize(records));
+        }
+      } catch (error) {
+        this.buffer.unshift(...records);
+        throw error;
+      }
+    });
+    await this.flushing;
+  }
+
+  /**
+   * Flushes the remaining records; the writer can't be written to afterwards
+   */
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    try {
+      await this.flush();
+    } catch (error) {
+      // the records are back in the buffer, closing again retries them
+      this.closed = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Prepares the file before the first batch: truncates it unless `append` is set
+   */
+  async start() {
+    if (!this.append) {
+      await this.fileManager.writeFile(this.filePath, '');
+    }
+  }
+
+  /**
+   * Converts a batch of records into the text appended to the file
+   * @returns {string}
+   */
+  serialize() {
+    throw new Error('serialize() must be implemented by record writers');
+  }
+}
+
+/**
+ * Writes records as newline-delimited JSON, one record per line
+ * @typedef {Object} NdjsonWriter
+ */
+class NdjsonWriter extends RecordWriter {
+  /**
+   * @param {Object[]} records
+   * @returns {string}
+   */
+  serialize(records) {
+    return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+  }
+}
+
+/**
+ * @typedef {Object} CsvWriterOptions
+ * @property {string[]} [columns] - column order; inferred from the first batch of records when omitted.
+ * When appending to a file with a header, the columns of that header are used instead
+ * @property {string} [delimiter=','] - field delimiter
+ * @property {boolean} [header=true] - writes a header row
+ * @property {string} [flattenSeparator='.'] - joins the keys of nested objects into column names, e.g. `price.amount`
+ */
+
+/**
+ * Writes records as CSV, flattening nested objects into columns.
+ * Columns that first appear after the header was written are ignored
+ * @typedef {Object} CsvWriter
+ * @property {string[]|null} columns
+ */
+class CsvWriter extends RecordWriter {
+  /**
+   * @param {import('./FileManager').FileManager} fileManager - file manager used to write the file
+   * @param {string} filePath - path of the output file
+   * @param {RecordWriterOptions & CsvWriterOptions} [options] - writer options
+   */
+  constructor(fileManager, filePath, options = {}) {
+    super(fileManager, filePath, options);
+    const { columns = null, delimiter = ',', header = true, flattenSeparator = '.' } = options;
+
+    this.columns = columns;
+    this.delimiter = delimiter;
+    this.header = header;
+    this.flattenSeparator = flattenSeparator;
+  }
+
+  /**
+   * Infers the columns from the first batch and writes the header row,
+   * unless appending to an existing file, whose header gives the columns
+   * @param {Object[]} records - first batch of records
+   */
+  async start(records) {
+    // appending to an existing file continues below its header
+    const continuing = this.append && await this.fileManager.fileExists(this.filePath);
+    const existingHeader = continuing && this.header ? await readFirstLine(this.filePath) : null;
+    await super.start();
+
+    if (existingHeader) {
+      this.columns = parseCsvRow(existingHeader, this.delimiter);
+    }
+    const flattened = records.map((record) => flattenRecord(record, this.flattenSeparator));
+    if (!this.columns) {
+      const columns = new Set();
+      flattened.forEach((record) => Object.keys(record).forEach((key) => columns.add(key)));
+      this.columns = [...columns];
+    }
+
+    if (this.header && !existingHeader && this.columns.length > 0) {
+      await this.fileManager.appendToFile(this.filePath, this.formatRow(this.columns));
+    }
+  }
+
+  /**
+   * @param {Object[]} records
+   * @returns {string}
+   */
+  serialize(records) {
+    return records
+      .map((record) => {
+        const flat = flattenRecord(record, this.flattenSeparator);
+        return this.formatRow(this.columns.map((column) => flat[column]));
+      })
+      .join('');
+  }
+
+  /**
+   * Formats a row of values, quoting and escaping them as needed
+   * @param {any[]} values
+   * @returns {string}
+   */
+  formatRow(values) {
+    return `${values.map((value) => escapeCsvValue(value, this.delimiter)).join(this.delimiter)}\r\n`;
+  }
+}
+
+/**
+ * Flattens nested objects into a single level, joining keys with `separator`.
+ * Arrays are kept as JSON strings
+ * @param {Object} record
+ * @param {string} [separator='.']
+ * @param {string} [prefix='']
+ * @returns {Object<string, any>}
+ */
+function flattenRecord(record, separator = '.', prefix = '') {
+  const flat = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = prefix ? `${prefix}${separator}${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+      Object.assign(flat, flattenRecord(value, separator, column));
+    } else {
+      flat[column] = value;
+    }
+  }
+  return flat;
+}
+
+/**
+ * Converts a value into a CSV field, quoting it when it contains the delimiter, quotes or line breaks
+ * @param {any} value
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+function escapeCsvValue(value, delimiter = ',') {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || /^\s|\s$/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Returns the first line of a file, without reading the rest of it
+ * @param {string} filePath
+ * @returns {Promise<string>} the line, empty for an empty file
+ */
+async function readFirstLine(filePath) {
+  const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      return line;
+    }
+    return '';
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+/**
+ * Splits a CSV row into its values, unquoting and unescaping them; the reverse of {@link escapeCsvValue}
+ * @param {string} row - row without its line break
+ * @param {string} [delimiter=',']
+ * @returns {string[]}
+ */
+function parseCsvRow(row, delimiter = ',') {
+  const values = [];
+  let value = '';
+  let quoted = false;
+  for (let index = 0; index < row.length; index++) {
+    const char = row[index];
+    if (quoted) {
+      if (char === '"' && row[index + 1] === '"') {
+        value += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (row.startsWith(delimiter, index)) {
+      values.push(value);
+      value = '';
+      index += delimiter.length - 1;
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  return values;
+}
+
+module.exports = { RecordWriter, NdjsonWriter, CsvWriter, flattenRecord, escapeCsvValue, parseCsvRow }
@@ -0,0 +1,150 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+const { flattenRecord, escapeCsvValue, parseCsvRow } = require('./RecordWriter');
+
+let directory;
+let fileManager;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'records-'));
+  fileManager = new FileManager({ logger: Logger.silent() });
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('CsvWriter', () => {
+  it('should infer the header and flatten nested fields', async () => {
+    const filePath = path.join(directory, 'products.csv');
+    const writer = fileManager.createCsvWriter(filePath);
+
+    await writer.write({ name: 'Apple', price: { amount: 1.5, currency: 'USD' } });
+    await writer.write({ name: 'Banana, ripe', price: { amount: 0.25, currency: 'USD' }, tags: ['fruit'] });
+    await writer.close();
+
+    // Assertions
+    expect(fs.readFileSync(filePath, 'utf8')).toBe(
+      'name,price.amount,price.currency,tags\r\n'
+      + 'Apple,1.5,USD,\r\n'
+      + '"Banana, ripe",0.25,USD,"[""fruit""]"\r\n',
+    );
+    expect(writer.recordCount).toBe(2);
+  });
+
+  it('should follow the given column order across buffered flushes', async () => {
+    const filePath = path.join(directory, 'ordered.csv');
+    const writer = fileManager.createCsvWriter(filePath, { columns: ['b', 'a'], bufferSize: 2, delimiter: ';' });
+
+    await writer.writeAll([{ a: 1, b: 2 }, { a: 3, b: 4 }, { a: 5, c: 6 }]);
+    const beforeClose = fs.readFileSync(filePath, 'utf8');
+    await writer.close();
+
+    // Assertions
+    expect(beforeClose).toBe('b;a\r\n2;1\r\n4;3\r\n');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('b;a\r\n2;1\r\n4;3\r\n;5\r\n');
+  });
+
+  it('should not repeat the header when appending', async () => {
+    const filePath = path.join(directory, 'appended.csv');
+
+    const first = fileManager.createCsvWriter(filePath);
+    await first.write({ a: 1 });
+    await first.close();
+    const second = fileManager.createCsvWriter(filePath, { append: true });
+    await second.write({ a: 2 });
+    await second.close();
+
+    // Assertions
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('a\r\n1\r\n2\r\n');
+  });
+
+  it('should follow the header of the file it appends to', async () => {
+    const filePath = path.join(directory, 'appended.csv');
+
+    const first = fileManager.createCsvWriter(filePath);
+    await first.write({ name: 'Apple', 'price, usd': 1.5 });
+    await first.close();
+    const second = fileManager.createCsvWriter(filePath, { append: true });
+    await second.write({ 'price, usd': 0.25, name: 'Banana', origin: 'Ecuador' });
+    await second.close();
+
+    // Assertions
+    expect(second.columns).toEqual(['name', 'price, usd']);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('name,"price, usd"\r\nApple,1.5\r\nBanana,0.25\r\n');
+  });
+});
+
+describe('RecordWriter', () => {
+  it('should keep a batch that failed to flush and start again on the next flush', async () => {
+    const filePath = path.join(directory, 'retried.csv');
+    const writeFile = fileManager.writeFile.bind(fileManager);
+    let failures = 1;
+    fileManager.writeFile = async (...args) => {
+      if (failures-- > 0) {
+        throw new Error('EBUSY: resource busy or locked');
+      }
+      return writeFile(...args);
+    };
+    const writer = fileManager.createCsvWriter(filePath, { bufferSize: 1 });
+
+    await expect(writer.write({ name: 'Apple' })).rejects.toThrowError('EBUSY');
+    await writer.write({ name: 'Banana' });
+    await writer.close();
+
+    // Assertions
+    expect(writer.started).toBe(true);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('name\r\nApple\r\nBanana\r\n');
+  });
+});
+
+describe('NdjsonWriter', () => {
+  it('should append one JSON record per line', async () => {
+    const filePath = path.join(directory, 'products.ndjson');
+    const writer = fileManager.createNdjsonWriter(filePath, { bufferSize: 1 });
+
+    await writer.write({ name: 'Apple' });
+    await writer.write({ name: 'Banana', tags: ['fruit'] });
+    await writer.close();
+
+    // Assertions
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{"name":"Apple"}\n{"name":"Banana","tags":["fruit"]}\n');
+    await expect(writer.write({ name: 'Cherry' })).rejects.toThrowError();
+  });
+
+  it('should create an empty file when nothing was written', async () => {
+    const filePath = path.join(directory, 'empty.ndjson');
+    const writer = fileManager.createNdjsonWriter(filePath);
+
+    await writer.close();
+
+    // Assertions
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('');
+  });
+});
+
+describe('escapeCsvValue', () => {
+  it('should quote values with delimiters, quotes and line breaks', () => {
+    expect(escapeCsvValue('plain')).toBe('plain');
+    expect(escapeCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(escapeCsvValue('two\nlines')).toBe('"two\nlines"');
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(new Date('2024-01-02T00:00:00Z'))).toBe('2024-01-02T00:00:00.000Z');
+  });
+});
+
+describe('parseCsvRow', () => {
+  it('should split a row and unquote its values', () => {
+    expect(parseCsvRow('a,"b, c","say ""hi""",')).toEqual(['a', 'b, c', 'say "hi"', '']);
+    expect(parseCsvRow('a;b', ';')).toEqual(['a', 'b']);
+  });
+});
+
+describe('flattenRecord', () => {
+  it('should join nested keys with the separator', () => {
+    expect(flattenRecord({ a: { b: { c: 1 } }, d: [1] }, '_')).toEqual({ a_b_c: 1, d: [1] });
+  });
+});
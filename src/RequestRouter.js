@@ -0,0 +1,223 @@
+const { Logger } = require('./Logger');
+const { matchesPattern, getHostname, matchesDomain } = require('./urlUtils');
+
+const ACTIONS = ['block', 'stub', 'headers'];
+
+/** Requests already seen by a router: a request routed by both a page router and a context router counts once */
+const routedRequests = new WeakSet();
+/** Number of distinct requests routed per page, across every router */
+const routedCounts = new WeakMap();
+
+/**
+ * A request-routing rule. Every criteria that is set must match; a rule without criteria matches every request
+ * @typedef {Object} RouteRule
+ * @property {'block'|'stub'|'headers'} action - `block` aborts the request, `stub` answers it with `response`, `headers` rewrites its headers
+ * @property {string[]} [resourceTypes] - Playwright resource types, e.g. `image`, `font`, `media`, `stylesheet`, `script`
+ * @property {string|RegExp|Function|Array<string|RegExp|Function>} [url] - URL globs, regular expressions or predicates
+ * @property {string[]} [domains] - hostnames; each also matches its subdomains
+ * @property {Object<string, string|null>} [headers] - headers set by `headers` rules (`null` removes a header)
+ * @property {{status?: number, headers?: Object<string, string>, contentType?: string, body?: string|Buffer, json?: any}} [response] - response returned by `stub` rules
+ */
+
+/**
+ * Counters of what a router did
+ * @typedef {Object} RoutingStats
+ * @property {number} total - requests seen by the router
+ * @property {number} blocked - requests aborted
+ * @property {Object<string, number>} blockedByType - aborted requests per resource type
+ * @property {number} stubbed - requests answered with a stub
+ * @property {number} modified - requests whose headers were rewritten
+ */
+
+/**
+ * Blocks, stubs and rewrites requests of a page or a browser context according to a list of rules
+ * @typedef {Object} RequestRouter
+ * @property {RouteRule[]} rules
+ * @property {RoutingStats} totals - counters across every page
+ */
+class RequestRouter {
+  /**
+   * @param {RouteRule[]} rules - rules, applied in order; the first `block` or `stub` rule that matches wins
+   * @param {Object} [options]
+   * @param {Logger} [options.logger] - logger for routing messages (default: console text logger)
+   */
+  constructor(rules = [], options = {}) {
+    for (const rule of rules) {
+      if (!ACTIONS.includes(rule.action)) {
+        throw new Error(`Unknown route action: ${rule.action}`);
+      }
+    }
+
+    this.rules = rules;
+    this.logger = options.logger || new Logger();
+    this.totals = createStats();
+    this.pageStats = new WeakMap();
+    this.handler = (route) => this.handle(route);
+  }
+
+  /**
+   * Rule that blocks the given resource types, e.g. `['image', 'font', 'media']`
+   * @param {string[]} resourceTypes
+   * @returns {RouteRule}
+   */
+  static blockResourceTypes(resourceTypes) {
+    return { action: 'block', resourceTypes };
+  }
+
+  /**
+   * Rule that blocks every request to the given domains and their subdomains
+   * @param {string[]} domains
+   * @returns {RouteRule}
+   */
+  static blockDomains(domains) {
+    return { action: 'block', domains };
+  }
+
+  /**
+   * Returns the number of distinct requests of `page` seen by any router. Unlike the sum of each router's
+   * `total`, a request that goes through both a page router and a context router is counted once
+   * @param {import('playwright').Page} page
+   * @returns {number}
+   */
+  static countRequests(page) {
+    return routedCounts.get(page) || 0;
+  }
+
+  /**
+   * Starts routing the requests of `target`
+   * @param {import('playwright').Page|import('playwright').BrowserContext} target
+   */
+  async attach(target) {
+    await target.route('**/*', this.handler);
+  }
+
+  /**
+   * Stops routing the requests of `target`
+   * @param {import('playwright').Page|import('playwright').BrowserContext} target
+   */
+  async detach(target) {
+    await target.unroute('**/*', this.handler);
+  }
+
+  /**
+   * Returns the counters of a page, or the totals across every page
+   * @param {import('playwright').Page} [page]
+   * @returns {RoutingStats}
+   */
+  getStats(page) {
+    if (!page) {
+      return this.totals;
+    }
+    return this.pageStats.get(page) || createStats();
+  }
+
+  /**
+   * Applies the matching rules to an intercepted request
+   * @param {import('playwright').Route} route
+   */
+  async handle(route) {
+    const request = route.request();
+    const page = pageOf(request);
+    const counters = [this.totals, this.statsOf(page)].filter(Boolean);
+    counters.forEach((stats) => stats.total++);
+    if (page && !routedRequests.has(request)) {
+      routedRequests.add(request);
+      routedCounts.set(page, (routedCounts.get(page) || 0) + 1);
+    }
+
+    let headers = null;
+    for (const rule of this.rules) {
+      if (!matchesRule(rule, request)) {
+        continue;
+      }
+
+      if (rule.action === 'block') {
+        const type = request.resourceType();
+        counters.forEach((stats) => {
+          stats.blocked++;
+          stats.blockedByType[type] = (stats.blockedByType[type] || 0) + 1;
+        });
+        this.logger.debug(`Blocked ${type}: ${request.url()}`, { action: 'route', url: request.url(), resourceType: type });
+        await route.abort('blockedbyclient');
+        return;
+      }
+
+      if (rule.action === 'stub') {
+        counters.forEach((stats) => stats.stubbed++);
+        this.logger.debug(`Stubbed response: ${request.url()}`, { action: 'route', url: request.url() });
+        await route.fulfill({ status: 200, ...rule.response });
+        return;
+      }
+
+      headers = { ...(headers || request.headers()) };
+      for (const [name, value] of Object.entries(rule.headers || {})) {
+        if (value === null) {
+          delete headers[name.toLowerCase()];
+        } else {
+          headers[name.toLowerCase()] = value;
+        }
+      }
+    }
+
+    if (headers) {
+      counters.forEach((stats) => stats.modified++);
+      await route.fallback({ headers });
+    } else {
+      await route.fallback();
+    }
+  }
+
+  /**
+   * Returns the counters of `page`, or `null` for requests without a page (service workers)
+   * @param {import('playwright').Page|null} page
+   * @returns {RoutingStats|null}
+   */
+  statsOf(page) {
+    if (!page) {
+      return null;
+    }
+
+    if (!this.pageStats.has(page)) {
+      this.pageStats.set(page, createStats());
+    }
+    return this.pageStats.get(page);
+  }
+}
+
+/**
+ * Returns the page that sent `request`, or `null` for requests without a page (service workers)
+ * @param {import('playwright').Request} request
+ * @returns {import('playwright').Page|null}
+ */
+function pageOf(request) {
+  try {
+    return request.frame().page();
+  } catch (error) {
+    return null;
+  }
+}
+
+function matchesRule(rule, request) {
+  if (rule.resourceTypes && !rule.resourceTypes.includes(request.resourceType())) {
+    return false;
+  }
+  if (rule.url && ![].concat(rule.url).some((pattern) => matchesPattern(request.url(), pattern))) {
+    return false;
+  }
+  if (rule.domains) {
+    const hostname = getHostname(request.url()) || '';
+    if (!rule.domains.some((domain) => matchesDomain(hostname, domain))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * @returns {RoutingStats}
+ */
+function createStats() {
+  return { total: 0, blocked: 0, blockedByType: {}, stubbed: 0, modified: 0 };
+}
+
+module.exports = { RequestRouter }
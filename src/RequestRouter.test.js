@@ -0,0 +1,102 @@
+const { Logger } = require('./Logger');
+const { RequestRouter } = require('./RequestRouter');
+
+const page1 = { name: 'page-1' };
+const page2 = { name: 'page-2' };
+
+/**
+ * Creates a fake route for a request of `page`, recording how it was resolved
+ */
+function createRoute(url, resourceType, page = page1, headers = { accept: '*/*' }) {
+  const request = {
+    url: () => url,
+    resourceType: () => resourceType,
+    headers: () => headers,
+    frame: () => ({ page: () => page }),
+  };
+  const route = {
+    resolution: null,
+    request: () => request,
+    abort: async (errorCode) => { route.resolution = { abort: errorCode }; },
+    fulfill: async (response) => { route.resolution = { fulfill: response }; },
+    fallback: async (overrides) => { route.resolution = { fallback: overrides }; },
+  };
+  return route;
+}
+
+const logger = Logger.silent();
+
+describe('RequestRouter', () => {
+  it('should block requests by resource type and count them per page', async () => {
+    const router = new RequestRouter([RequestRouter.blockResourceTypes(['image', 'font'])], { logger });
+    const image = createRoute('https://www.example.com/a.png', 'image', page1);
+    const font = createRoute('https://www.example.com/a.woff', 'font', page2);
+    const documentRoute = createRoute('https://www.example.com/', 'document', page1);
+
+    await router.handle(image);
+    await router.handle(font);
+    await router.handle(documentRoute);
+
+    // Assertions
+    expect(image.resolution).toEqual({ abort: 'blockedbyclient' });
+    expect(documentRoute.resolution).toEqual({ fallback: undefined });
+    expect(router.getStats(page1)).toEqual({ total: 2, blocked: 1, blockedByType: { image: 1 }, stubbed: 0, modified: 0 });
+    expect(router.getStats().blockedByType).toEqual({ image: 1, font: 1 });
+  });
+
+  it('should block by domain and url pattern', async () => {
+    const router = new RequestRouter([
+      RequestRouter.blockDomains(['tracker.com']),
+      { action: 'block', url: /\.mp4$/ },
+    ], { logger });
+    const tracker = createRoute('https://cdn.tracker.com/t.js', 'script');
+    const video = createRoute('https://www.example.com/v.mp4', 'media');
+    const script = createRoute('https://www.example.com/app.js', 'script');
+
+    await Promise.all([tracker, video, script].map((route) => router.handle(route)));
+
+    // Assertions
+    expect(tracker.resolution).toEqual({ abort: 'blockedbyclient' });
+    expect(video.resolution).toEqual({ abort: 'blockedbyclient' });
+    expect(script.resolution).toEqual({ fallback: undefined });
+  });
+
+  it('should rewrite headers and stub responses', async () => {
+    const router = new RequestRouter([
+      { action: 'headers', headers: { 'X-Scraper': 'yes', Accept: null } },
+      { action: 'stub', url: '**/api/**', response: { json: { items: [] } } },
+    ], { logger });
+    const page = createRoute('https://www.example.com/', 'document');
+    const api = createRoute('https://www.example.com/api/items', 'fetch');
+
+    await router.handle(page);
+    await router.handle(api);
+
+    // Assertions
+    expect(page.resolution).toEqual({ fallback: { headers: { 'x-scraper': 'yes' } } });
+    expect(api.resolution).toEqual({ fulfill: { status: 200, json: { items: [] } } });
+    expect(router.getStats()).toMatchObject({ total: 2, stubbed: 1, modified: 1 });
+  });
+
+  it('should count a request routed by both a page router and a context router once', async () => {
+    const page = { name: 'page-3' };
+    const pageRouter = new RequestRouter([{ action: 'headers', headers: { 'X-Scraper': 'yes' } }], { logger });
+    const contextRouter = new RequestRouter([RequestRouter.blockResourceTypes(['image'])], { logger });
+    const image = createRoute('https://www.example.com/a.png', 'image', page);
+    const documentRoute = createRoute('https://www.example.com/', 'document', page);
+
+    for (const route of [image, documentRoute]) {
+      await pageRouter.handle(route);
+      await contextRouter.handle(route);
+    }
+
+    // Assertions
+    expect(pageRouter.getStats(page).total + contextRouter.getStats(page).total).toBe(4);
+    expect(RequestRouter.countRequests(page)).toBe(2);
+    expect(RequestRouter.countRequests({ name: 'unrouted' })).toBe(0);
+  });
+
+  it('throw error when action is unknown', () => {
+    expect(() => new RequestRouter([{ action: 'drop' }])).toThrowError();
+  });
+});
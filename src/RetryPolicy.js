@@ -0,0 +1,207 @@
+const { errors } = require('playwright');
+const { Logger } = require('./Logger');
+
+/**
+ * Kinds of errors the retry policy can tell apart; `closed` means the page, context or browser is gone
+ * @typedef {'timeout'|'network'|'selector'|'closed'|'other'} ErrorKind
+ */
+
+/**
+ * @typedef {Object} RetryPolicyOptions
+ * @property {number} [maxAttempts=3] - total attempts, including the first one
+ * @property {number} [baseDelay=1000] - delay before the first retry, in milliseconds
+ * @property {number} [factor=2] - multiplier applied to the delay after each retry
+ * @property {number} [maxDelay=30000] - upper bound of the delay, in milliseconds
+ * @property {number} [jitter=0.5] - random spread applied to each delay, as a fraction of it (`0` disables jitter)
+ * @property {ErrorKind[]|((error: Error) => boolean)} [retryOn=['timeout', 'network']] - error kinds (or a predicate) that are retried
+ * @property {'reload'|((pageHandler: import('./PageHandler').PageHandler, error: Error, attempt: number) => Promise<void>)} [recover] - recovery step run before each retry
+ * @property {() => number} [random=Math.random] - random number source used for jitter
+ * @property {Logger} [logger] - logger for retry messages (default: the logger passed to `execute`, or a console text logger)
+ */
+
+/**
+ * @typedef {Object} AttemptSummary
+ * @property {number} attempt - 1-based attempt number
+ * @property {string} error - error message of the attempt
+ * @property {ErrorKind} kind - classification of the error
+ * @property {number} [delay] - delay waited before the next attempt, in milliseconds
+ */
+
+const NETWORK_ERROR = /net::ERR_|NS_ERROR_|ECONNRESET|ECONNREFUSED|Navigation failed/i;
+const CLOSED_ERROR = /Target (page, context or browser )?(has been )?closed|Browser has been closed/i;
+// Playwright selector errors only; JSON and script syntax errors are not selector errors
+const SELECTOR_ERROR = /is not a valid selector|while parsing (css )?selector|Unknown engine "[^"]*" while parsing/i;
+
+/**
+ * Error thrown when an action failed after several attempts
+ * @typedef {Object} RetryError
+ * @property {string} action - name of the failed action
+ * @property {AttemptSummary[]} attempts - summary of every attempt
+ * @property {Error} cause - error of the last attempt
+ */
+class RetryError extends Error {
+  /**
+   * @param {string} action - name of the failed action
+   * @param {AttemptSummary[]} attempts - summary of every attempt
+   * @param {Error} cause - error of the last attempt
+   */
+  constructor(action, attempts, cause) {
+    super(`${action} failed after ${attempts.length} attempt(s): ${cause && cause.message}`);
+    this.name = 'RetryError';
+    this.action = action;
+    this.attempts = attempts;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Retries failing actions with exponential backoff and jitter
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts
+ * @property {number} baseDelay
+ * @property {number} factor
+ * @property {number} maxDelay
+ * @property {number} jitter
+ */
+class RetryPolicy {
+  /**
+   * @param {RetryPolicyOptions} [options] - retry options
+   */
+  constructor(options = {}) {
+    const {
+      maxAttempts = 3,
+      baseDelay = 1000,
+      factor = 2,
+      maxDelay = 30000,
+      jitter = 0.5,
+      retryOn = ['timeout', 'network'],
+      recover = null,
+      random = Math.random,
+      logger = null,
+    } = options;
+
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+      throw new RangeError(`maxAttempts must be a positive integer, got: ${maxAttempts}`);
+    }
+
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.factor = factor;
+    this.maxDelay = maxDelay;
+    this.jitter = jitter;
+    this.retryOn = retryOn;
+    this.recover = recover;
+    this.random = random;
+    this.logger = logger;
+  }
+
+  /**
+   * Returns `value` as a RetryPolicy: instances are returned as is, option objects are wrapped,
+   * and falsy values return `null` (no retries)
+   * @param {RetryPolicy|RetryPolicyOptions|false|null|undefined} value
+   * @returns {RetryPolicy|null}
+   */
+  static from(value) {
+    if (!value) {
+      return null;
+    }
+    return value instanceof RetryPolicy ? value : new RetryPolicy(value);
+  }
+
+  /**
+   * Classifies an error as a timeout, network, invalid selector, closed target or other error
+   * @param {Error} error
+   * @returns {ErrorKind}
+   */
+  static classify(error) {
+    if (!error) {
+      return 'other';
+    }
+    if (error instanceof errors.TimeoutError || error.name === 'TimeoutError') {
+      return 'timeout';
+    }
+
+    const message = String(error.message || '');
+    if (SELECTOR_ERROR.test(message)) {
+      return 'selector';
+    }
+    if (CLOSED_ERROR.test(message)) {
+      return 'closed';
+    }
+    if (NETWORK_ERROR.test(message)) {
+      return 'network';
+    }
+    return 'other';
+  }
+
+  /**
+   * Returns `true` if `error` should be retried
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (typeof this.retryOn === 'function') {
+      return Boolean(this.retryOn(error));
+    }
+    return this.retryOn.includes(RetryPolicy.classify(error));
+  }
+
+  /**
+   * Returns the backoff delay to wait after the given failed attempt
+   * @param {number} attempt - 1-based number of the attempt that failed
+   * @returns {number} delay in milliseconds
+   */
+  getDelay(attempt) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(this.factor, attempt - 1));
+    const spread = delay * this.jitter * (this.random() * 2 - 1);
+    return Math.max(0, Math.round(delay + spread));
+  }
+
+  /**
+   * Runs `operation`, retrying it while it throws retryable errors
+   * @param {() => Promise<any>} operation - action to run
+   * @param {Object} [options]
+   * @param {string} [options.action='action'] - name of the action, used in messages
+   * @param {(error: Error, attempt: number) => Promise<void>} [options.recover] - recovery step run before each retry
+   * @param {Logger} [options.logger] - logger used when the policy has none
+   * @returns {Promise<any>} the result of the first successful attempt
+   * @throws {RetryError} when several attempts failed, whatever the error of the last one
+   * @throws {Error} the original error when the first attempt failed and was not retried
+   */
+  async execute(operation, { action = 'action', recover, logger } = {}) {
+    const log = this.logger || logger || new Logger();
+    const attempts = [];
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (error) {
+        const summary = { attempt, error: error.message, kind: RetryPolicy.classify(error) };
+        attempts.push(summary);
+
+        if (attempt >= this.maxAttempts || !this.isRetryable(error)) {
+          throw attempts.length > 1 ? new RetryError(action, attempts, error) : error;
+        }
+
+        summary.delay = this.getDelay(attempt);
+        log.warn(`Retrying ${action} in ${summary.delay}ms (attempt ${attempt} of ${this.maxAttempts} failed: ${error.message})`, {
+          action,
+          attempt,
+          delay: summary.delay,
+          error,
+        });
+        await new Promise((resolve) => setTimeout(resolve, summary.delay));
+
+        if (recover) {
+          try {
+            await recover(error, attempt);
+          } catch (recoveryError) {
+            log.warn(`Recovery before retrying ${action} failed: ${recoveryError.message}`, { action, attempt, error: recoveryError });
+          }
+        }
+      }
+    }
+  }
+}
+
+module.exports = { RetryPolicy, RetryError }
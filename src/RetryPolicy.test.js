@@ -0,0 +1,129 @@
+const { errors } = require('playwright');
+const { RetryPolicy, RetryError } = require('./RetryPolicy');
+
+describe('RetryPolicy', () => {
+  it('should retry retryable errors until the operation succeeds', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0 });
+    let calls = 0;
+
+    const got = await policy.execute(async () => {
+      calls++;
+      if (calls < 3) {
+        throw new errors.TimeoutError('Timeout 30000ms exceeded');
+      }
+      return 'done';
+    });
+
+    // Assertions
+    expect(got).toBe('done');
+    expect(calls).toBe(3);
+  });
+
+  it('should throw a summary of every attempt once attempts run out', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 2, baseDelay: 0 });
+    const operation = async () => { throw new Error('net::ERR_CONNECTION_RESET'); };
+
+    const error = await policy.execute(operation, { action: 'goToUrl' }).catch((e) => e);
+
+    // Assertions
+    expect(error).toBeInstanceOf(RetryError);
+    expect(error.message).toBe('goToUrl failed after 2 attempt(s): net::ERR_CONNECTION_RESET');
+    expect(error.attempts).toEqual([
+      { attempt: 1, error: 'net::ERR_CONNECTION_RESET', kind: 'network', delay: 0 },
+      { attempt: 2, error: 'net::ERR_CONNECTION_RESET', kind: 'network' },
+    ]);
+    expect(error.cause.message).toBe('net::ERR_CONNECTION_RESET');
+  });
+
+  it('should not retry invalid selectors, and rethrow their error', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 5, baseDelay: 0 });
+    const original = new Error("'##id' is not a valid selector");
+    let calls = 0;
+
+    const error = await policy.execute(async () => {
+      calls++;
+      throw original;
+    }).catch((e) => e);
+
+    // Assertions
+    expect(calls).toBe(1);
+    expect(error).toBe(original);
+    expect(RetryPolicy.classify(original)).toBe('selector');
+  });
+
+  it('should tell selector errors from other syntax errors', () => {
+    // Assertions
+    expect(RetryPolicy.classify(new Error('Unexpected token "#" while parsing selector "##id"'))).toBe('selector');
+    expect(RetryPolicy.classify(new Error('Unknown engine "foo" while parsing selector foo=bar'))).toBe('selector');
+    expect(RetryPolicy.classify(new SyntaxError('Unexpected token } in JSON at position 3'))).toBe('other');
+  });
+
+  it('should summarize the attempts when a retried action fails with a non-retryable error', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 5, baseDelay: 0 });
+    let calls = 0;
+
+    const error = await policy.execute(async () => {
+      calls++;
+      throw calls === 1 ? new errors.TimeoutError('Timeout 30000ms exceeded') : new Error('element is not attached');
+    }, { action: 'click' }).catch((e) => e);
+
+    // Assertions
+    expect(calls).toBe(2);
+    expect(error).toBeInstanceOf(RetryError);
+    expect(error.attempts.map(({ kind }) => kind)).toEqual(['timeout', 'other']);
+    expect(error.cause.message).toBe('element is not attached');
+  });
+
+  it('should not retry closed targets', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 5, baseDelay: 0 });
+    const original = new Error('page.goto: Target page, context or browser has been closed');
+    let calls = 0;
+
+    const error = await policy.execute(async () => {
+      calls++;
+      throw original;
+    }).catch((e) => e);
+
+    // Assertions
+    expect(calls).toBe(1);
+    expect(error).toBe(original);
+    expect(RetryPolicy.classify(new Error('Target closed'))).toBe('closed');
+  });
+
+  it('should rethrow the original error when a single attempt is allowed', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 1 });
+    const original = new errors.TimeoutError('Timeout 30000ms exceeded');
+
+    const error = await policy.execute(async () => { throw original; }).catch((e) => e);
+
+    // Assertions
+    expect(error).toBe(original);
+  });
+
+  it('should run the recovery step before each retry', async () => {
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 0, retryOn: () => true });
+    const recovered = [];
+
+    await policy.execute(async () => { throw new Error('flaky'); }, {
+      recover: async (error, attempt) => { recovered.push(attempt); },
+    }).catch(() => {});
+
+    // Assertions
+    expect(recovered).toEqual([1, 2]);
+  });
+
+  it('should back off exponentially within the jitter range', () => {
+    const noJitter = new RetryPolicy({ baseDelay: 100, factor: 2, maxDelay: 1000, jitter: 0 });
+    const lowest = new RetryPolicy({ baseDelay: 100, jitter: 0.5, random: () => 0 });
+    const highest = new RetryPolicy({ baseDelay: 100, jitter: 0.5, random: () => 1 });
+
+    // Assertions
+    expect([1, 2, 3, 4, 5].map((attempt) => noJitter.getDelay(attempt))).toEqual([100, 200, 400, 800, 1000]);
+    expect(lowest.getDelay(1)).toBe(50);
+    expect(highest.getDelay(1)).toBe(150);
+  });
+
+  it('throw error when maxAttempts is invalid', () => {
+    expect(() => new RetryPolicy({ maxAttempts: 0 })).toThrowError();
+  });
+});
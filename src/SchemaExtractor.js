@@ -0,0 +1,196 @@
+/**
+ * A field definition inside an extraction schema. A plain string is shorthand for
+ * `{ selector: <string>, source: 'text' }`
+ * @typedef {Object} FieldSchema
+ * @property {string} [selector] - CSS selector, relative to the parent scope. Omit to read from the scope itself
+ * @property {'text'|'attribute'|'html'} [source='text'] - where the value is read from
+ * @property {string} [attribute] - attribute name, required when `source = 'attribute'`
+ * @property {boolean} [trim=true] - trims whitespace of text values
+ * @property {(value: any, element: import('playwright').Locator) => any} [transform] - maps the raw value
+ * @property {any} [default] - value used when the element is missing or the value is empty
+ * @property {boolean} [required=false] - reports an error when no value could be extracted
+ * @property {boolean} [list=false] - extracts every element matching `selector` as a record of `fields`
+ * @property {Object<string, FieldSchema|string>} [fields] - nested fields, scoped to each `selector` match
+ */
+
+/**
+ * @typedef {Object} ExtractionError
+ * @property {string} field - path of the field, e.g. `products[2].price`
+ * @property {string} message - reason the field failed
+ */
+
+/**
+ * @typedef {Object} ExtractionResult
+ * @property {Object} data - plain JSON object with the extracted values
+ * @property {ExtractionError[]} errors - per-field error report
+ */
+
+const SOURCES = ['text', 'attribute', 'html'];
+
+/**
+ * Extracts plain JSON records from a page using a declarative schema
+ * @typedef {Object} SchemaExtractor
+ * @property {import('playwright').Page|import('playwright').Locator} root
+ */
+class SchemaExtractor {
+  /**
+   * @param {import('playwright').Page|import('playwright').Locator} root - page or locator the schema is resolved against
+   */
+  constructor(root) {
+    this.root = root;
+  }
+
+  /**
+   * Extracts the fields described in `schema`. An object whose only key is `fields`, holding an object,
+   * is the wrapped form; anything else is the `fields` map itself, so a field named `fields` works
+   * next to other fields, or on its own inside the wrapper
+   * @param {{fields: Object<string, FieldSchema|string>}|Object<string, FieldSchema|string>} schema - schema, or its `fields` map
+   * @returns {Promise<ExtractionResult>}
+   */
+  async extract(schema) {
+    if (!schema || typeof schema !== 'object') {
+      throw new TypeError('Extraction schema must be an object');
+    }
+
+    const wrapped = Object.keys(schema).length === 1 && schema.fields && typeof schema.fields === 'object';
+    const fields = wrapped ? schema.fields : schema;
+    const errors = [];
+    const data = await this.extractFields(this.root, fields, '', errors);
+    return { data, errors };
+  }
+
+  /**
+   * Extracts every field in `fields` within `scope`
+   * @param {import('playwright').Page|import('playwright').Locator} scope
+   * @param {Object<string, FieldSchema|string>} fields
+   * @param {string} path - path of the parent record
+   * @param {ExtractionError[]} errors - report that failures are pushed to
+   * @returns {Promise<Object>}
+   */
+  async extractFields(scope, fields, path, errors) {
+    const record = {};
+
+    for (const [name, definition] of Object.entries(fields)) {
+      const field = typeof definition === 'string' ? { selector: definition } : definition;
+      const fieldPath = path ? `${path}.${name}` : name;
+
+      try {
+        record[name] = field.list
+          ? await this.extractList(scope, field, fieldPath, errors)
+          : await this.extractField(scope, field, fieldPath, errors);
+      } catch (error) {
+        errors.push({ field: fieldPath, message: error.message });
+        record[name] = field.default !== undefined ? field.default : null;
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Extracts a list of records, one per element matching `field.selector`
+   * @param {import('playwright').Page|import('playwright').Locator} scope
+   * @param {FieldSchema} field
+   * @param {string} path
+   * @param {ExtractionError[]} errors
+   * @returns {Promise<Array>}
+   */
+  async extractList(scope, field, path, errors) {
+    if (!field.selector) {
+      throw new Error('List fields require a selector');
+    }
+
+    const elements = await scope.locator(field.selector).all();
+    if (elements.length === 0 && field.required) {
+      errors.push({ field: path, message: `No elements found for selector: ${field.selector}` });
+    }
+
+    const items = [];
+    for (let i = 0; i < elements.length; i++) {
+      const itemPath = `${path}[${i}]`;
+      const item = field.fields
+        ? await this.extractFields(elements[i], field.fields, itemPath, errors)
+        : await this.readValue(elements[i], field);
+
+      items.push(field.transform ? await field.transform(item, elements[i]) : item);
+    }
+    return items;
+  }
+
+  /**
+   * Extracts a single value, or a nested record when `field.fields` is set
+   * @param {import('playwright').Page|import('playwright').Locator} scope
+   * @param {FieldSchema} field
+   * @param {string} path
+   * @param {ExtractionError[]} errors
+   * @returns {Promise<any>}
+   */
+  async extractField(scope, field, path, errors) {
+    const element = field.selector ? scope.locator(field.selector).first() : scope;
+    const found = field.selector ? await element.count() > 0 : true;
+
+    let value = null;
+    if (found) {
+      value = field.fields
+        ? await this.extractFields(element, field.fields, path, errors)
+        : await this.readValue(element, field);
+
+      if (field.transform && !isEmpty(value)) {
+        value = await field.transform(value, element);
+      }
+    }
+
+    if (isEmpty(value)) {
+      if (field.default !== undefined) {
+        return field.default;
+      }
+      if (field.required) {
+        const reason = found ? 'Empty value' : 'No element found';
+        errors.push({ field: path, message: `${reason} for selector: ${field.selector}` });
+      }
+      return null;
+    }
+    return value;
+  }
+
+  /**
+   * Reads the raw value of `element` according to `field.source`
+   * @param {import('playwright').Locator} element
+   * @param {FieldSchema} field
+   * @returns {Promise<string|null>}
+   */
+  async readValue(element, field) {
+    const source = field.source || 'text';
+    if (!SOURCES.includes(source)) {
+      throw new Error(`Unknown field source: ${source}`);
+    }
+
+    let value;
+    if (source === 'attribute') {
+      if (!field.attribute) {
+        throw new Error('Attribute fields require an attribute name');
+      }
+      value = await element.getAttribute(field.attribute);
+    } else if (source === 'html') {
+      value = await element.innerHTML();
+    } else {
+      value = await element.textContent();
+    }
+
+    if (typeof value === 'string' && field.trim !== false) {
+      value = value.trim();
+    }
+    return value;
+  }
+}
+
+/**
+ * Returns `true` for values that count as "not extracted"
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+module.exports = { SchemaExtractor }
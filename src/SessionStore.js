@@ -0,0 +1,119 @@
+const path = require('path');
+const { FileManager } = require('./FileManager');
+const { Logger } = require('./Logger');
+
+/**
+ * Login routine registered for a named session
+ * @typedef {Object} SessionLogin
+ * @property {(pageHandler: import('./PageHandler').PageHandler) => Promise<void>} login - logs in on the given page
+ * @property {(pageHandler: import('./PageHandler').PageHandler) => Promise<boolean>} isLoggedIn - returns `true` while the session is valid
+ * @property {string} [url] - page visited before checking `isLoggedIn`
+ */
+
+/**
+ * @typedef {Object} SessionStoreOptions
+ * @property {string} [directory='.sessions'] - directory the session files are saved in
+ * @property {FileManager} [fileManager] - file manager used to read and write sessions
+ * @property {Logger} [logger] - logger for session messages (default: console text logger)
+ */
+
+/**
+ * Saves and restores browser storage state (cookies and localStorage) under named sessions
+ * @typedef {Object} SessionStore
+ * @property {string} directory
+ * @property {FileManager} fileManager
+ * @property {Map<string, SessionLogin>} logins
+ */
+class SessionStore {
+  /**
+   * @param {SessionStoreOptions} [options] - session store options
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || '.sessions';
+    this.logger = options.logger || new Logger();
+    this.fileManager = options.fileManager || new FileManager({ logger: this.logger });
+    this.logins = new Map();
+  }
+
+  /**
+   * Returns the path of the file that stores `name`. Characters other than letters, digits, `_`, `.` and `-`
+   * are percent-encoded, so distinct names never share a file
+   * @param {string} name - session name
+   * @returns {string}
+   */
+  sessionPath(name) {
+    if (!name || typeof name !== 'string') {
+      throw new TypeError('Session name must be a non-empty string');
+    }
+    return path.join(this.directory, `${encodeSessionName(name)}.json`);
+  }
+
+  /**
+   * Saves the storage state of `context` under `name`
+   * @param {string} name - session name
+   * @param {import('playwright').BrowserContext} context - context whose cookies and localStorage are saved
+   */
+  async save(name, context) {
+    const state = await context.storageState();
+    await this.fileManager.createDirectory(this.directory, true);
+    await this.fileManager.saveJson(this.sessionPath(name), state, true);
+    this.logger.info(`Saved session: ${name}`, { action: 'saveSession', session: name });
+  }
+
+  /**
+   * Returns the storage state saved under `name`, or `null` if there is none
+   * @param {string} name - session name
+   * @returns {Promise<Object|null>} storage state usable as the `storageState` context option
+   */
+  async load(name) {
+    const filePath = this.sessionPath(name);
+    if (!(await this.fileManager.fileExists(filePath))) {
+      this.logger.info(`No saved session: ${name}`, { action: 'loadSession', session: name });
+      return null;
+    }
+    return await this.fileManager.readJson(filePath);
+  }
+
+  /**
+   * Deletes the session saved under `name`
+   * @param {string} name - session name
+   */
+  async delete(name) {
+    await this.fileManager.deleteFile(this.sessionPath(name));
+  }
+
+  /**
+   * Registers the login routine and the "am I logged in" check of a session
+   * @param {string} name - session name
+   * @param {SessionLogin} login - login routine
+   */
+  registerLogin(name, login) {
+    if (!login || typeof login.login !== 'function' || typeof login.isLoggedIn !== 'function') {
+      throw new TypeError('A session login requires login and isLoggedIn functions');
+    }
+    this.sessionPath(name);
+    this.logins.set(name, login);
+  }
+
+  /**
+   * Returns the login routine registered for `name`
+   * @param {string} name - session name
+   * @returns {SessionLogin|undefined}
+   */
+  getLogin(name) {
+    return this.logins.get(name);
+  }
+}
+
+/**
+ * Percent-encodes the UTF-8 bytes of every character of `name` that isn't safe in file names
+ * @param {string} name - session name
+ * @returns {string}
+ */
+function encodeSessionName(name) {
+  return name.replace(/[^\w.-]/gu, (char) => [...Buffer.from(char)]
+    .map((byte) => `%${byte.toString(16).toUpperCase().padStart(2, '0')}`)
+    .join(''));
+}
+
+module.exports = { SessionStore }
@@ -0,0 +1,57 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { Logger } = require('./Logger');
+const { SessionStore } = require('./SessionStore');
+
+const state = {
+  cookies: [{ name: 'sid', value: 'abc', domain: 'www.example.com', path: '/' }],
+  origins: [],
+};
+
+let directory;
+let sessionStore;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  sessionStore = new SessionStore({ directory, logger: Logger.silent() });
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('SessionStore', () => {
+  it('should save and load the storage state of a context', async () => {
+    const context = { storageState: async () => state };
+
+    await sessionStore.save('example', context);
+    const got = await sessionStore.load('example');
+
+    // Assertions
+    expect(got).toEqual(state);
+    expect(fs.existsSync(path.join(directory, 'example.json'))).toBe(true);
+  });
+
+  it('should return null for sessions that were never saved', async () => {
+    expect(await sessionStore.load('missing')).toBe(null);
+  });
+
+  it('should encode session names into distinct file names', () => {
+    // Assertions
+    expect(sessionStore.sessionPath('user@example.com/admin')).toBe(path.join(directory, 'user%40example.com%2Fadmin.json'));
+    expect(sessionStore.sessionPath('a/b')).not.toBe(sessionStore.sessionPath('a_b'));
+    expect(sessionStore.sessionPath('a%2Fb')).not.toBe(sessionStore.sessionPath('a/b'));
+    expect(sessionStore.sessionPath('..')).toBe(path.join(directory, '...json'));
+  });
+
+  it('should register login routines', () => {
+    const login = { login: async () => {}, isLoggedIn: async () => true };
+
+    sessionStore.registerLogin('example', login);
+
+    // Assertions
+    expect(sessionStore.getLogin('example')).toBe(login);
+    expect(() => sessionStore.registerLogin('example', { login: async () => {} })).toThrowError();
+  });
+});
@@ -0,0 +1,97 @@
+const { normalizeUrl, matchesPattern, getHostname, matchesDomain, TRACKING_PARAMS } = require('./urlUtils');
+
+/**
+ * @typedef {Object} LinkOptions
+ * @property {string} [selector] - only collects the links inside the elements matching this CSS selector (default: whole page)
+ * @property {string|RegExp|Function|Array<string|RegExp|Function>} [include] - patterns the URL must match one of
+ * @property {string|RegExp|Function|Array<string|RegExp|Function>} [exclude] - patterns the URL must match none of
+ * @property {string[]} [domains] - hostnames to keep; each also matches its subdomains
+ * @property {boolean} [internal] - `true` keeps only the links on the page's hostname, `false` only the others (default: both)
+ * @property {boolean} [nofollow=true] - keeps the links with `rel="nofollow"`
+ * @property {boolean} [unique=true] - keeps only the first link to each URL
+ * @property {import('./urlUtils').NormalizeOptions} [normalize] - URL normalization (default: strips
+ * fragments, trailing slashes and {@link TRACKING_PARAMS})
+ */
+
+/**
+ * @typedef {Object} Link
+ * @property {string} url - absolute, normalized URL
+ * @property {string} text - text of the link, else its `aria-label` or `title`
+ * @property {string} href - `href` attribute as written in the page
+ * @property {string[]} rel - tokens of the `rel` attribute
+ * @property {boolean} nofollow - `true` if `rel` contains `nofollow`
+ * @property {boolean} internal - `true` if the link is on the page's hostname
+ */
+
+/**
+ * A link as read from the DOM
+ * @typedef {Object} RawLink
+ * @property {string} href
+ * @property {string} text
+ * @property {string} rel
+ * @property {string} baseUrl - URL the `href` resolves against, honouring `<base href>`
+ */
+
+/**
+ * Reads the `href`, text and `rel` of anchor elements. Runs in the browser
+ * through `locator.evaluateAll`, so it must not use anything from its scope
+ * @param {Array<HTMLAnchorElement|HTMLAreaElement>} elements
+ * @returns {RawLink[]}
+ */
+function readLinks(elements) {
+  return elements.map((element) => ({
+    href: element.getAttribute('href'),
+    text: (element.innerText || element.textContent || element.getAttribute('aria-label') || element.getAttribute('title') || '')
+      .replace(/\s+/g, ' ')
+      .trim(),
+    rel: element.getAttribute('rel') || '',
+    baseUrl: element.baseURI,
+  }));
+}
+
+/**
+ * Resolves, normalizes and filters links read from a page
+ * @param {RawLink[]} rawLinks - links read by {@link readLinks}
+ * @param {string} pageUrl - URL of the page, used to tell internal links from external ones
+ * @param {LinkOptions} [options]
+ * @returns {Link[]}
+ */
+function filterLinks(rawLinks, pageUrl, options = {}) {
+  const { include, exclude, domains, internal, nofollow = true, unique = true } = options;
+  const normalize = { stripParams: TRACKING_PARAMS, ...options.normalize };
+  const pageHostname = getHostname(pageUrl);
+  const seen = new Set();
+  const links = [];
+
+  for (const rawLink of rawLinks) {
+    const url = rawLink.href === null ? null : normalizeUrl(rawLink.href.trim(), rawLink.baseUrl, normalize);
+    if (!url || (unique && seen.has(url))) {
+      continue;
+    }
+
+    const hostname = getHostname(url);
+    const rel = rawLink.rel.toLowerCase().split(/\s+/).filter(Boolean);
+    const link = {
+      url,
+      text: rawLink.text,
+      href: rawLink.href,
+      rel,
+      nofollow: rel.includes('nofollow'),
+      internal: hostname === pageHostname,
+    };
+
+    if ((!nofollow && link.nofollow)
+      || (internal !== undefined && link.internal !== internal)
+      || (domains && !domains.some((domain) => matchesDomain(hostname, domain)))
+      || (include && ![].concat(include).some((pattern) => matchesPattern(url, pattern)))
+      || (exclude && [].concat(exclude).some((pattern) => matchesPattern(url, pattern)))) {
+      continue;
+    }
+
+    seen.add(url);
+    links.push(link);
+  }
+  return links;
+}
+
+module.exports = { readLinks, filterLinks }
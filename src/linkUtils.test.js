@@ -0,0 +1,54 @@
+const { filterLinks } = require('./linkUtils');
+
+const pageUrl = 'https://example.com/blog/post';
+
+/**
+ * @returns {import('./linkUtils').RawLink}
+ */
+function rawLink(href, text = '', rel = '', baseUrl = pageUrl) {
+  return { href, text, rel, baseUrl };
+}
+
+describe('filterLinks', () => {
+  it('should resolve, normalize and dedupe links', () => {
+    const links = filterLinks([
+      rawLink('/about/', 'About'),
+      rawLink('https://example.com/about#team', 'Team'),
+      rawLink('next?utm_source=feed&page=2', 'Next', '', 'https://example.com/list/'),
+      rawLink('mailto:someone@example.com', 'Mail'),
+      rawLink('javascript:void(0)', 'Menu'),
+    ], pageUrl);
+
+    // Assertions
+    expect(links).toEqual([
+      { url: 'https://example.com/about', text: 'About', href: '/about/', rel: [], nofollow: false, internal: true },
+      { url: 'https://example.com/list/next?page=2', text: 'Next', href: 'next?utm_source=feed&page=2', rel: [], nofollow: false, internal: true },
+    ]);
+  });
+
+  it('should filter by internal, domain, pattern and nofollow', () => {
+    const rawLinks = [
+      rawLink('/a'),
+      rawLink('https://shop.example.com/b'),
+      rawLink('https://other.com/c', '', 'external NoFollow'),
+      rawLink('/tag/d'),
+    ];
+    const urls = (options) => filterLinks(rawLinks, pageUrl, options).map(({ url }) => url);
+
+    // Assertions
+    expect(urls({ internal: true })).toEqual(['https://example.com/a', 'https://example.com/tag/d']);
+    expect(urls({ internal: false })).toEqual(['https://shop.example.com/b', 'https://other.com/c']);
+    expect(urls({ domains: ['example.com'] })).toEqual(['https://example.com/a', 'https://shop.example.com/b', 'https://example.com/tag/d']);
+    expect(urls({ nofollow: false })).not.toContain('https://other.com/c');
+    expect(urls({ include: '**/tag/**' })).toEqual(['https://example.com/tag/d']);
+    expect(urls({ exclude: [/other\.com/, '**/tag/**'] })).toEqual(['https://example.com/a', 'https://shop.example.com/b']);
+  });
+
+  it('should keep duplicates and tracking parameters when asked', () => {
+    const rawLinks = [rawLink('/a?utm_source=x'), rawLink('/a?utm_source=x')];
+
+    // Assertions
+    expect(filterLinks(rawLinks, pageUrl, { unique: false, normalize: { stripParams: [] } }).map(({ url }) => url))
+      .toEqual(['https://example.com/a?utm_source=x', 'https://example.com/a?utm_source=x']);
+  });
+});
@@ -0,0 +1,219 @@
+const MONTH_NAME = /\b(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?)\.?\b/i;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+const YEAR = /\b\d{4}\b/;
+const NUMBER = /^\(?[-+]?[$€£¥]?\s?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?%?\)?$/;
+
+/**
+ * @typedef {Object} TableOptions
+ * @property {number|'auto'} [headerRows='auto'] - number of header rows; `auto` uses the `<thead>` rows,
+ * else the leading rows made only of `<th>` cells, else the first row
+ * @property {string[]} [headers] - keys of the columns, overriding the header text
+ * @property {string} [headerSeparator=' '] - joins the texts of multi-row headers, e.g. `2024 Q1`
+ * @property {boolean} [trim=true] - trims cells and collapses their whitespace
+ * @property {boolean} [parseNumbers=false] - turns cells like `1,234.5`, `$12`, `40%` or `(300)` into numbers
+ * @property {boolean} [parseDates=false] - turns cells like `2024-01-31` or `31 Jan 2024` into ISO date strings;
+ * dates without a year, like `May 5`, stay text
+ * @property {boolean} [includeFooter=false] - keeps the `<tfoot>` rows
+ * @property {boolean} [skipEmptyRows=true] - drops rows whose cells are all empty
+ */
+
+/**
+ * A cell as read from the DOM
+ * @typedef {Object} TableCell
+ * @property {string} text
+ * @property {boolean} header - `true` for `<th>` cells
+ * @property {number} colspan
+ * @property {number} rowspan - `0` spans the rest of the section
+ */
+
+/**
+ * A table row as read from the DOM
+ * @typedef {Object} TableRow
+ * @property {'thead'|'tbody'|'tfoot'} section
+ * @property {TableCell[]} cells
+ */
+
+/**
+ * Reads the rows of a `<table>` element with their cells and spans. Runs in the browser
+ * through `locator.evaluate`, so it must not use anything from its scope
+ * @param {HTMLTableElement} table
+ * @returns {TableRow[]}
+ */
+function readTableRows(table) {
+  if (table.tagName !== 'TABLE') {
+    throw new Error(`Expected a table element, got: ${table.tagName.toLowerCase()}`);
+  }
+  return Array.from(table.rows).map((row) => ({
+    section: ['THEAD', 'TFOOT'].includes(row.parentElement.tagName) ? row.parentElement.tagName.toLowerCase() : 'tbody',
+    cells: Array.from(row.cells).map((cell) => ({
+      text: cell.innerText !== undefined ? cell.innerText : cell.textContent,
+      header: cell.tagName === 'TH',
+      colspan: cell.colSpan,
+      rowspan: cell.rowSpan,
+    })),
+  }));
+}
+
+/**
+ * Expands `colspan` and `rowspan` cells into a rectangular grid, copying a spanned cell
+ * into every slot it covers. Row spans don't cross sections
+ * @param {TableRow[]} rows
+ * @returns {Array<{section: string, cells: Array<{text: string, header: boolean}>}>} grid with one cell per column
+ */
+function expandSpans(rows) {
+  const grid = rows.map(({ section }) => ({ section, cells: [] }));
+
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    for (const cell of row.cells) {
+      while (grid[rowIndex].cells[column]) {
+        column++;
+      }
+
+      let sectionEnd = rowIndex;
+      while (sectionEnd + 1 < rows.length && rows[sectionEnd + 1].section === row.section) {
+        sectionEnd++;
+      }
+      const rowspan = cell.rowspan > 0 ? Math.min(cell.rowspan, sectionEnd - rowIndex + 1) : sectionEnd - rowIndex + 1;
+      const colspan = Math.max(1, cell.colspan || 1);
+
+      for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+        for (let c = column; c < column + colspan; c++) {
+          grid[r].cells[c] = { text: cell.text, header: cell.header };
+        }
+      }
+      column += colspan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map(({ cells }) => cells.length));
+  for (const row of grid) {
+    for (let c = 0; c < width; c++) {
+      row.cells[c] = row.cells[c] || { text: '', header: false };
+    }
+  }
+  return grid;
+}
+
+/**
+ * Returns how many leading rows of the grid are header rows
+ * @param {Array<{section: string, cells: Array<{header: boolean}>}>} grid
+ * @param {number|'auto'} headerRows
+ * @returns {number}
+ */
+function countHeaderRows(grid, headerRows) {
+  if (headerRows !== 'auto') {
+    return Math.min(headerRows, grid.length);
+  }
+
+  const headRows = grid.findIndex(({ section }) => section !== 'thead');
+  if (headRows !== 0) {
+    return headRows === -1 ? grid.length : headRows;
+  }
+  const thRows = grid.findIndex(({ cells }) => !cells.every((cell) => cell.header));
+  if (thRows !== 0) {
+    return thRows === -1 ? grid.length : thRows;
+  }
+  return grid.length > 1 ? 1 : 0;
+}
+
+/**
+ * Builds unique column keys from the header rows, joining the texts of stacked header cells
+ * @param {Array<{cells: Array<{text: string}>}>} headerGrid - header rows
+ * @param {number} width - number of columns
+ * @param {TableOptions} options
+ * @returns {string[]}
+ */
+function buildKeys(headerGrid, width, options) {
+  const { headers = [], headerSeparator = ' ' } = options;
+  const counts = new Map();
+
+  return Array.from({ length: width }, (_, column) => {
+    let key = headers[column];
+    if (!key) {
+      const parts = [];
+      for (const row of headerGrid) {
+        const text = normalizeText(row.cells[column].text);
+        // a header spanning several rows must not repeat itself
+        if (text && parts[parts.length - 1] !== text) {
+          parts.push(text);
+        }
+      }
+      key = parts.join(headerSeparator) || `column_${column + 1}`;
+    }
+
+    const count = (counts.get(key) || 0) + 1;
+    counts.set(key, count);
+    return count > 1 ? `${key}_${count}` : key;
+  });
+}
+
+/**
+ * Turns table rows into an array of objects keyed by the column headers
+ * @param {TableRow[]} rows - rows read by {@link readTableRows}
+ * @param {TableOptions} [options]
+ * @returns {Object<string, any>[]}
+ */
+function tableToRecords(rows, options = {}) {
+  const { headerRows = 'auto', trim = true, includeFooter = false, skipEmptyRows = true } = options;
+
+  const grid = expandSpans(rows);
+  const headerCount = countHeaderRows(grid, headerRows);
+  const width = grid.length > 0 ? grid[0].cells.length : 0;
+  const keys = buildKeys(grid.slice(0, headerCount), width, options);
+
+  return grid.slice(headerCount)
+    .filter(({ section }) => includeFooter || section !== 'tfoot')
+    .map(({ cells }) => cells.map(({ text }) => (trim ? normalizeText(text) : text)))
+    .filter((texts) => !skipEmptyRows || texts.some((text) => text.trim() !== ''))
+    .map((texts) => Object.fromEntries(texts.map((text, column) => [keys[column], parseCell(text, options)])));
+}
+
+/**
+ * Parses a cell as a number or a date when enabled and it looks like one, otherwise returns it as is
+ * @param {string} text
+ * @param {TableOptions} [options]
+ * @returns {string|number}
+ */
+function parseCell(text, options = {}) {
+  const value = text.trim();
+  // accounting negatives like `(300)` are unsigned; `(-50)` or an unbalanced `(300` stays text
+  const negative = value.startsWith('(');
+  if (options.parseNumbers && NUMBER.test(value) && negative === value.endsWith(')') && !(negative && /^\([-+]/.test(value))) {
+    const number = Number(value.replace(/[(),$€£¥%\s]/g, ''));
+    if (!Number.isNaN(number)) {
+      return negative ? -number : number;
+    }
+  }
+  if (options.parseDates && (ISO_DATE.test(value) || (MONTH_NAME.test(value) && YEAR.test(value)))) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) {
+      if (!/\d{1,2}:\d{2}/.test(value)) {
+        // date-only cells stay date-only, without a time or timezone shift
+        return ISO_DATE.test(value) ? value : formatLocalDate(new Date(time));
+      }
+      return new Date(time).toISOString();
+    }
+  }
+  return text;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} `YYYY-MM-DD` in local time
+ */
+function formatLocalDate(date) {
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Trims text and collapses its whitespace runs into single spaces
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { readTableRows, expandSpans, countHeaderRows, tableToRecords, parseCell }
@@ -0,0 +1,118 @@
+const { expandSpans, countHeaderRows, tableToRecords, parseCell } = require('./tableUtils');
+
+/**
+ * Builds a table row; cells are texts, or `[text, {header, colspan, rowspan}]`
+ */
+function row(section, ...cells) {
+  return {
+    section,
+    cells: cells.map((cell) => {
+      const [text, options = {}] = [].concat(cell);
+      return { text, header: section === 'thead', colspan: 1, rowspan: 1, ...options };
+    }),
+  };
+}
+
+describe('expandSpans', () => {
+  it('should copy spanned cells into every slot they cover', () => {
+    const grid = expandSpans([
+      row('tbody', ['A', { rowspan: 2 }], ['B', { colspan: 2 }]),
+      row('tbody', 'C', 'D'),
+      row('tbody', 'E'),
+    ]);
+
+    // Assertions
+    expect(grid.map(({ cells }) => cells.map(({ text }) => text))).toEqual([
+      ['A', 'B', 'B'],
+      ['A', 'C', 'D'],
+      ['E', '', ''],
+    ]);
+  });
+
+  it('should stop row spans at the end of their section', () => {
+    const grid = expandSpans([
+      row('thead', ['H', { rowspan: 0 }], 'I'),
+      row('thead', 'J'),
+      row('tbody', 'x', 'y'),
+    ]);
+
+    // Assertions
+    expect(grid.map(({ cells }) => cells.map(({ text }) => text))).toEqual([['H', 'I'], ['H', 'J'], ['x', 'y']]);
+  });
+});
+
+describe('countHeaderRows', () => {
+  it('should detect thead rows, then leading th rows, then the first row', () => {
+    const th = (text) => [text, { header: true }];
+
+    // Assertions
+    expect(countHeaderRows(expandSpans([row('thead', 'a'), row('thead', 'b'), row('tbody', 'c')]), 'auto')).toBe(2);
+    expect(countHeaderRows(expandSpans([row('tbody', th('a')), row('tbody', th('b'), 'c')]), 'auto')).toBe(1);
+    expect(countHeaderRows(expandSpans([row('tbody', 'a'), row('tbody', 'b')]), 'auto')).toBe(1);
+    expect(countHeaderRows(expandSpans([row('tbody', 'a'), row('tbody', 'b')]), 0)).toBe(0);
+  });
+});
+
+describe('tableToRecords', () => {
+  it('should key rows by multi-row headers and normalize whitespace', () => {
+    const records = tableToRecords([
+      row('thead', ['Region', { rowspan: 2 }], ['2024', { colspan: 2 }]),
+      row('thead', 'Q1', 'Q2'),
+      row('tbody', '  North\n America ', '1,200', '(300)'),
+      row('tbody', '', '', ''),
+      row('tfoot', 'Total', '1,200', '(300)'),
+    ], { parseNumbers: true });
+
+    // Assertions
+    expect(records).toEqual([{ Region: 'North America', '2024 Q1': 1200, '2024 Q2': -300 }]);
+  });
+
+  it('should name missing and duplicate headers and accept explicit keys', () => {
+    const rows = [row('thead', 'Name', 'Name', ''), row('tbody', 'a', 'b', 'c')];
+
+    // Assertions
+    expect(tableToRecords(rows)).toEqual([{ Name: 'a', Name_2: 'b', column_3: 'c' }]);
+    expect(tableToRecords(rows, { headers: ['first', 'last'] })).toEqual([{ first: 'a', last: 'b', column_3: 'c' }]);
+    expect(tableToRecords([row('tbody', 'a', 'b')], { headerRows: 0 })).toEqual([{ column_1: 'a', column_2: 'b' }]);
+  });
+});
+
+describe('parseCell', () => {
+  it('should parse numbers and dates only when enabled', () => {
+    const options = { parseNumbers: true, parseDates: true };
+
+    // Assertions
+    expect(parseCell('$1,234.50', options)).toBe(1234.5);
+    expect(parseCell('40%', options)).toBe(40);
+    expect(parseCell('12 apples', options)).toBe('12 apples');
+    expect(parseCell('2024-01-31', options)).toBe('2024-01-31');
+    expect(parseCell('31 Jan 2024', options)).toBe('2024-01-31');
+    expect(parseCell('2024-01-31T10:00:00Z', options)).toBe('2024-01-31T10:00:00.000Z');
+    expect(parseCell('May', options)).toBe('May');
+    expect(parseCell('May 5', options)).toBe('May 5');
+    expect(parseCell('Dec 12', options)).toBe('Dec 12');
+    expect(parseCell('1,234')).toBe('1,234');
+  });
+
+  it('should keep words starting like a month name as text', () => {
+    const options = { parseDates: true };
+
+    // Assertions
+    expect(parseCell('Marketing 2024', options)).toBe('Marketing 2024');
+    expect(parseCell('Decision 2024', options)).toBe('Decision 2024');
+    expect(parseCell('Mayor Smith 1999', options)).toBe('Mayor Smith 1999');
+    expect(parseCell('Octopus 1234', options)).toBe('Octopus 1234');
+    expect(parseCell('September 5, 2024', options)).toBe('2024-09-05');
+    expect(parseCell('Sept. 5 2024', options)).toBe('2024-09-05');
+  });
+
+  it('should negate accounting negatives once and keep signed ones as text', () => {
+    const options = { parseNumbers: true };
+
+    // Assertions
+    expect(parseCell('(300)', options)).toBe(-300);
+    expect(parseCell('(-50)', options)).toBe('(-50)');
+    expect(parseCell('(300', options)).toBe('(300');
+    expect(parseCell('-50', options)).toBe(-50);
+  });
+});
@@ -0,0 +1,63 @@
+const { BrowserManager } = require('./BrowserManager');
+const { NoDelay } = require('./DelayStrategy');
+const { FixtureServer } = require('./FixtureServer');
+
+/**
+ * @typedef {Object} HarnessOptions
+ * @property {FixtureServer} [server] - running fixture server to use; otherwise one is started, and stopped by `close()`
+ * @property {Object<string, string|import('./FixtureServer').FixtureHandler>} [pages] - extra pages of the started fixture server
+ * @property {import('./BrowserManager').BrowserManagerOptions} [browserManagerOptions] - options of the browser manager
+ * @property {import('playwright').LaunchOptions} [launchOptions] - browser launch options
+ * @property {import('playwright').BrowserContextOptions} [contextOptions] - context options
+ */
+
+/**
+ * Browser wired to a local fixture server, with the random waits disabled
+ * @typedef {Object} Harness
+ * @property {FixtureServer} server
+ * @property {BrowserManager} browserManager
+ * @property {import('playwright').Page} page
+ * @property {import('./PageHandler').PageHandler} pageHandler - handler of `page` that doesn't wait after actions
+ * @property {(pathname?: string) => string} url - absolute URL of a fixture page
+ * @property {() => Promise<void>} close - closes the browser, and the server if the harness started it
+ */
+
+/**
+ * Launches a browser against a local fixture server, for fast offline tests.
+ * Handlers created by the harness browser manager use {@link NoDelay}
+ * @param {HarnessOptions} [options] - harness options
+ * @returns {Promise<Harness>} the harness
+ */
+async function createHarness(options = {}) {
+  const { pages, browserManagerOptions = {}, launchOptions, contextOptions } = options;
+
+  const server = options.server || await new FixtureServer({ pages }).start();
+  const browserManager = new BrowserManager({
+    ...browserManagerOptions,
+    pageHandlerOptions: { delayStrategy: new NoDelay(), ...browserManagerOptions.pageHandlerOptions },
+  });
+
+  const close = async () => {
+    await browserManager.closeBrowser();
+    if (!options.server) {
+      await server.stop();
+    }
+  };
+
+  try {
+    const page = await browserManager.launchBrowser(launchOptions, contextOptions);
+    return {
+      server,
+      browserManager,
+      page,
+      pageHandler: browserManager.createPageHandler(page),
+      url: (pathname) => server.url(pathname),
+      close,
+    };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+}
+
+module.exports = { createHarness }
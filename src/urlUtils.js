@@ -0,0 +1,130 @@
+/**
+ * Query parameters added by analytics and ad platforms to track clicks
+ */
+const TRACKING_PARAMS = ['utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'mc_cid', 'mc_eid', '_ga', '_gl', 'igshid'];
+
+/**
+ * @typedef {Object} NormalizeOptions
+ * @property {boolean} [stripFragment=true] - removes the `#fragment`
+ * @property {boolean} [stripTrailingSlash=true] - removes the trailing `/` of non-root paths
+ * @property {boolean} [sortQuery=true] - sorts query parameters so equivalent URLs compare equal
+ * @property {Array<string|RegExp>} [stripParams=[]] - query parameters to remove; names ending with `*` match a prefix,
+ * e.g. {@link TRACKING_PARAMS}
+ */
+
+/**
+ * Resolves `url` against `baseUrl` and normalizes it for comparison and dedupe.
+ * Returns `null` for URLs that can't be parsed or aren't http(s)
+ * @param {string} url - absolute or relative URL
+ * @param {string} [baseUrl] - URL relative URLs are resolved against
+ * @param {NormalizeOptions} [options]
+ * @returns {string|null} the normalized absolute URL
+ */
+function normalizeUrl(url, baseUrl, options = {}) {
+  const { stripFragment = true, stripTrailingSlash = true, sortQuery = true, stripParams = [] } = options;
+
+  let parsed;
+  try {
+    parsed = new URL(url, baseUrl);
+  } catch (error) {
+    return null;
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return null;
+  }
+
+  if (stripFragment) {
+    parsed.hash = '';
+  }
+  for (const name of [...parsed.searchParams.keys()]) {
+    if (stripParams.some((param) => matchesParam(name, param))) {
+      parsed.searchParams.delete(name);
+    }
+  }
+  if (sortQuery) {
+    parsed.searchParams.sort();
+  }
+  if (stripTrailingSlash && parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.href;
+}
+
+/**
+ * @param {string} name - query parameter name
+ * @param {string|RegExp} param - name, prefix ending with `*`, or regular expression
+ * @returns {boolean}
+ */
+function matchesParam(name, param) {
+  if (param instanceof RegExp) {
+    param.lastIndex = 0;
+    return param.test(name);
+  }
+  return param.endsWith('*') ? name.startsWith(param.slice(0, -1)) : name === param;
+}
+
+/**
+ * Returns `true` if `url` matches `pattern`.
+ * String patterns are globs where `*` matches any characters except `/` and `**` matches any characters
+ * @param {string} url
+ * @param {string|RegExp|((url: string) => boolean)} pattern
+ * @returns {boolean}
+ */
+function matchesPattern(url, pattern) {
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    return pattern.test(url);
+  }
+  if (typeof pattern === 'function') {
+    return Boolean(pattern(url));
+  }
+  return globToRegExp(pattern).test(url);
+}
+
+/**
+ * Converts a URL glob into an anchored regular expression
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else {
+      source += char.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns the hostname of `url`, or `null` if it can't be parsed
+ * @param {string} url
+ * @returns {string|null}
+ */
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Returns `true` if `hostname` is `domain` or one of its subdomains
+ * @param {string} hostname - e.g. `shop.example.com`
+ * @param {string} domain - e.g. `example.com`
+ * @returns {boolean}
+ */
+function matchesDomain(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+module.exports = { normalizeUrl, matchesPattern, globToRegExp, getHostname, matchesDomain, TRACKING_PARAMS }
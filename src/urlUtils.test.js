@@ -0,0 +1,66 @@
+const { normalizeUrl, matchesPattern, getHostname, matchesDomain, TRACKING_PARAMS } = require('./urlUtils');
+
+describe('normalizeUrl', () => {
+  it('should resolve relative URLs against the base URL', () => {
+    expect(normalizeUrl('/about', 'https://www.example.com/home')).toBe('https://www.example.com/about');
+    expect(normalizeUrl('next', 'https://www.example.com/list/')).toBe('https://www.example.com/list/next');
+  });
+
+  it('should strip fragments and trailing slashes and sort the query', () => {
+    expect(normalizeUrl('https://Example.com/list/?b=2&a=1#top')).toBe('https://example.com/list?a=1&b=2');
+    expect(normalizeUrl('https://example.com/')).toBe('https://example.com/');
+  });
+
+  it('should keep parts disabled in the options', () => {
+    const options = { stripFragment: false, stripTrailingSlash: false, sortQuery: false };
+
+    expect(normalizeUrl('https://example.com/list/?b=2&a=1#top', undefined, options))
+      .toBe('https://example.com/list/?b=2&a=1#top');
+  });
+
+  it('should return null for invalid or non-http URLs', () => {
+    expect(normalizeUrl('invalid-url')).toBe(null);
+    expect(normalizeUrl('mailto:someone@example.com')).toBe(null);
+    expect(normalizeUrl('javascript:void(0)', 'https://example.com')).toBe(null);
+  });
+});
+
+describe('matchesPattern', () => {
+  it('should match globs', () => {
+    expect(matchesPattern('https://example.com/blog/post', 'https://example.com/blog/*')).toBe(true);
+    expect(matchesPattern('https://example.com/blog/2024/post', 'https://example.com/blog/*')).toBe(false);
+    expect(matchesPattern('https://example.com/blog/2024/post', '**/blog/**')).toBe(true);
+    expect(matchesPattern('https://example.com/list?page=2', '**/list?page=*')).toBe(true);
+  });
+
+  it('should match regular expressions and predicates', () => {
+    expect(matchesPattern('https://example.com/item/12', /\/item\/\d+$/)).toBe(true);
+    expect(matchesPattern('https://example.com/item/ab', /\/item\/\d+$/)).toBe(false);
+    expect(matchesPattern('https://example.com/a', (url) => url.endsWith('/a'))).toBe(true);
+  });
+});
+
+describe('getHostname', () => {
+  it('should return the hostname, or null for invalid URLs', () => {
+    expect(getHostname('https://www.example.com/path')).toBe('www.example.com');
+    expect(getHostname('invalid-url')).toBe(null);
+  });
+});
+
+describe('stripParams', () => {
+  it('should remove the listed and prefixed query parameters', () => {
+    const options = { stripParams: TRACKING_PARAMS };
+
+    expect(normalizeUrl('https://example.com/a?utm_source=x&id=2&fbclid=y&utm_medium=z', undefined, options))
+      .toBe('https://example.com/a?id=2');
+    expect(normalizeUrl('https://example.com/a?ref=x&id=2', undefined, { stripParams: [/^re/] })).toBe('https://example.com/a?id=2');
+  });
+});
+
+describe('matchesDomain', () => {
+  it('should match the domain and its subdomains', () => {
+    expect(matchesDomain('example.com', 'example.com')).toBe(true);
+    expect(matchesDomain('shop.example.com', 'example.com')).toBe(true);
+    expect(matchesDomain('badexample.com', 'example.com')).toBe(false);
+  });
+});
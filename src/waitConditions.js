@@ -0,0 +1,271 @@
+const { matchesPattern } = require('./urlUtils');
+
+const KINDS = ['visible', 'hidden', 'text', 'url', 'networkIdle', 'countStable', 'predicate'];
+
+/**
+ * A condition to wait for. Set exactly one of `visible`, `hidden`, `text`, `url`, `networkIdle`,
+ * `countStable` or `predicate`; a function is shorthand for `{ predicate }`
+ * @typedef {Object} WaitCondition
+ * @property {string} [visible] - CSS selector of an element that must be visible
+ * @property {string} [hidden] - CSS selector of an element that must be hidden or absent
+ * @property {string|RegExp} [text] - text that must be present, in `selector` or anywhere in the page
+ * @property {string} [selector] - element searched for `text` (default: `body`)
+ * @property {string|RegExp|Function} [url] - URL glob, regular expression or predicate the page URL must match
+ * @property {number} [networkIdle] - milliseconds without any request in flight, counting requests started once the wait began,
+ * or, for the `waitFor` option of an action, once the action began
+ * @property {string} [countStable] - CSS selector whose element count must stop changing
+ * @property {number} [duration=1000] - milliseconds the count must stay the same (`countStable`)
+ * @property {number} [minCount=1] - minimum element count considered stable (`countStable`)
+ * @property {(pageHandler: import('./PageHandler').PageHandler) => any} [predicate] - polled until it returns a truthy value
+ * @property {number} [timeout] - overrides the timeout for this condition, in milliseconds
+ */
+
+/**
+ * @typedef {Object} WaitOptions
+ * @property {number} [timeout=30000] - maximum time to wait for all conditions, in milliseconds
+ * @property {number} [pollInterval=100] - interval between checks of polled conditions, in milliseconds
+ * @property {(ms: number) => Promise<void>} [sleep] - waits between checks (default: `setTimeout`)
+ * @property {RequestTracker} [requestTracker] - requests tracked since before the wait, counted by `networkIdle` conditions
+ */
+
+/**
+ * Requests of a page in flight, tracked from the moment the tracker is created
+ * @typedef {Object} RequestTracker
+ * @property {Set<import('playwright').Request>} inFlight - requests started and not yet finished or failed
+ * @property {number} idleSince - time the last request in flight ended, or tracking started
+ * @property {() => void} stop - stops tracking
+ */
+
+/**
+ * Thrown when a wait condition isn't met in time
+ * @typedef {Object} WaitTimeoutError
+ * @property {string} condition - description of the unmet condition
+ * @property {number} timeout - milliseconds waited
+ */
+class WaitTimeoutError extends Error {
+  /**
+   * @param {string} condition - description of the unmet condition
+   * @param {number} timeout - milliseconds waited
+   * @param {string} [detail] - last observed state, e.g. the current URL
+   */
+  constructor(condition, timeout, detail) {
+    super(`Timed out after ${timeout}ms waiting for ${condition}${detail ? ` (${detail})` : ''}`);
+    this.name = 'WaitTimeoutError';
+    this.condition = condition;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Waits for every condition in order. The timeout covers all of them, unless a condition sets its own
+ * @param {import('./PageHandler').PageHandler} pageHandler - handler of the page to watch
+ * @param {WaitCondition|Function|Array<WaitCondition|Function>} conditions
+ * @param {WaitOptions} [options] - timeout and polling options
+ * @throws {WaitTimeoutError} when a condition isn't met in time
+ */
+async function waitForConditions(pageHandler, conditions, options = {}) {
+  const { timeout = 30000, pollInterval = 100, sleep = defaultSleep, requestTracker } = options;
+  const deadline = Date.now() + timeout;
+
+  for (const condition of [].concat(conditions).map(normalizeCondition)) {
+    const limit = condition.timeout !== undefined ? condition.timeout : Math.max(0, deadline - Date.now());
+    await waitForCondition(pageHandler, condition, { timeout: limit, pollInterval, sleep, requestTracker });
+  }
+}
+
+/**
+ * @param {import('./PageHandler').PageHandler} pageHandler
+ * @param {WaitCondition} condition - normalized condition
+ * @param {{timeout: number, pollInterval: number, sleep: (ms: number) => Promise<void>, requestTracker?: RequestTracker}} options
+ */
+async function waitForCondition(pageHandler, condition, { timeout, pollInterval, sleep, requestTracker }) {
+  const { page } = pageHandler;
+  const description = describeCondition(condition);
+  const poll = (check, detail) => pollUntil(check, { timeout, pollInterval, sleep, description, detail });
+
+  if (condition.visible !== undefined || condition.hidden !== undefined) {
+    const state = condition.visible !== undefined ? 'visible' : 'hidden';
+    try {
+      await pageHandler.locator(condition[state]).first().waitFor({ state, timeout });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new WaitTimeoutError(description, timeout);
+      }
+      throw error;
+    }
+    return;
+  }
+
+  if (condition.text !== undefined) {
+    const locator = pageHandler.locator(condition.selector || 'body').first();
+    await poll(async () => {
+      const text = (await locator.count()) > 0 ? await locator.innerText() : '';
+      return condition.text instanceof RegExp ? condition.text.test(text) : text.includes(condition.text);
+    });
+    return;
+  }
+
+  if (condition.url !== undefined) {
+    await poll(() => matchesPattern(page.url(), condition.url), () => `current URL: ${page.url()}`);
+    return;
+  }
+
+  if (condition.networkIdle !== undefined) {
+    await waitForNetworkIdle(page, condition.networkIdle, { timeout, pollInterval, sleep, description, requestTracker });
+    return;
+  }
+
+  if (condition.countStable !== undefined) {
+    const { duration = 1000, minCount = 1 } = condition;
+    const locator = pageHandler.locator(condition.countStable);
+    let lastCount = -1;
+    let stableSince = Date.now();
+    await poll(async () => {
+      const count = await locator.count();
+      if (count !== lastCount) {
+        lastCount = count;
+        stableSince = Date.now();
+      }
+      return count >= minCount && Date.now() - stableSince >= duration;
+    }, () => `last count: ${lastCount}`);
+    return;
+  }
+
+  await poll(() => condition.predicate(pageHandler));
+}
+
+/**
+ * Starts tracking the requests of `page`, e.g. before an action whose requests a `networkIdle` wait must count
+ * @param {import('playwright').Page} page
+ * @returns {RequestTracker}
+ */
+function trackRequests(page) {
+  const tracker = { inFlight: new Set(), idleSince: Date.now() };
+  const onRequest = (request) => tracker.inFlight.add(request);
+  const onDone = (request) => {
+    tracker.inFlight.delete(request);
+    if (tracker.inFlight.size === 0) {
+      tracker.idleSince = Date.now();
+    }
+  };
+
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+  tracker.stop = () => {
+    page.off('request', onRequest);
+    page.off('requestfinished', onDone);
+    page.off('requestfailed', onDone);
+  };
+  return tracker;
+}
+
+/**
+ * Returns `true` if any of `conditions` is a `networkIdle` condition
+ * @param {WaitCondition|Function|Array<WaitCondition|Function>} conditions
+ * @returns {boolean}
+ */
+function waitsForNetworkIdle(conditions) {
+  return [].concat(conditions).some((condition) => Boolean(condition) && condition.networkIdle !== undefined);
+}
+
+/**
+ * Resolves once no request has been in flight for `idleTime` milliseconds
+ * @param {import('playwright').Page} page
+ * @param {number} idleTime - milliseconds
+ * @param {Object} options - polling options, and the `requestTracker` to use instead of tracking from now on
+ */
+async function waitForNetworkIdle(page, idleTime, { timeout, pollInterval, sleep, description, requestTracker }) {
+  const tracker = requestTracker || trackRequests(page);
+  try {
+    await pollUntil(() => tracker.inFlight.size === 0 && Date.now() - tracker.idleSince >= idleTime, {
+      timeout,
+      pollInterval: Math.min(pollInterval, idleTime || pollInterval),
+      sleep,
+      description,
+      detail: () => `${tracker.inFlight.size} request(s) in flight`,
+    });
+  } finally {
+    if (!requestTracker) {
+      tracker.stop();
+    }
+  }
+}
+
+/**
+ * Calls `check` until it returns a truthy value
+ * @param {() => any} check
+ * @param {Object} options
+ * @param {number} options.timeout
+ * @param {number} options.pollInterval
+ * @param {(ms: number) => Promise<void>} options.sleep
+ * @param {string} options.description - description of the condition, used in the timeout error
+ * @param {() => string} [options.detail] - describes the last observed state
+ */
+async function pollUntil(check, { timeout, pollInterval, sleep, description, detail }) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    if (await check()) {
+      return;
+    }
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new WaitTimeoutError(description, timeout, detail && detail());
+    }
+    await sleep(Math.min(pollInterval, remaining));
+  }
+}
+
+/**
+ * Validates a condition, turning functions into predicate conditions
+ * @param {WaitCondition|Function} condition
+ * @returns {WaitCondition}
+ */
+function normalizeCondition(condition) {
+  if (typeof condition === 'function') {
+    return { predicate: condition };
+  }
+  const kinds = KINDS.filter((kind) => condition && condition[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new Error(`A wait condition needs exactly one of: ${KINDS.join(', ')}`);
+  }
+  return condition;
+}
+
+/**
+ * Describes a condition for messages, e.g. `"#results" to be visible`
+ * @param {WaitCondition|Function} condition
+ * @returns {string}
+ */
+function describeCondition(condition) {
+  condition = normalizeCondition(condition);
+  if (condition.visible !== undefined) {
+    return `"${condition.visible}" to be visible`;
+  }
+  if (condition.hidden !== undefined) {
+    return `"${condition.hidden}" to be hidden`;
+  }
+  if (condition.text !== undefined) {
+    return `text ${condition.text instanceof RegExp ? condition.text : `"${condition.text}"`} in "${condition.selector || 'body'}"`;
+  }
+  if (condition.url !== undefined) {
+    return `URL to match ${typeof condition.url === 'function' ? 'predicate' : condition.url}`;
+  }
+  if (condition.networkIdle !== undefined) {
+    return `network to be idle for ${condition.networkIdle}ms`;
+  }
+  if (condition.countStable !== undefined) {
+    return `count of "${condition.countStable}" to be stable for ${condition.duration || 1000}ms`;
+  }
+  return `predicate ${condition.predicate.name || '(anonymous)'} to be true`;
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function defaultSleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { waitForConditions, describeCondition, trackRequests, waitsForNetworkIdle, WaitTimeoutError }
@@ -0,0 +1,149 @@
+const { EventEmitter } = require('events');
+const { NoDelay } = require('./DelayStrategy');
+const { Logger } = require('./Logger');
+const { PageHandler } = require('./PageHandler');
+const { waitForConditions, describeCondition, WaitTimeoutError } = require('./waitConditions');
+
+/**
+ * Creates a fake page whose element counts, texts and URL are read from `state`
+ */
+function createPage(state) {
+  const page = new EventEmitter();
+  page.url = () => state.url;
+  page.locator = (selector) => {
+    const locator = {
+      first: () => locator,
+      count: async () => (state.counts[selector] || 0),
+      innerText: async () => state.texts[selector] || '',
+      waitFor: async ({ state: wanted, timeout }) => {
+        if ((wanted === 'visible') !== Boolean(state.counts[selector])) {
+          const error = new Error(`Timeout ${timeout}ms exceeded.`);
+          error.name = 'TimeoutError';
+          throw error;
+        }
+      },
+    };
+    return locator;
+  };
+  return page;
+}
+
+/**
+ * Creates a handler of a fake page
+ */
+function handlerOf(page) {
+  return new PageHandler(page, { logger: Logger.silent(), delayStrategy: new NoDelay() });
+}
+
+const options = { timeout: 300, pollInterval: 10 };
+
+describe('waitForConditions', () => {
+  it('should wait for the URL, text and a predicate', async () => {
+    const state = { url: 'https://www.example.com/', counts: { body: 1 }, texts: {} };
+    const page = createPage(state);
+    setTimeout(() => {
+      state.url = 'https://www.example.com/search?q=a';
+      state.texts.body = 'Found 3 results';
+    }, 30);
+
+    await waitForConditions(handlerOf(page), [
+      { url: '**/search?*' },
+      { text: /\d+ results/ },
+      ({ page: current }) => current.url().includes('q=a'),
+    ], options);
+  });
+
+  it('should throw a timeout error describing the unmet condition', async () => {
+    const page = createPage({ url: 'https://www.example.com/', counts: {}, texts: {} });
+
+    const waiting = waitForConditions(handlerOf(page), { url: /\/done/ }, options);
+
+    // Assertions
+    await expect(waiting).rejects.toThrowError(WaitTimeoutError);
+    await expect(waiting).rejects.toThrowError('waiting for URL to match /\\/done/ (current URL: https://www.example.com/)');
+    await expect(waitForConditions(handlerOf(page), { visible: '#results' }, options)).rejects.toThrowError('"#results" to be visible');
+    await waitForConditions(handlerOf(page), { hidden: '#spinner' }, options);
+  });
+
+  it('should wait until the element count is stable', async () => {
+    const state = { counts: { '.item': 0 }, texts: {} };
+    const page = createPage(state);
+    const timer = setInterval(() => {
+      state.counts['.item'] = Math.min(state.counts['.item'] + 5, 15);
+    }, 20);
+
+    await waitForConditions(handlerOf(page), { countStable: '.item', duration: 80 }, options);
+    clearInterval(timer);
+
+    // Assertions
+    expect(state.counts['.item']).toBe(15);
+  });
+
+  it('should wait until no request is in flight', async () => {
+    const page = createPage({ counts: {}, texts: {} });
+    const request = {};
+    setTimeout(() => page.emit('request', request), 5);
+    setTimeout(() => page.emit('requestfinished', request), 60);
+    const start = Date.now();
+
+    await waitForConditions(handlerOf(page), { networkIdle: 50 }, options);
+
+    // Assertions
+    expect(Date.now() - start).toBeGreaterThanOrEqual(100);
+    expect(page.listenerCount('request')).toBe(0);
+  });
+
+  it('throw error when a condition is invalid', async () => {
+    await expect(waitForConditions(handlerOf(createPage({})), { unknown: true })).rejects.toThrowError();
+    expect(() => describeCondition({ visible: '#a', hidden: '#b' })).toThrowError();
+  });
+});
+
+describe('PageHandler waitFor action option', () => {
+  it('should wait for the condition instead of the random delay', async () => {
+    const state = { url: 'about:blank', counts: {}, texts: {} };
+    const page = createPage(state);
+    page.goto = async (url) => {
+      setTimeout(() => {
+        state.url = url;
+        state.counts['#results'] = 1;
+      }, 20);
+    };
+    page.waitForTimeout = jest.fn(async () => {});
+    const pageHandler = new PageHandler(page, { logger: Logger.silent() });
+
+    await pageHandler.goToUrl('https://www.example.com/', undefined, 4000, 7000, {
+      waitFor: [{ url: 'https://www.example.com/' }, { visible: '#results' }],
+      delay: false,
+    });
+
+    // Assertions
+    expect(page.waitForTimeout).not.toHaveBeenCalled();
+    expect(state.counts['#results']).toBe(1);
+    await expect(new PageHandler(page, { logger: Logger.silent(), delayStrategy: new NoDelay() }).waitFor({ visible: '#missing' }, options))
+      .rejects.toThrowError(WaitTimeoutError);
+  });
+
+  it('should count the requests the action itself starts when waiting for network idle', async () => {
+    const page = createPage({ counts: {}, texts: {} });
+    const xhr = {};
+    let finishedAt = null;
+    const button = {
+      click: async () => {
+        page.emit('request', xhr);
+        setTimeout(() => {
+          finishedAt = Date.now();
+          page.emit('requestfinished', xhr);
+        }, 150);
+      },
+    };
+    const pageHandler = new PageHandler(page, { logger: Logger.silent(), delayStrategy: new NoDelay() });
+
+    await pageHandler.click(button, 0, 0, { waitFor: { networkIdle: 50 }, delay: false });
+
+    // Assertions
+    expect(finishedAt).not.toBeNull();
+    expect(Date.now() - finishedAt).toBeGreaterThanOrEqual(45);
+    expect(page.listenerCount('request')).toBe(0);
+  });
+});